@@ -0,0 +1,4968 @@
+// Library API - workload analysis, sizing, collectors, profiling and reports
+//
+// mongoAssess.js is the command line interface over this module; other tooling can embed it:
+//
+//     const { analyze, size, collect_metrics, scan_schema, render_reports } = require('./index');
+//
+// The API functions at the end of this file take an options object and return structured results.
+// The building blocks they are made of (rule sets, the analyzer, sizing, report builders) are exported too.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { once } = require('events');
+
+// Tool identity written into machine-readable reports
+const TOOL = { name: 'oee-mongo', version: '0.0.1' };
+
+// Compatibility rule sets live in versioned JSON files, one per target platform
+const RULES_DIR = path.join(__dirname, 'rules');
+const DEFAULT_TARGET = 'oracle-23ai';
+const RULE_STATUSES = ['supported', 'not_supported', 'unknown'];
+const RULE_SEVERITIES = ['info', 'low', 'medium', 'high'];
+const DEFAULT_SEVERITY = { supported: 'info', not_supported: 'high', unknown: 'medium' };
+const TYPE_STATUSES = ['supported', 'lossy', 'not_supported'];
+// Index statuses from best to worst; the worst feature of an index decides its status
+const INDEX_STATUSES = ['supported', 'rewrite', 'not_supported'];
+
+// Sizing profiles hold the sizing factors and the target service they map onto, one JSON file per profile
+const SIZING_DIR = path.join(__dirname, 'sizing');
+const DEFAULT_SIZING_PROFILE = 'autonomous-ecpu';
+const SIZING_FACTORS = ['ops_per_core', 'memory_buffer', 'storage_headroom', 'connection_buffer'];
+const SIZING_TARGET_NUMBERS = ['ecpus_per_core', 'min_ecpus', 'ecpu_increment', 'auto_scaling_max_factor', 'min_storage_tb', 'storage_increment_tb', 'sessions_per_ecpu'];
+const SIZING_STORAGE_NUMBERS = ['oson_ratio', 'compression_ratio', 'index_ratio'];
+
+// Function to load JSON data from file
+function load_json(file_path) {
+    const data = fs.readFileSync(file_path, 'utf8');
+    return JSON.parse(data);
+}
+
+// Function to open a file for reading, transparently gunzipping it when it starts with the gzip magic bytes
+function open_input_stream(file_path) {
+    const header = Buffer.alloc(2);
+    const fd = fs.openSync(file_path, 'r');
+    const header_length = fs.readSync(fd, header, 0, 2, 0);
+    fs.closeSync(fd);
+
+    const raw = fs.createReadStream(file_path);
+    const gzipped = header_length === 2 && header[0] === 0x1f && header[1] === 0x8b;
+    const stream = gzipped ? raw.pipe(zlib.createGunzip()) : raw;
+    if (gzipped) {
+        raw.on('error', error => stream.destroy(error));
+    }
+    stream.setEncoding('utf8');
+    return { raw, stream };
+}
+
+// Function to read profile entries one at a time from an exported profile file.
+// Accepts the pretty-printed JSON array written by earlier versions as well as NDJSON,
+// either of them optionally gzip-compressed. Only the entry being parsed is held in memory.
+// Extended JSON values ({ "$oid": ... }) are read as plain values, or with `typed` as the BSON
+// types they stand for (ObjectId, Date, Decimal128, ...), for sending them back to a server.
+async function* read_profile_entries(file_path, { on_progress = null, typed = false } = {}) {
+    const parse = typed
+        ? text => require('mongodb').BSON.EJSON.parse(text, { relaxed: true, useBigInt64: true })
+        : text => plain_extended_json(JSON.parse(text));
+    const total_bytes = fs.statSync(file_path).size;
+    const { raw, stream } = open_input_stream(file_path);
+
+    let pending = '';        // Text of an entry that spans chunks
+    let depth = 0;           // Brace depth, entries are the top-level objects
+    let in_string = false;
+    let escaped = false;
+    let entries = 0;
+
+    for await (const chunk of stream) {
+        let start = depth > 0 ? 0 : -1;
+        for (let i = 0; i < chunk.length; i++) {
+            const ch = chunk[i];
+            if (in_string) {
+                if (escaped) {
+                    escaped = false;
+                } else if (ch === '\\') {
+                    escaped = true;
+                } else if (ch === '"') {
+                    in_string = false;
+                }
+            } else if (ch === '"') {
+                in_string = true;
+            } else if (ch === '{') {
+                if (depth === 0) {
+                    start = i;
+                }
+                depth++;
+            } else if (ch === '}') {
+                depth--;
+                if (depth === 0) {
+                    const text = pending + chunk.slice(start, i + 1);
+                    pending = '';
+                    start = -1;
+                    entries++;
+                    yield parse(text);
+                }
+            }
+        }
+        if (depth > 0) {
+            pending += chunk.slice(start);
+        }
+        if (on_progress) {
+            on_progress({ entries, bytes_read: raw.bytesRead, total_bytes });
+        }
+    }
+
+    if (depth !== 0) {
+        throw new SyntaxError(`Unexpected end of '${file_path}' in the middle of entry ${entries + 1}`);
+    }
+}
+
+// Extended JSON type wrappers of structured mongod logs, turned into plain values the way the
+// JSON profile exports hold them; '$type' only counts next to the legacy '$binary'
+const EXTENDED_JSON_KEYS = [
+    '$oid', '$date', '$numberInt', '$numberLong', '$numberDouble', '$numberDecimal', '$binary', '$uuid', '$timestamp',
+    '$regularExpression', '$symbol', '$code', '$scope', '$minKey', '$maxKey', '$undefined', '$dbPointer'
+];
+
+// Function to replace Extended JSON wrappers ({ "$oid": ... }, { "$date": ... }) with plain values,
+// so they are not mistaken for operators
+function plain_extended_json(value) {
+    if (Array.isArray(value)) {
+        return value.map(plain_extended_json);
+    }
+    if (!is_document(value)) {
+        return value;
+    }
+    const keys = Object.keys(value);
+    const wrapper = keys.length > 0 && keys.every(key => EXTENDED_JSON_KEYS.includes(key) || (key === '$type' && keys.includes('$binary')));
+    if (wrapper) {
+        if (value.$oid !== undefined) {
+            return value.$oid;
+        }
+        if (value.$date !== undefined) {
+            return is_document(value.$date) ? new Date(Number(value.$date.$numberLong)).toISOString() : value.$date;
+        }
+        const number = value.$numberInt ?? value.$numberLong ?? value.$numberDouble;
+        return number !== undefined ? Number(number) : JSON.stringify(value);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, plain_extended_json(item)]));
+}
+
+// Function to parse one value in the shell-like syntax of legacy (pre-4.4) text logs:
+// unquoted keys, ObjectId('...'), new Date(...), /regex/ and so on. Values other than documents,
+// arrays, strings, numbers and true/false/null are kept as their text. Returns the value and the
+// position after it; throws a SyntaxError on text it cannot read, such as a truncated command.
+function parse_legacy_value(text, pos) {
+    const skip = () => {
+        while (text[pos] === ' ') {
+            pos++;
+        }
+    };
+    const fail = () => {
+        throw new SyntaxError(`Unreadable log value at position ${pos}`);
+    };
+    skip();
+    const ch = text[pos];
+    if (ch === '{' || ch === '[') {
+        const close = ch === '{' ? '}' : ']';
+        const result = ch === '{' ? {} : [];
+        pos++;
+        for (;;) {
+            skip();
+            if (text[pos] === close) {
+                return { value: result, end: pos + 1 };
+            }
+            let key;
+            if (ch === '{') {
+                if (text[pos] === '"') {
+                    const parsed = parse_legacy_value(text, pos);
+                    key = parsed.value;
+                    pos = parsed.end;
+                } else {
+                    const colon = text.indexOf(':', pos);
+                    if (colon < 0) {
+                        fail();
+                    }
+                    key = text.slice(pos, colon).trim();
+                    pos = colon;
+                }
+                if (text[pos] !== ':') {
+                    fail();
+                }
+                pos++;
+            }
+            const item = parse_legacy_value(text, pos);
+            if (ch === '{') {
+                result[key] = item.value;
+            } else {
+                result.push(item.value);
+            }
+            pos = item.end;
+            skip();
+            if (text[pos] === ',') {
+                pos++;
+            } else if (text[pos] !== close) {
+                fail();
+            }
+        }
+    }
+    if (ch === '"' || ch === "'") {
+        let value = '';
+        for (pos++; pos < text.length && text[pos] !== ch; pos++) {
+            value += text[pos] === '\\' ? text[++pos] : text[pos];
+        }
+        if (pos >= text.length) {
+            fail();
+        }
+        return { value, end: pos + 1 };
+    }
+    const start = pos;
+    if (ch === '/') {
+        for (pos++; pos < text.length && text[pos] !== '/'; pos++) {
+            if (text[pos] === '\\') {
+                pos++;
+            }
+        }
+        pos++;
+        while (/[a-z]/.test(text[pos] || '')) {
+            pos++;
+        }
+        return { value: text.slice(start, pos), end: pos };
+    }
+    if (text.startsWith('new ', pos)) {
+        pos += 4;
+    }
+    while (pos < text.length && /[\w$.+-]/.test(text[pos])) {
+        pos++;
+    }
+    if (text[pos] === '(') {
+        // A constructor such as ObjectId('...') or Timestamp(1, 2): skip to the matching parenthesis
+        let depth = 0;
+        let quote = null;
+        for (; pos < text.length; pos++) {
+            const c = text[pos];
+            if (quote) {
+                quote = c === quote ? null : quote;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === '(') {
+                depth++;
+            } else if (c === ')' && --depth === 0) {
+                break;
+            }
+        }
+        if (pos >= text.length) {
+            fail();
+        }
+        return { value: text.slice(start, pos + 1), end: pos + 1 };
+    }
+    const token = text.slice(start, pos);
+    if (token === '') {
+        fail();
+    }
+    const literals = { true: true, false: false, null: null, undefined: null };
+    if (token in literals) {
+        return { value: literals[token], end: pos };
+    }
+    return { value: /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(token) ? Number(token) : token, end: pos };
+}
+
+// Function to read the 'key: value' fields of a legacy log line. A value is a document, a quoted
+// string, a word followed by a document (command: find { ... }, planSummary: IXSCAN { a: 1 }, which
+// may repeat after commas) or a bare word such as keysExamined:1. Reading stops at the duration.
+function parse_legacy_fields(text) {
+    const fields = {};
+    let pos = 0;
+    for (;;) {
+        while (text[pos] === ' ') {
+            pos++;
+        }
+        const key_match = /^([A-Za-z_$][\w$.]*):/.exec(text.slice(pos, pos + 100));
+        if (!key_match) {
+            return fields;
+        }
+        pos += key_match[0].length;
+        while (text[pos] === ' ') {
+            pos++;
+        }
+        const start = pos;
+        if (text[pos] === '{' || text[pos] === '"' || text[pos] === '[') {
+            const parsed = parse_legacy_value(text, pos);
+            fields[key_match[1]] = { value: parsed.value, raw: text.slice(start, parsed.end) };
+            pos = parsed.end;
+            continue;
+        }
+        let word_end = text.indexOf(' ', pos);
+        word_end = word_end < 0 ? text.length : word_end;
+        const word = text.slice(pos, word_end);
+        pos = word_end;
+        let document = null;
+        while (text[pos + 1] === '{') {
+            const parsed = parse_legacy_value(text, pos + 1);
+            document = document || parsed.value;
+            pos = parsed.end;
+            // Further plans of a multi-plan summary: ', IXSCAN { b: 1 }'
+            const next = /^, [A-Z_]+(?= \{)/.exec(text.slice(pos, pos + 40));
+            if (!next) {
+                break;
+            }
+            pos += next[0].length;
+        }
+        fields[key_match[1]] = { value: document ? { name: word, document } : parse_legacy_value(word, 0).value, raw: text.slice(start, pos) };
+    }
+}
+
+// Legacy (pre-4.4) log line of a slow operation: timestamp, severity, component, context, op, namespace,
+// fields and the duration, e.g. '... I COMMAND  [conn12] command test.c appName: "x" command: find { ... } ... 120ms'
+const LEGACY_SLOW_OP_LINE = /^(\d{4}-\d\d-\d\dT\S+) [A-Z]\d? (COMMAND|WRITE|QUERY)\s+\[[^\]]*\] (command|query|update|remove|getmore|insert) (\S+) (.*) (\d+)ms$/;
+
+// Function to turn a slow operation logged by mongod into a system.profile style entry, so the
+// analysis treats it like a profiled operation. `slow_op` holds the attributes of a structured log
+// line (type, ns, command, originatingCommand, planSummary, durationMillis, ...) or the same read
+// from a legacy text line.
+function slow_op_to_profile_entry(slow_op, timestamp) {
+    const command = is_document(slow_op.command) ? slow_op.command : null;
+    let op = slow_op.type;
+    if (op === 'command' && command) {
+        op = { find: 'query', getMore: 'getmore', insert: 'insert' }[Object.keys(command)[0]] || 'command';
+    }
+    const entry = { op, ns: slow_op.ns, ts: timestamp };
+    if (command) {
+        entry.command = command;
+    }
+    if (is_document(slow_op.originatingCommand)) {
+        entry.originatingCommand = slow_op.originatingCommand;
+    }
+    if (is_document(slow_op.query)) {
+        entry.query = slow_op.query;
+    }
+    if (is_document(slow_op.updateobj)) {
+        entry.updateobj = slow_op.updateobj;
+    }
+    for (const field of ['planSummary', 'keysExamined', 'docsExamined', 'nreturned', 'appName']) {
+        if (slow_op[field] !== undefined) {
+            entry[field] = slow_op[field];
+        }
+    }
+    entry.millis = Number(slow_op.durationMillis) || 0;
+    if (slow_op.remote) {
+        entry.client = String(slow_op.remote).replace(/:\d+$/, '');
+    }
+    return entry;
+}
+
+// Function to parse one mongod log line into a profile entry. Structured JSON lines (4.4+) count when
+// they are 'Slow query' messages, legacy text lines when they log an operation with its duration.
+// Returns null for every other line and throws on a slow operation line it cannot read.
+function parse_log_line(line) {
+    if (line.startsWith('{')) {
+        const record = JSON.parse(line);
+        if (record.msg !== 'Slow query' || !is_document(record.attr) || !record.attr.ns) {
+            return null;
+        }
+        const timestamp = record.t && record.t.$date !== undefined ? plain_extended_json(record.t) : null;
+        return slow_op_to_profile_entry(plain_extended_json(record.attr), timestamp);
+    }
+    const match = LEGACY_SLOW_OP_LINE.exec(line);
+    if (!match) {
+        return null;
+    }
+    const [, timestamp, , type, ns, rest, millis] = match;
+    const fields = parse_legacy_fields(rest);
+    const value = name => (fields[name] ? fields[name].value : undefined);
+    const number = (...names) => names.map(value).find(item => typeof item === 'number');
+    const command = value('command');
+    return slow_op_to_profile_entry({
+        type,
+        ns,
+        command: command && command.document ? command.document : command,
+        originatingCommand: value('originatingCommand'),
+        query: value('query'),
+        updateobj: type === 'update' ? value('update') : undefined,
+        planSummary: fields.planSummary ? fields.planSummary.raw : undefined,
+        keysExamined: number('keysExamined', 'nscanned'),
+        docsExamined: number('docsExamined', 'nscannedObjects'),
+        nreturned: number('nreturned'),
+        appName: value('appName'),
+        durationMillis: Number(millis)
+    }, timestamp);
+}
+
+// Function to list the log files to read: the file itself, or every file of a directory oldest
+// first by modification time, so rotated logs (mongod.log.1, mongod.log.2024-01-01T00-00-00,
+// mongod.log.2.gz) come before the current one
+function list_log_files(input_path) {
+    if (!fs.statSync(input_path).isDirectory()) {
+        return [input_path];
+    }
+    return fs.readdirSync(input_path)
+        .filter(name => !name.startsWith('.'))
+        .map(name => path.join(input_path, name))
+        .filter(file => fs.statSync(file).isFile())
+        .sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+}
+
+// Function to read the slow operations of mongod log files as profile entries, one line at a time.
+// Gzipped files are decompressed on the fly. `stats` receives the number of files, lines, slow
+// operations and slow operation lines that could not be read (for example truncated commands).
+async function* read_log_entries(input_path, { on_progress = null, stats = {} } = {}) {
+    const readline = require('readline');
+    const files = list_log_files(input_path);
+    const total_bytes = files.reduce((sum, file) => sum + fs.statSync(file).size, 0);
+    Object.assign(stats, { files: files.length, lines: 0, entries: 0, unreadable: 0 });
+    let bytes_done = 0;
+    for (const file of files) {
+        const { raw, stream } = open_input_stream(file);
+        for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+            stats.lines++;
+            // Every line counts towards progress, including the ones that cannot be read
+            if (on_progress && stats.lines % 1000 === 0) {
+                on_progress({ entries: stats.entries, bytes_read: bytes_done + raw.bytesRead, total_bytes });
+            }
+            let entry;
+            try {
+                entry = parse_log_line(line);
+            } catch (error) {
+                stats.unreadable++;
+                continue;
+            }
+            if (entry) {
+                stats.entries++;
+                entry.source = { log: path.basename(file) };
+                yield entry;
+            }
+        }
+        bytes_done += fs.statSync(file).size;
+    }
+}
+
+// Parts of a command document that hold query language, keyed by command name
+const COMMAND_PARTS = {
+    find: { filter: 'filter', projection: 'projection', sort: 'sort' },
+    aggregate: { pipeline: 'pipeline' },
+    count: { filter: 'query' },
+    distinct: { filter: 'query' },
+    findAndModify: { filter: 'query', update: 'update', sort: 'sort', projection: 'fields' },
+    findandmodify: { filter: 'query', update: 'update', sort: 'sort', projection: 'fields' },
+    update: { updates: 'updates' },
+    delete: { deletes: 'deletes' },
+    mapReduce: { filter: 'query', sort: 'sort' },
+    mapreduce: { filter: 'query', sort: 'sort' }
+};
+
+// Parts of CRUD profile entries that hold query language, keyed by op.
+// Each part lists alternative paths, the first one present wins; pre-3.6 layouts come last.
+const OPERATION_PARTS = {
+    query: { filter: ['command.filter', 'query.filter', 'query'], projection: ['command.projection', 'query.projection'], sort: ['command.sort', 'query.sort'] },
+    update: { filter: ['command.q', 'query'], update: ['command.u', 'updateobj'] },
+    remove: { filter: ['command.q', 'query'] },
+    insert: {}
+};
+
+// Function to read a dotted path such as 'command.filter' from an object
+function get_path(obj, dotted_path) {
+    return dotted_path.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), obj);
+}
+
+// Function to pick the parts of a profile entry that hold query language for its op type.
+// Commands are inspected by command name, getmore entries through the command that opened the cursor,
+// and commands without a known layout as a whole (without the driver's $-prefixed metadata).
+function extract_operation_parts(entry) {
+    const parts = [];
+    if (entry.op === 'command' || entry.op === 'getmore') {
+        const command = entry.op === 'getmore' ? entry.originatingCommand : entry.command;
+        if (command === null || typeof command !== 'object') {
+            return parts;
+        }
+        const layout = COMMAND_PARTS[Object.keys(command)[0]];
+        if (layout) {
+            for (const [part, key] of Object.entries(layout)) {
+                if (command[key] !== undefined) {
+                    parts.push({ part, value: command[key] });
+                }
+            }
+        } else if (entry.op === 'command') {
+            const value = Object.fromEntries(Object.entries(command).filter(([key]) => !key.startsWith('$')));
+            parts.push({ part: 'command', value });
+        }
+        return parts;
+    }
+
+    for (const [part, paths] of Object.entries(OPERATION_PARTS[entry.op] || {})) {
+        const found = paths.map(dotted_path => get_path(entry, dotted_path)).find(value => value !== undefined);
+        if (found !== undefined) {
+            parts.push({ part, value: found });
+        }
+    }
+    return parts;
+}
+
+// Positions an operator can take. 'projection' also covers find sort modifiers, 'variable' system
+// variables such as $$NOW used inside expressions, 'other' operators found in commands without a known layout.
+const OPERATOR_CONTEXTS = ['query', 'update', 'stage', 'accumulator', 'expression', 'projection', 'variable', 'other'];
+
+// Query operators whose arguments are parameters rather than nested operators, e.g. $text: { $search }
+const QUERY_PARAMETER_OPERATORS = ['$text', '$regex', '$options', '$mod', '$size', '$type', '$exists', '$where', '$comment', '$jsonSchema'];
+
+// Operators that are only valid inside a find projection; everything else there is an aggregation expression
+const PROJECTION_OPERATORS = ['$slice', '$elemMatch', '$meta'];
+
+// Stage arguments that are options or field paths rather than query language
+const LITERAL_STAGES = [
+    '$sort', '$limit', '$skip', '$count', '$out', '$sample', '$unset', '$unwind', '$indexStats', '$collStats',
+    '$currentOp', '$changeStream', '$listSessions', '$listLocalSessions', '$planCacheStats', '$search', '$searchMeta',
+    '$vectorSearch', '$densify', '$fill'
+];
+
+function is_document(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Function to walk a query predicate (find filter, $match, $pull condition, ...)
+function walk_query(node, visit) {
+    if (Array.isArray(node)) {
+        node.forEach(item => walk_query(item, visit));
+        return;
+    }
+    if (!is_document(node)) {
+        return;
+    }
+    for (const [key, value] of Object.entries(node)) {
+        if (key.startsWith('$')) {
+            visit(key, 'query');
+            if (key === '$expr') {
+                walk_expression(value, visit);
+            } else if (!QUERY_PARAMETER_OPERATORS.includes(key)) {
+                walk_query(value, visit);
+            }
+        } else {
+            walk_query(value, visit);
+        }
+    }
+}
+
+// Function to walk an update document; an array is a pipeline-style update
+function walk_update(node, visit) {
+    if (Array.isArray(node)) {
+        walk_pipeline(node, visit);
+        return;
+    }
+    if (!is_document(node)) {
+        return;
+    }
+    for (const [key, value] of Object.entries(node)) {
+        // Keys without $ belong to a replacement document, which holds no operators
+        if (!key.startsWith('$')) {
+            continue;
+        }
+        visit(key, 'update');
+        if (key === '$pull') {
+            walk_query(value, visit);
+        } else if ((key === '$push' || key === '$addToSet') && is_document(value)) {
+            // Modifiers such as $each, $sort, $slice and $position
+            Object.values(value).filter(is_document).forEach(field_value => {
+                Object.keys(field_value).filter(modifier => modifier.startsWith('$')).forEach(modifier => visit(modifier, 'update'));
+            });
+        }
+    }
+}
+
+// Function to walk an aggregation pipeline
+function walk_pipeline(stages, visit) {
+    if (!Array.isArray(stages)) {
+        return;
+    }
+    for (const stage of stages.filter(is_document)) {
+        for (const [name, spec] of Object.entries(stage)) {
+            if (name.startsWith('$')) {
+                visit(name, 'stage');
+                walk_stage(name, spec, visit);
+            }
+        }
+    }
+}
+
+// Function to walk the arguments of one pipeline stage according to what they hold
+function walk_stage(name, spec, visit) {
+    const field = key => (is_document(spec) ? spec[key] : undefined);
+    switch (name) {
+        case '$match':
+            walk_query(spec, visit);
+            break;
+        case '$group':
+            for (const [key, value] of Object.entries(is_document(spec) ? spec : {})) {
+                if (key === '_id') {
+                    walk_expression(value, visit);
+                } else {
+                    walk_accumulators(value, visit);
+                }
+            }
+            break;
+        case '$bucket':
+        case '$bucketAuto':
+            walk_expression(field('groupBy'), visit);
+            Object.values(field('output') || {}).forEach(value => walk_accumulators(value, visit));
+            break;
+        case '$setWindowFields':
+            walk_expression(field('partitionBy'), visit);
+            Object.values(field('output') || {}).forEach(value => walk_accumulators(value, visit));
+            break;
+        case '$lookup':
+            walk_expression(field('let'), visit);
+            walk_pipeline(field('pipeline'), visit);
+            break;
+        case '$graphLookup':
+            walk_expression(field('startWith'), visit);
+            walk_query(field('restrictSearchWithMatch'), visit);
+            break;
+        case '$facet':
+            Object.values(is_document(spec) ? spec : {}).forEach(pipeline => walk_pipeline(pipeline, visit));
+            break;
+        case '$unionWith':
+            walk_pipeline(field('pipeline'), visit);
+            break;
+        case '$geoNear':
+            walk_query(field('query'), visit);
+            break;
+        case '$merge':
+            walk_expression(field('let'), visit);
+            walk_pipeline(field('whenMatched'), visit);
+            break;
+        default:
+            // $project, $addFields, $set, $replaceRoot, $replaceWith, $redact, $sortByCount, ... take expressions
+            if (!LITERAL_STAGES.includes(name)) {
+                walk_expression(spec, visit);
+            }
+    }
+}
+
+// Function to walk accumulator specifications such as { $sum: '$qty' } in $group or window output
+function walk_accumulators(node, visit) {
+    if (!is_document(node)) {
+        return;
+    }
+    for (const [key, value] of Object.entries(node)) {
+        // Non-$ keys are options such as the 'window' of $setWindowFields
+        if (key.startsWith('$')) {
+            visit(key, 'accumulator');
+            walk_expression(value, visit);
+        }
+    }
+}
+
+// Function to walk an aggregation expression, including system variables such as '$$NOW'
+function walk_expression(node, visit) {
+    if (typeof node === 'string') {
+        const variable = /^\$\$([A-Z_]+)\b/.exec(node);
+        if (variable) {
+            visit(`$$${variable[1]}`, 'variable');
+        }
+    } else if (Array.isArray(node)) {
+        node.forEach(item => walk_expression(item, visit));
+    } else if (is_document(node)) {
+        for (const [key, value] of Object.entries(node)) {
+            if (key.startsWith('$')) {
+                visit(key, 'expression');
+                if (key === '$literal') {
+                    continue;
+                }
+            }
+            walk_expression(value, visit);
+        }
+    }
+}
+
+// Function to walk a find projection or sort
+function walk_projection(node, visit) {
+    for (const value of Object.values(is_document(node) ? node : {})) {
+        if (!is_document(value)) {
+            continue;
+        }
+        for (const [key, argument] of Object.entries(value)) {
+            if (PROJECTION_OPERATORS.includes(key)) {
+                visit(key, 'projection');
+                if (key === '$elemMatch') {
+                    walk_query(argument, visit);
+                }
+            } else {
+                walk_expression({ [key]: argument }, visit);
+            }
+        }
+    }
+}
+
+// Function to walk a document whose layout is unknown, reporting every $-prefixed key
+function walk_other(node, visit) {
+    if (Array.isArray(node)) {
+        node.forEach(item => walk_other(item, visit));
+    } else if (is_document(node)) {
+        for (const [key, value] of Object.entries(node)) {
+            if (key.startsWith('$')) {
+                visit(key, 'other');
+            }
+            walk_other(value, visit);
+        }
+    }
+}
+
+// Function to report each operator inside one part of a profile entry together with its position
+function classify_operators({ part, value }, visit) {
+    switch (part) {
+        case 'filter':
+            walk_query(value, visit);
+            break;
+        case 'projection':
+        case 'sort':
+            walk_projection(value, visit);
+            break;
+        case 'update':
+            walk_update(value, visit);
+            break;
+        case 'pipeline':
+            walk_pipeline(value, visit);
+            break;
+        case 'updates':
+            (Array.isArray(value) ? value : []).filter(is_document).forEach(statement => {
+                walk_query(statement.q, visit);
+                walk_update(statement.u, visit);
+            });
+            break;
+        case 'deletes':
+            (Array.isArray(value) ? value : []).filter(is_document).forEach(statement => walk_query(statement.q, visit));
+            break;
+        default:
+            walk_other(value, visit);
+    }
+}
+
+// Function to list the rule sets shipped in the rules directory
+function list_rule_sets() {
+    if (!fs.existsSync(RULES_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(RULES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            const rule_set = load_json(path.join(RULES_DIR, file));
+            return { id: rule_set.id || path.basename(file, '.json'), name: rule_set.name, version: rule_set.version };
+        });
+}
+
+// Function to find a rule set file: a path to a JSON file, or the id of a file in the rules directory
+function resolve_rule_set_file(target) {
+    if (fs.existsSync(target) && fs.statSync(target).isFile()) {
+        return target;
+    }
+    const file = path.join(RULES_DIR, `${target}.json`);
+    if (!fs.existsSync(file)) {
+        const available = list_rule_sets().map(rule_set => rule_set.id).join(', ');
+        throw new Error(`Unknown target '${target}'. Available targets: ${available || 'none'}.`);
+    }
+    return file;
+}
+
+// Function to check one rule file and expand its grouped rules ({ operators: [...] }) into single rules
+function expand_rules(rule_file, file) {
+    if (!Array.isArray(rule_file.rules)) {
+        throw new Error(`Rule file '${file}' has no 'rules' array.`);
+    }
+    return rule_file.rules.flatMap((rule, i) => {
+        const where = `rule ${i + 1} of '${file}'`;
+        const operators = rule.operators || (rule.operator ? [rule.operator] : []);
+        if (operators.length === 0 || operators.some(operator => typeof operator !== 'string' || !operator.startsWith('$'))) {
+            throw new Error(`${where} needs 'operator' or 'operators' naming $-prefixed operators.`);
+        }
+        if (!RULE_STATUSES.includes(rule.status)) {
+            throw new Error(`${where} has status '${rule.status}', expected one of ${RULE_STATUSES.join(', ')}.`);
+        }
+        if (rule.severity !== undefined && !RULE_SEVERITIES.includes(rule.severity)) {
+            throw new Error(`${where} has severity '${rule.severity}', expected one of ${RULE_SEVERITIES.join(', ')}.`);
+        }
+        const contexts = rule.context === undefined ? [null] : [].concat(rule.context);
+        const unknown_context = contexts.find(context => context !== null && !OPERATOR_CONTEXTS.includes(context));
+        if (unknown_context !== undefined) {
+            throw new Error(`${where} has context '${unknown_context}', expected one of ${OPERATOR_CONTEXTS.join(', ')}.`);
+        }
+        return operators.flatMap(operator => contexts.map(context => ({
+            operator,
+            context,
+            status: rule.status,
+            severity: rule.severity || DEFAULT_SEVERITY[rule.status],
+            note: rule.note || null,
+            link: rule.link || rule_file.documentation || null
+        })));
+    });
+}
+
+// Function to load a compatibility rule set for a target, following its 'extends' chain,
+// and layer custom override files on top in order. Later rules win, and a rule for a specific
+// position (context) wins over a rule for the operator in general.
+function load_rule_set(target = DEFAULT_TARGET, override_files = []) {
+    const chain = [];
+    let file = resolve_rule_set_file(target);
+    while (file) {
+        if (chain.some(link => link.file === file)) {
+            throw new Error(`Rule set '${file}' extends itself.`);
+        }
+        const rule_file = load_json(file);
+        chain.unshift({ file, rule_file });
+        file = rule_file.extends ? resolve_rule_set_file(rule_file.extends) : null;
+    }
+    const base = chain[chain.length - 1].rule_file;
+    for (const override_file of override_files) {
+        if (!fs.existsSync(override_file)) {
+            throw new Error(`Rule override file '${override_file}' does not exist.`);
+        }
+        chain.push({ file: override_file, rule_file: load_json(override_file) });
+    }
+
+    const general = new Map();   // operator -> rule
+    const by_context = new Map(); // `${context} ${operator}` -> rule
+    for (const { file: rule_path, rule_file } of chain) {
+        for (const rule of expand_rules(rule_file, rule_path)) {
+            if (rule.context) {
+                by_context.set(`${rule.context} ${rule.operator}`, rule);
+            } else {
+                general.set(rule.operator, rule);
+            }
+        }
+    }
+
+    // Data type rules, index feature rules and document limits, later files win;
+    // types and index features without a rule are supported
+    const type_rules = new Map();
+    const index_rules = new Map();
+    const limits = {};
+    for (const { file: rule_path, rule_file } of chain) {
+        (rule_file.type_rules || []).forEach((rule, i) => {
+            if (!Array.isArray(rule.types) || !TYPE_STATUSES.includes(rule.status)) {
+                throw new Error(`type rule ${i + 1} of '${rule_path}' needs a 'types' array and a status of ${TYPE_STATUSES.join(', ')}.`);
+            }
+            for (const type of rule.types) {
+                type_rules.set(type, { type, status: rule.status, severity: rule.severity || (rule.status === 'supported' ? 'info' : 'medium'), note: rule.note || null });
+            }
+        });
+        (rule_file.index_rules || []).forEach((rule, i) => {
+            if (!Array.isArray(rule.features) || !INDEX_STATUSES.includes(rule.status)) {
+                throw new Error(`index rule ${i + 1} of '${rule_path}' needs a 'features' array and a status of ${INDEX_STATUSES.join(', ')}.`);
+            }
+            for (const feature of rule.features) {
+                index_rules.set(feature, { feature, status: rule.status, severity: rule.severity || (rule.status === 'supported' ? 'info' : 'medium'), note: rule.note || null });
+            }
+        });
+        Object.assign(limits, rule_file.limits);
+    }
+
+    // Remediation catalog: suggested rewrites for operators a target lacks, later files win
+    // and a suggestion for a specific position wins over one for the operator in general
+    const remediations = new Map(); // `${context || ''} ${operator}` -> remediation
+    for (const { file: rule_path, rule_file } of chain) {
+        (rule_file.remediations || []).forEach((entry, i) => {
+            const where = `remediation ${i + 1} of '${rule_path}'`;
+            const operators = entry.operators || (entry.operator ? [entry.operator] : []);
+            if (operators.length === 0 || operators.some(operator => typeof operator !== 'string' || !operator.startsWith('$')) || typeof entry.suggestion !== 'string') {
+                throw new Error(`${where} needs 'operator' or 'operators' naming $-prefixed operators and a 'suggestion'.`);
+            }
+            if (entry.context !== undefined && !OPERATOR_CONTEXTS.includes(entry.context)) {
+                throw new Error(`${where} has context '${entry.context}', expected one of ${OPERATOR_CONTEXTS.join(', ')}.`);
+            }
+            for (const operator of operators) {
+                remediations.set(`${entry.context || ''} ${operator}`, {
+                    operator,
+                    context: entry.context || null,
+                    suggestion: entry.suggestion,
+                    before: entry.before || null,
+                    after: entry.after || null,
+                    link: entry.link || null
+                });
+            }
+        });
+    }
+
+    const default_status = chain.reduce((status, { rule_file }) => rule_file.default_status || status, 'unknown');
+    const default_rule = {
+        status: default_status,
+        severity: DEFAULT_SEVERITY[default_status],
+        note: default_status === 'unknown' ? 'Not covered by the rule set.' : null,
+        link: base.documentation || null
+    };
+
+    return {
+        id: base.id || target,
+        name: base.name || base.id || target,
+        version: base.version || null,
+        documentation: base.documentation || null,
+        default_status,
+        sources: chain.map(({ file: rule_path, rule_file }) => ({ file: rule_path, id: rule_file.id || null, version: rule_file.version || null })),
+        limits,
+        // Function to find the rule that applies to an operator in a given position
+        lookup(operator, context) {
+            return by_context.get(`${context} ${operator}`) || general.get(operator) || { operator, context, ...default_rule };
+        },
+        // Function to find the rule that applies to a BSON type
+        type_lookup(type) {
+            return type_rules.get(type) || { type, status: 'supported', severity: 'info', note: null };
+        },
+        // Function to find the rule that applies to an index feature
+        index_lookup(feature) {
+            return index_rules.get(feature) || { feature, status: 'supported', severity: 'info', note: null };
+        },
+        // Function to find the suggested rewrite for an operator in a given position, or null
+        remediation_lookup(operator, context) {
+            return remediations.get(`${context} ${operator}`) || remediations.get(` ${operator}`) || null;
+        }
+    };
+}
+
+// Parts whose literal values are part of the shape: a sort direction or projection changes the query
+const SHAPE_LITERAL_PARTS = ['sort', 'projection'];
+
+// Number of distinct query shapes tracked; executions of further shapes are only counted
+// so memory stays bounded on workloads with unparameterized queries
+const DEFAULT_MAX_SHAPES = 10000;
+
+// Function to replace literal values with '?' so executions that differ only in their values share a shape.
+// Field paths and variables ('$qty', '$$NOW') are kept, and arrays of literals such as $in lists collapse to ['?'].
+function normalize_shape(value, keep_literals = false) {
+    if (Array.isArray(value)) {
+        const items = value.map(item => normalize_shape(item, keep_literals));
+        if (items.every(item => item === null || typeof item !== 'object')) {
+            return [...new Set(items)];
+        }
+        return items;
+    }
+    if (is_document(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize_shape(item, keep_literals)]));
+    }
+    if (typeof value === 'string' && value.startsWith('$')) {
+        return value;
+    }
+    return keep_literals ? value : '?';
+}
+
+// Function to compute the query shape of a profile entry from its parts: namespace, op, command name
+// and the normalized query language, plus a short fingerprint identifying it
+function query_shape(entry, parts) {
+    const command = entry.op === 'getmore' ? entry.originatingCommand : entry.command;
+    // Update and remove entries hold the statement ({ q, u }) rather than a named command
+    const command_name = is_document(command) && !['update', 'remove'].includes(entry.op) ? Object.keys(command)[0] : null;
+    // A getmore takes the shape of the command that opened its cursor, profiled as a query (find) or a command
+    let op = entry.op || 'unknown';
+    if (op === 'getmore' && command_name) {
+        op = command_name === 'find' ? 'query' : 'command';
+    }
+    const shape = Object.fromEntries(parts.map(({ part, value }) => [part, normalize_shape(value, SHAPE_LITERAL_PARTS.includes(part))]));
+    const key = JSON.stringify([entry.ns || null, op, command_name, shape]);
+    const fingerprint = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+    return { fingerprint, ns: entry.ns || null, op, command: command_name, shape };
+}
+
+// Profile fields used to attribute the workload to the teams that own it
+const ATTRIBUTION_DIMENSIONS = { application: 'appName', client: 'client', user: 'user', collection: 'ns' };
+
+// Distinct values tracked per dimension and example shapes kept per value; the rest fall into '(other)'
+const MAX_ATTRIBUTION_GROUPS = 1000;
+const MAX_GROUP_SHAPES = 20;
+
+// Function to finish attribution groups: readiness is the share of executions without not supported
+// operators, and the example shapes are the most frequent not supported shapes of the group
+function finalize_attribution(attribution) {
+    const result = {};
+    for (const [dimension, groups] of Object.entries(attribution)) {
+        result[dimension] = Object.entries(groups)
+            .map(([name, group]) => ({
+                name,
+                ...group,
+                readiness: group.entries > 0 ? (group.supported / group.entries) * 100 : 100,
+                example_shapes: Object.entries(group.shapes).sort(([, a], [, b]) => b - a).slice(0, 5).map(([fingerprint]) => fingerprint)
+            }))
+            .sort((a, b) => (b.not_supported - a.not_supported) || (b.entries - a.entries));
+        result[dimension].forEach(group => delete group.shapes);
+    }
+    return result;
+}
+
+// Workload features that matter for the target beyond single operators, in report order. They are
+// detected from profile entries and, for capped collections and GridFS buckets, from collection metadata.
+const WORKLOAD_FEATURES = {
+    transactions: { label: 'Multi-document transactions', note: 'Check that the target supports multi-document transactions and their time and size limits.' },
+    retryable_writes: { label: 'Retryable writes', note: 'Retryable writes rely on sessions; check that the target accepts them or set retryWrites=false in the connection string.' },
+    change_streams: { label: 'Change streams', note: 'Change streams need a replacement on the target, such as a queue or change data capture.' },
+    awaiting_getmore: { label: 'Long-running getMores without results', note: 'getMores that wait a second or more and return nothing usually belong to change streams or tailable cursors.' },
+    tailable_cursors: { label: 'Tailable cursors', note: 'Tailable cursors need a replacement such as polling or a queue.' },
+    capped_collections: { label: 'Capped collections', note: 'Capped collections have no direct equivalent; a purge job or partitioning keeps the size bounded.' },
+    gridfs: { label: 'GridFS', note: 'GridFS splits files into chunk documents; consider storing files as BLOBs or in object storage.' },
+    server_side_js: { label: 'Server-side JavaScript', note: 'Server-side JavaScript ($where, $function, $accumulator, mapReduce) has to move into the application or aggregation stages.' },
+    out_merge: { label: '$out and $merge', note: 'Pipelines writing into other collections; check that the target supports the stages and that the written collections are migrated.' }
+};
+const MAX_FEATURE_EXAMPLES = 3;
+const SERVER_SIDE_JS_OPERATORS = ['$where', '$function', '$accumulator'];
+const SERVER_SIDE_JS_COMMANDS = ['mapReduce', 'mapreduce', 'group', 'eval', '$eval'];
+const AWAITING_GETMORE_MILLIS = 1000;
+
+// Function to name the collection a $out or $merge stage writes to
+function stage_target(stage, db) {
+    const spec = stage.$out !== undefined ? stage.$out : stage.$merge;
+    const into = stage.$merge !== undefined && is_document(spec) ? spec.into : spec;
+    if (typeof into === 'string') {
+        return `${db}.${into}`;
+    }
+    return is_document(into) && into.coll ? `${into.db || db}.${into.coll}` : null;
+}
+
+// Function to detect the workload features of one profile entry from its command, its pipeline and the
+// operators it uses. Returns { [feature]: true }, or the written namespaces for $out and $merge.
+function detect_workload_features(entry, parts, operators) {
+    const features = {};
+    const command = is_document(entry.command) ? entry.command : {};
+    const originating = is_document(entry.originatingCommand) ? entry.originatingCommand : {};
+    const command_name = Object.keys(command)[0];
+    // Session fields sit in the command of command entries and at the top of CRUD entries
+    const session_field = name => (command[name] !== undefined ? command[name] : entry[name]);
+
+    if (session_field('autocommit') === false || command.startTransaction || ['commitTransaction', 'abortTransaction'].includes(command_name)) {
+        features.transactions = true;
+    } else if (session_field('txnNumber') !== undefined) {
+        features.retryable_writes = true;
+    }
+    const pipeline = (parts.find(({ part }) => part === 'pipeline') || {}).value;
+    const stages = Array.isArray(pipeline) ? pipeline.filter(is_document) : [];
+    if (stages.some(stage => stage.$changeStream !== undefined)) {
+        features.change_streams = true;
+    } else if (entry.op === 'getmore' && Number(entry.millis) >= AWAITING_GETMORE_MILLIS && !Number(entry.nreturned)) {
+        features.awaiting_getmore = true;
+    }
+    if (command.tailable || originating.tailable) {
+        features.tailable_cursors = true;
+    }
+    if ((command_name === 'create' && command.capped) || ['convertToCapped', 'cloneCollectionAsCapped'].includes(command_name)) {
+        features.capped_collections = true;
+    }
+    if (/\.(files|chunks)$/.test(entry.ns || '')) {
+        features.gridfs = true;
+    }
+    if (SERVER_SIDE_JS_OPERATORS.some(operator => operators.has(operator)) || SERVER_SIDE_JS_COMMANDS.includes(command_name)) {
+        features.server_side_js = true;
+    }
+    const targets = stages.filter(stage => stage.$out !== undefined || stage.$merge !== undefined)
+        .map(stage => stage_target(stage, (entry.ns || '').split('.')[0]))
+        .filter(Boolean);
+    if (targets.length > 0) {
+        features.out_merge = targets;
+    }
+    return features;
+}
+
+// Function to add the capped collections and GridFS buckets (a '.files' and '.chunks' pair) found in
+// the collection metadata of a metrics file to the detected features
+function add_collection_features(features, collections) {
+    const names = new Set(collections.map(collection => collection.ns));
+    const add = (feature, found) => {
+        if (found.length > 0) {
+            const stats = features[feature] || (features[feature] = { entries: 0, namespaces: {}, targets: {}, examples: [] });
+            stats.collections = found;
+        }
+    };
+    add('capped_collections', collections.filter(collection => collection.capped).map(collection => collection.ns));
+    add('gridfs', [...names].filter(ns => ns.endsWith('.files')).map(ns => ns.slice(0, -'.files'.length)).filter(bucket => names.has(`${bucket}.chunks`)));
+}
+
+// Function to rank query shapes by impact: total execution time first, then executions
+function rank_shapes(shapes) {
+    return shapes.sort((a, b) => (b.total_millis - a.total_millis) || (b.count - a.count));
+}
+
+// Function to analyze keywords in the data. `data` may be an array or an (async) iterable
+// of profile entries, such as the generator returned by read_profile_entries. Operators are
+// judged against `rule_set` (see load_rule_set), the default target when none is given.
+// Entries are grouped into query shapes, each keeping its first entry as an example.
+async function analyze_keywords(data, { rule_set = null, max_shapes = DEFAULT_MAX_SHAPES } = {}) {
+    rule_set = rule_set || load_rule_set(DEFAULT_TARGET);
+    const supported_dictionary = {};
+    const not_supported_dictionary = {};
+    const unknown_dictionary = {};
+    const operator_contexts = {}; // Per position: { [operator]: { count, status } }
+    const command_totals = { supported: 0, not_supported: 0 };
+    const op_types = {}; // Per op type: entry counts and operator dictionaries
+    const shapes = new Map(); // Fingerprint -> shape statistics
+    const shape_overflow = { entries: 0 };
+    const attribution = Object.fromEntries(Object.keys(ATTRIBUTION_DIMENSIONS).map(dimension => [dimension, {}]));
+    const features = {}; // Per workload feature: entries, namespaces, $out/$merge targets and examples
+
+    function count(dictionary, key) {
+        dictionary[key] = (dictionary[key] || 0) + 1;
+    }
+
+    // Function to classify one operator of an entry; with `counted` unset, only the entry learns about it
+    function record(operator, context, entry_operators, op_stats, counted = true) {
+        const { status, severity, note, link } = rule_set.lookup(operator, context);
+        const remediation = status === 'not_supported' ? rule_set.remediation_lookup(operator, context) : null;
+        if (!counted) {
+            if (status === 'not_supported') {
+                entry_operators.not_supported.add(operator);
+                if (remediation) {
+                    entry_operators.remediations.set(`${context} ${operator}`, remediation);
+                }
+            } else if (status !== 'supported') {
+                entry_operators.unknown.add(operator);
+            }
+            return;
+        }
+        const positions = operator_contexts[context] || (operator_contexts[context] = {});
+        const position = positions[operator] || (positions[operator] = { count: 0, status, severity, note, link, remediation });
+        position.count++;
+        if (status === 'supported') {
+            count(supported_dictionary, operator);
+            count(op_stats.supported_dictionary, operator);
+        } else if (status === 'not_supported') {
+            count(not_supported_dictionary, operator);
+            count(op_stats.not_supported_dictionary, operator);
+            entry_operators.not_supported.add(operator); // Mark as not supported
+            if (remediation) {
+                entry_operators.remediations.set(`${context} ${operator}`, remediation);
+            }
+        } else {
+            count(unknown_dictionary, operator);
+            count(op_stats.unknown_dictionary, operator);
+            entry_operators.unknown.add(operator);
+        }
+    }
+
+    function record_attribution(entry, entry_operators, fingerprint) {
+        for (const [dimension, field] of Object.entries(ATTRIBUTION_DIMENSIONS)) {
+            const groups = attribution[dimension];
+            let name = entry[field] ? String(entry[field]) : '(unknown)';
+            if (!groups[name] && Object.keys(groups).length >= MAX_ATTRIBUTION_GROUPS) {
+                name = '(other)';
+            }
+            const group = groups[name] || (groups[name] = { entries: 0, supported: 0, not_supported: 0, not_supported_operators: {}, unknown_operators: {}, shapes: {} });
+            group.entries++;
+            entry_operators.unknown.forEach(operator => count(group.unknown_operators, operator));
+            if (entry_operators.not_supported.size > 0) {
+                group.not_supported++;
+                entry_operators.not_supported.forEach(operator => count(group.not_supported_operators, operator));
+                if (group.shapes[fingerprint] || Object.keys(group.shapes).length < MAX_GROUP_SHAPES) {
+                    count(group.shapes, fingerprint);
+                }
+            } else {
+                group.supported++;
+            }
+        }
+    }
+
+    function record_features(entry, detected) {
+        for (const [feature, detail] of Object.entries(detected)) {
+            const stats = features[feature] || (features[feature] = { entries: 0, namespaces: {}, targets: {}, examples: [] });
+            stats.entries++;
+            const ns = entry.ns || '(none)';
+            count(stats.namespaces, stats.namespaces[ns] || Object.keys(stats.namespaces).length < MAX_ATTRIBUTION_GROUPS ? ns : '(other)');
+            if (Array.isArray(detail)) {
+                detail.forEach(target => count(stats.targets, target));
+            }
+            if (stats.examples.length < MAX_FEATURE_EXAMPLES) {
+                stats.examples.push(entry);
+            }
+        }
+    }
+
+    function record_shape(entry, { fingerprint, ns, op, command, shape }, entry_operators) {
+        let stats = shapes.get(fingerprint);
+        if (!stats) {
+            if (shapes.size >= max_shapes) {
+                shape_overflow.entries++;
+                return;
+            }
+            stats = {
+                fingerprint, ns, op, command, shape,
+                count: 0, getmores: 0, total_millis: 0, max_millis: 0,
+                docs_examined: 0, keys_examined: 0, docs_returned: 0,
+                plan_summaries: {},
+                not_supported_operators: [...entry_operators.not_supported],
+                unknown_operators: [...entry_operators.unknown],
+                remediations: [...entry_operators.remediations.values()],
+                example: entry
+            };
+            shapes.set(fingerprint, stats);
+        }
+        const millis = Number(entry.millis) || 0;
+        // A getmore adds the time of fetching one more batch, not another execution
+        if (entry.op === 'getmore') {
+            stats.getmores++;
+        } else {
+            stats.count++;
+        }
+        stats.total_millis += millis;
+        stats.max_millis = Math.max(stats.max_millis, millis);
+        stats.docs_examined += Number(entry.docsExamined) || 0;
+        stats.keys_examined += Number(entry.keysExamined) || 0;
+        stats.docs_returned += Number(entry.nreturned) || 0;
+        if (entry.planSummary && entry.op !== 'getmore') {
+            count(stats.plan_summaries, entry.planSummary);
+        }
+    }
+
+    for await (const entry of data) {
+        const entry_operators = { not_supported: new Set(), unknown: new Set(), remediations: new Map() };
+        const op = entry.op || 'unknown';
+        const op_stats = op_types[op] || (op_types[op] = { entries: 0, supported: 0, not_supported: 0, supported_dictionary: {}, not_supported_dictionary: {}, unknown_dictionary: {} });
+        op_stats.entries++;
+
+        // A getmore re-reads the command that opened its cursor, which was counted once already: it only adds
+        // time to that command's shape and is checked for workload features
+        const parts = extract_operation_parts(entry);
+        const operators = new Set();
+        const counted = op !== 'getmore';
+        parts.forEach(part => classify_operators(part, (operator, context) => {
+            operators.add(operator);
+            record(operator, context, entry_operators, op_stats, counted);
+        }));
+        if (!counted) {
+            record_shape(entry, query_shape(entry, parts), entry_operators);
+            record_features(entry, detect_workload_features(entry, parts, operators));
+            continue;
+        }
+        if (entry_operators.not_supported.size > 0) {
+            command_totals.not_supported++;
+            op_stats.not_supported++;
+        } else {
+            command_totals.supported++;
+            op_stats.supported++;
+        }
+        const shape = query_shape(entry, parts);
+        record_shape(entry, shape, entry_operators);
+        record_attribution(entry, entry_operators, shape.fingerprint);
+        record_features(entry, detect_workload_features(entry, parts, operators));
+    }
+
+    const query_shapes = rank_shapes([...shapes.values()]);
+    query_shapes.forEach(shape => {
+        shape.avg_millis = shape.count > 0 ? shape.total_millis / shape.count : 0;
+    });
+
+    const target = { id: rule_set.id, name: rule_set.name, version: rule_set.version, sources: rule_set.sources };
+    return {
+        target, supported_dictionary, not_supported_dictionary, unknown_dictionary, operator_contexts, command_totals, op_types,
+        query_shapes, shape_overflow, attribution: finalize_attribution(attribution), features
+    };
+}
+
+// Function to highlight unsupported keywords in JSON output
+function highlight_not_supported(json_string, not_supported_keywords) {
+    let html = escape_html(json_string);
+    not_supported_keywords.forEach(keyword => {
+        // Operators start with '$', which must be escaped to match literally
+        const regex = new RegExp(escape_html(`"${keyword}"`).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+        html = html.replace(regex, match => `<strong>${match}</strong>`);
+    });
+    return html;
+}
+
+// Function to summarize the keyword analysis
+function summarize_keywords(supported_dictionary, not_supported_dictionary) {
+    const total_supported = Object.values(supported_dictionary).reduce((a, b) => a + b, 0);
+    const total_not_supported = Object.values(not_supported_dictionary).reduce((a, b) => a + b, 0);
+    const total_keywords = total_supported + total_not_supported;
+
+    const supported_percent = total_keywords > 0 ? (total_supported / total_keywords) * 100 : 0;
+
+    return { total_keywords, total_supported, total_not_supported, supported_percent };
+}
+
+// Function to calculate CPU cores based on OPS/sec
+function calculate_cpu_cores(opcounters, uptime_seconds, ops_per_core = 1500) {
+    const total_operations = (
+        opcounters.insert +
+        opcounters.query +
+        opcounters.update +
+        opcounters.delete +
+        opcounters.getmore +
+        opcounters.command +
+        (opcounters.deprecated ? opcounters.deprecated.query : 0)
+    );
+    const ops_per_sec = uptime_seconds > 0 ? total_operations / uptime_seconds : 0;
+    const cpu_cores = Math.ceil(ops_per_sec / ops_per_core);
+    return { total_operations, ops_per_sec, cpu_cores };
+}
+
+// Function to calculate memory requirements based on working set size
+function calculate_memory_requirements(mem_stats, db_stats, memory_buffer = 1.5) {
+    // Working Set Size = Total data size + index size
+    let total_data_size = 0;
+    let total_index_size = 0;
+    for (const db in db_stats) {
+        const stats = db_stats[db];
+        total_data_size += stats.dataSize || 0;
+        total_index_size += stats.indexSize || 0;
+    }
+    const working_set_size_bytes = total_data_size + total_index_size;
+    const working_set_size_mb = working_set_size_bytes / (1024 * 1024);
+
+    // Memory required with a buffer, 1.5x by default
+    const memory_required_mb = Math.ceil(working_set_size_mb * memory_buffer);
+    return { working_set_size_mb, memory_required_mb };
+}
+
+// Function to calculate storage requirements with headroom, 20% by default
+function calculate_storage_requirements(db_stats, storage_headroom = 0.2) {
+    let total_storage = 0;
+    for (const db in db_stats) {
+        const stats = db_stats[db];
+        total_storage += stats.totalSize || 0;
+    }
+    const storage_required_bytes = Math.ceil(total_storage * (1 + storage_headroom));
+    return storage_required_bytes;
+}
+
+// Function to calculate network bandwidth requirements
+function calculate_network_bandwidth(network_stats, uptime_seconds) {
+    const bytes_in = network_stats.bytesIn || 0;
+    const bytes_out = network_stats.bytesOut || 0;
+    const total_bytes = bytes_in + bytes_out;
+
+    // Convert to MB
+    const total_mb = total_bytes / (1024 * 1024);
+
+    // Calculate MB/sec based on uptime
+    const network_bandwidth_mb_sec = uptime_seconds > 0 ? total_mb / uptime_seconds : 0;
+    return network_bandwidth_mb_sec;
+}
+
+// Index features without a direct Oracle equivalent, checked against each index definition and
+// the collection it belongs to
+const INDEX_TRANSLATION_FLAGS = [
+    { feature: 'ttl', test: index => index.expireAfterSeconds !== undefined, note: 'TTL expiry has to be replaced by a scheduled purge job.' },
+    { feature: 'text', test: index => Object.values(index.key).includes('text'), note: 'Text indexes map to a JSON search index with different matching and scoring.' },
+    { feature: 'geospatial', test: index => Object.values(index.key).some(type => ['2dsphere', '2d', 'geoHaystack'].includes(type)), note: 'Geospatial indexes need an Oracle Spatial index on a GeoJSON path.' },
+    { feature: 'wildcard', test: index => Object.keys(index.key).some(field => field === '$**' || field.endsWith('.$**')), note: 'Wildcard indexes map to a JSON search index or one index per queried path.' },
+    { feature: 'partial', test: index => index.partialFilterExpression !== undefined, note: 'Partial indexes need a function-based index that only covers the filtered documents.' },
+    { feature: 'hashed', test: index => Object.values(index.key).includes('hashed'), note: 'Hashed indexes exist for sharding; use a regular index for equality lookups.' },
+    { feature: 'text_weights', test: index => Object.values(index.weights || {}).some(weight => weight !== 1), note: 'Text index field weights have no equivalent in JSON search index scoring.' },
+    { feature: 'collation', test: index => index.collation !== undefined && index.collation.locale !== 'simple', note: 'Indexes with a collation compare strings by locale; Oracle indexes JSON strings by binary value.' },
+    { feature: 'unique_sharded', test: (index, collection) => Boolean(index.unique) && index.name !== '_id_' && Boolean(collection.shard_key), note: 'Unique indexes of a sharded collection only had to be unique per shard key; a single Oracle unique index enforces them across all documents.' }
+];
+
+// Function to list the index features of one index that will not translate directly
+function flag_index(index, collection = {}) {
+    return INDEX_TRANSLATION_FLAGS.filter(flag => flag.test(index, collection)).map(({ feature, note }) => ({ feature, note }));
+}
+
+// Query operators that make a filter field a range rather than an equality match
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte', '$ne', '$nin', '$not', '$regex', '$exists', '$type', '$mod'];
+
+// Function to suggest an index key for a query shape that scanned its collection: equality fields
+// first, then the sort fields, then range fields. Fields under $or are left out, since one compound
+// index cannot serve all of its branches.
+function suggest_index_key(shape) {
+    const parts = shape.shape || {};
+    let filter = parts.filter;
+    let sort = parts.sort;
+    const statements = parts.updates || parts.deletes;
+    if (Array.isArray(statements) && is_document(statements[0])) {
+        filter = statements[0].q;
+    }
+    if (Array.isArray(parts.pipeline)) {
+        const stages = parts.pipeline.filter(is_document);
+        const match_stages = stages.length > 0 && stages[0].$match ? 1 : 0;
+        filter = match_stages ? stages[0].$match : undefined;
+        sort = stages[match_stages] && stages[match_stages].$sort;
+    }
+
+    const equality = [];
+    const range = [];
+    const visit = node => {
+        for (const [key, value] of Object.entries(node)) {
+            if (key === '$and' && Array.isArray(value)) {
+                value.filter(is_document).forEach(visit);
+            } else if (!key.startsWith('$')) {
+                const is_range = is_document(value) && Object.keys(value).some(operator => RANGE_OPERATORS.includes(operator));
+                (is_range ? range : equality).push(key);
+            }
+        }
+    };
+    if (is_document(filter)) {
+        visit(filter);
+    }
+    const sort_fields = is_document(sort) ? sort : {};
+    const fields = [...new Set([...equality, ...Object.keys(sort_fields), ...range])];
+    if (fields.length === 0) {
+        return null;
+    }
+    return Object.fromEntries(fields.map(field => [field, typeof sort_fields[field] === 'number' ? sort_fields[field] : 1]));
+}
+
+// Function to classify the indexes of the collected collections against the target: supported,
+// needs a rewrite or not supported, by the index rules of the rule set. Indexes without accesses
+// since the usage statistics were last reset are flagged as unused (the _id index excepted), and
+// query shapes that scanned a whole collection are listed with a suggested index key.
+function evaluate_indexes(collections, analysis, rule_set) {
+    const indexes = [];
+    const by_ns = new Map();
+    let usage_since = null;
+    for (const collection of collections) {
+        const collection_indexes = collection.indexes || [];
+        by_ns.set(collection.ns, collection_indexes);
+        for (const index of collection_indexes) {
+            const features = flag_index(index, collection).map(flag => {
+                const rule = rule_set.index_lookup(flag.feature);
+                return { feature: flag.feature, status: rule.status, severity: rule.severity, note: rule.note || flag.note };
+            });
+            const status = features.reduce((worst, feature) => (INDEX_STATUSES.indexOf(feature.status) > INDEX_STATUSES.indexOf(worst) ? feature.status : worst), 'supported');
+            const usage = index.usage || null;
+            if (usage && usage.since && (!usage_since || usage.since < usage_since)) {
+                usage_since = usage.since;
+            }
+            indexes.push({
+                ns: collection.ns,
+                name: index.name,
+                key: index.key,
+                unique: Boolean(index.unique),
+                sparse: Boolean(index.sparse),
+                size: index.size || 0,
+                status,
+                features,
+                accesses: usage ? usage.ops : null,
+                unused: Boolean(usage) && usage.ops === 0 && index.name !== '_id_'
+            });
+        }
+    }
+    const status_rank = index => (index.status === 'supported' ? 0 : INDEX_STATUSES.indexOf(index.status) + 1) + (index.unused ? 1 : 0);
+    indexes.sort((a, b) => (status_rank(b) - status_rank(a)) || (b.size - a.size));
+
+    const collscans = (analysis ? analysis.query_shapes : [])
+        .filter(shape => Object.keys(shape.plan_summaries).some(plan => plan.startsWith('COLLSCAN')))
+        .map(shape => {
+            const suggested_key = suggest_index_key(shape);
+            const leading_field = suggested_key && Object.keys(suggested_key)[0];
+            return {
+                fingerprint: shape.fingerprint,
+                ns: shape.ns,
+                op: shape.op,
+                command: shape.command,
+                collscans: Object.entries(shape.plan_summaries).filter(([plan]) => plan.startsWith('COLLSCAN')).reduce((sum, [, count]) => sum + count, 0),
+                total_millis: shape.total_millis,
+                docs_examined: shape.docs_examined,
+                docs_returned: shape.docs_returned,
+                suggested_key,
+                // Existing indexes on the leading field, which the planner did not use for this shape
+                existing_indexes: (by_ns.get(shape.ns) || []).filter(index => leading_field && Object.keys(index.key)[0] === leading_field).map(index => index.name)
+            };
+        });
+
+    const count_status = status => indexes.filter(index => index.status === status).length;
+    const unused = indexes.filter(index => index.unused);
+    return {
+        usage_since,
+        totals: {
+            indexes: indexes.length,
+            supported: count_status('supported'),
+            rewrite: count_status('rewrite'),
+            not_supported: count_status('not_supported'),
+            unused: unused.length,
+            unused_bytes: unused.reduce((sum, index) => sum + index.size, 0),
+            without_usage: indexes.filter(index => index.accesses === null).length,
+            collscan_shapes: collscans.length
+        },
+        indexes,
+        collscans
+    };
+}
+
+// Function to project the Oracle storage of every collection: the BSON data size scaled by the
+// OSON ratio and the compression ratio, and the index size scaled by the index ratio
+function project_collection_storage(collections, { oson_ratio = 1, compression_ratio = 1, index_ratio = 1 } = {}) {
+    return collections.map(collection => {
+        const projected_data_bytes = Math.ceil((collection.size || 0) * oson_ratio * compression_ratio);
+        const projected_index_bytes = Math.ceil((collection.total_index_size || 0) * index_ratio);
+        return {
+            ...collection,
+            projected_data_bytes,
+            projected_index_bytes,
+            projected_total_bytes: projected_data_bytes + projected_index_bytes,
+            index_flags: (collection.indexes || []).flatMap(index => flag_index(index, collection).map(flag => ({ index: index.name, ...flag })))
+        };
+    }).sort((a, b) => b.projected_total_bytes - a.projected_total_bytes);
+}
+
+// Function to drop the system databases (admin, local with its oplog, config) from dbStats,
+// unless the metrics were deliberately collected with them
+function user_db_stats(db_stats, include_system_dbs = false) {
+    if (include_system_dbs) {
+        return db_stats;
+    }
+    return Object.fromEntries(Object.entries(db_stats).filter(([name]) => !SYSTEM_DATABASES.includes(name)));
+}
+
+// Function to calculate storage from the per-collection projection when collection statistics
+// were collected, or from the allocated size in dbStats otherwise
+function calculate_projected_storage(metrics, db_stats, { storage_headroom = 0.2 } = {}, storage = {}) {
+    if (!Array.isArray(metrics.collections)) {
+        return {
+            storage_basis: "Allocated size of the databases (dbStats totalSize)",
+            storage_required_bytes: calculate_storage_requirements(db_stats, storage_headroom)
+        };
+    }
+    const projected = project_collection_storage(metrics.collections, storage);
+    const projected_data_bytes = projected.reduce((sum, collection) => sum + collection.projected_data_bytes, 0);
+    const projected_index_bytes = projected.reduce((sum, collection) => sum + collection.projected_index_bytes, 0);
+    return {
+        storage_basis: `Projected from ${projected.length} collections`,
+        projected_data_bytes,
+        projected_index_bytes,
+        storage_required_bytes: Math.ceil((projected_data_bytes + projected_index_bytes) * (1 + storage_headroom))
+    };
+}
+
+// Function to turn the storage calculation into its sizing rows
+function storage_sizing_rows(storage_sizing) {
+    return {
+        "Storage Basis": storage_sizing.storage_basis,
+        ...(storage_sizing.projected_data_bytes !== undefined ? {
+            "Projected Data Size (Bytes)": storage_sizing.projected_data_bytes,
+            "Projected Index Size (Bytes)": storage_sizing.projected_index_bytes
+        } : {}),
+        "Storage Required (Bytes)": storage_sizing.storage_required_bytes
+    };
+}
+
+// Function to calculate connection limits with a buffer, 50% by default
+function calculate_connection_limits(current_connections, connection_buffer = 1.5) {
+    return Math.ceil(current_connections * connection_buffer);
+}
+
+// Function to take the nearest-rank percentile of a list of numbers
+function percentile(values, fraction) {
+    if (values.length === 0) {
+        return 0;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+// Function to calculate average, p95 and peak rates from sampled serverStatus deltas. The average
+// is weighted by sample length, so a short sample after a restart does not skew it.
+function calculate_sampled_rates(samples) {
+    const usable = samples.filter(sample => sample.interval_seconds > 0);
+    const total_seconds = usable.reduce((sum, sample) => sum + sample.interval_seconds, 0);
+    const ops_rates = usable.map(sample => calculate_cpu_cores(sample.opcounters, sample.interval_seconds).ops_per_sec);
+    const network_rates = usable.map(sample => calculate_network_bandwidth(sample.network, sample.interval_seconds));
+    const connections = samples.map(sample => sample.connections.current || 0);
+    const weighted_average = rates => total_seconds > 0 ? rates.reduce((sum, rate, i) => sum + rate * usable[i].interval_seconds, 0) / total_seconds : 0;
+    return {
+        samples: usable.length,
+        resets: samples.filter(sample => sample.reset).length,
+        window_seconds: total_seconds,
+        ops_per_sec: { average: weighted_average(ops_rates), p95: percentile(ops_rates, 0.95), peak: Math.max(0, ...ops_rates) },
+        network_mb_sec: { average: weighted_average(network_rates), p95: percentile(network_rates, 0.95), peak: Math.max(0, ...network_rates) },
+        connections: { average: connections.length ? connections.reduce((a, b) => a + b, 0) / connections.length : 0, p95: percentile(connections, 0.95), peak: Math.max(0, ...connections) }
+    };
+}
+
+// Function to perform sizing from sampled rates: CPU and network are sized for the p95 rate,
+// connections for the peak, and the average and peak rates are reported alongside
+function perform_sampled_sizing(metrics, db_stats, factors = {}, storage = {}) {
+    const { ops_per_core = 1500, memory_buffer, connection_buffer } = factors;
+    const rates = calculate_sampled_rates(metrics.samples);
+    const { total_operations } = calculate_cpu_cores(metrics.opcounters, metrics.uptimeSeconds);
+    const { working_set_size_mb, memory_required_mb } = calculate_memory_requirements(metrics.memory, db_stats, memory_buffer);
+    const storage_sizing = calculate_projected_storage(metrics, db_stats, factors, storage);
+
+    return {
+        "Rate Basis": `Sampled: ${rates.samples} samples over ${Math.round(rates.window_seconds)} seconds${rates.resets ? `, ${rates.resets} with a counter reset` : ''}`,
+        "Total Operations": total_operations,
+        "Uptime (seconds)": metrics.uptimeSeconds,
+        "Operations per Second (OPS/sec)": parseFloat(rates.ops_per_sec.average.toFixed(2)),
+        "P95 Operations per Second (OPS/sec)": parseFloat(rates.ops_per_sec.p95.toFixed(2)),
+        "Peak Operations per Second (OPS/sec)": parseFloat(rates.ops_per_sec.peak.toFixed(2)),
+        "CPU Cores Required": Math.ceil(rates.ops_per_sec.p95 / ops_per_core),
+        "CPU Cores Required at Peak": Math.ceil(rates.ops_per_sec.peak / ops_per_core),
+        "Working Set Size (MB)": parseFloat(working_set_size_mb.toFixed(2)),
+        "Memory Required (MB)": memory_required_mb,
+        ...storage_sizing_rows(storage_sizing),
+        "Average Network Bandwidth (MB/sec)": parseFloat(rates.network_mb_sec.average.toFixed(6)),
+        "Peak Network Bandwidth (MB/sec)": parseFloat(rates.network_mb_sec.peak.toFixed(6)),
+        "Network Bandwidth Required (MB/sec)": parseFloat(rates.network_mb_sec.p95.toFixed(6)),
+        "Peak Connections": rates.connections.peak,
+        "Connection Limits": calculate_connection_limits(rates.connections.peak, connection_buffer)
+    };
+}
+
+// Function to perform sizing based on collected metrics and dbStats; factors and storage
+// assumptions come from the sizing profile
+function perform_sizing(metrics, db_stats, factors = {}, storage = {}) {
+    db_stats = user_db_stats(db_stats, metrics.include_system_dbs);
+
+    // Sampled metrics show the real peaks, lifetime counters only an average since the last restart
+    if (Array.isArray(metrics.samples) && metrics.samples.length > 0) {
+        return perform_sampled_sizing(metrics, db_stats, factors, storage);
+    }
+
+    // Calculate CPU cores
+    const { total_operations, ops_per_sec, cpu_cores } = calculate_cpu_cores(metrics.opcounters, metrics.uptimeSeconds, factors.ops_per_core);
+
+    // Calculate Memory Requirements
+    const { working_set_size_mb, memory_required_mb } = calculate_memory_requirements(metrics.memory, db_stats, factors.memory_buffer);
+
+    // Calculate Storage Requirements
+    const storage_sizing = calculate_projected_storage(metrics, db_stats, factors, storage);
+
+    // Calculate Network Bandwidth
+    const network_bandwidth_mb_sec = calculate_network_bandwidth(metrics.network, metrics.uptimeSeconds);
+
+    // Calculate Connection Limits
+    const connection_limits = calculate_connection_limits(metrics.connections.current, factors.connection_buffer);
+
+    return {
+        "Rate Basis": "Lifetime average since the last restart",
+        "Total Operations": total_operations,
+        "Uptime (seconds)": metrics.uptimeSeconds,
+        "Operations per Second (OPS/sec)": parseFloat(ops_per_sec.toFixed(2)),
+        "CPU Cores Required": cpu_cores,
+        "Working Set Size (MB)": parseFloat(working_set_size_mb.toFixed(2)),
+        "Memory Required (MB)": memory_required_mb,
+        ...storage_sizing_rows(storage_sizing),
+        "Network Bandwidth Required (MB/sec)": parseFloat(network_bandwidth_mb_sec.toFixed(6)),
+        "Connection Limits": connection_limits
+    };
+}
+
+// Function to list the sizing profiles shipped in the sizing directory
+function list_sizing_profiles() {
+    if (!fs.existsSync(SIZING_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(SIZING_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            const profile = load_json(path.join(SIZING_DIR, file));
+            return { id: profile.id || path.basename(file, '.json'), name: profile.name, version: profile.version };
+        });
+}
+
+// Function to find a sizing profile file: a path to a JSON file, or the id of a file in the sizing directory
+function resolve_sizing_profile_file(profile) {
+    if (fs.existsSync(profile) && fs.statSync(profile).isFile()) {
+        return profile;
+    }
+    const file = path.join(SIZING_DIR, `${profile}.json`);
+    if (!fs.existsSync(file)) {
+        const available = list_sizing_profiles().map(entry => entry.id).join(', ');
+        throw new Error(`Unknown sizing profile '${profile}'. Available profiles: ${available || 'none'}.`);
+    }
+    return file;
+}
+
+// Function to load a sizing profile. A profile may extend another one and then only needs the
+// factors and target values it changes; every value must end up a positive number.
+function load_sizing_profile(profile = DEFAULT_SIZING_PROFILE) {
+    const chain = [];
+    let file = resolve_sizing_profile_file(profile);
+    while (file) {
+        if (chain.some(link => link.file === file)) {
+            throw new Error(`Sizing profile '${file}' extends itself.`);
+        }
+        const profile_file = load_json(file);
+        chain.unshift({ file, profile_file });
+        file = profile_file.extends ? resolve_sizing_profile_file(profile_file.extends) : null;
+    }
+
+    const top = chain[chain.length - 1];
+    const loaded = {
+        id: top.profile_file.id || path.basename(top.file, '.json'),
+        name: top.profile_file.name || top.profile_file.id || path.basename(top.file, '.json'),
+        version: top.profile_file.version || null,
+        description: top.profile_file.description || null,
+        factors: {},
+        storage: {},
+        target: {}
+    };
+    for (const { profile_file } of chain) {
+        Object.assign(loaded.factors, profile_file.factors);
+        Object.assign(loaded.storage, profile_file.storage);
+        Object.assign(loaded.target, profile_file.target);
+    }
+    for (const [section, names] of [['factors', SIZING_FACTORS], ['storage', SIZING_STORAGE_NUMBERS], ['target', SIZING_TARGET_NUMBERS]]) {
+        for (const name of names) {
+            const value = loaded[section][name];
+            // Storage headroom is a fraction on top of the data, so zero is a valid choice
+            const in_range = name === 'storage_headroom' ? value >= 0 : value > 0;
+            if (typeof value !== 'number' || !Number.isFinite(value) || !in_range) {
+                throw new Error(`Sizing profile '${top.file}' needs a positive number for ${section}.${name}, got ${JSON.stringify(value)}.`);
+            }
+        }
+    }
+    return loaded;
+}
+
+// Function to round a value up to a multiple of the increment, without floating point leftovers
+function round_up_to(value, increment) {
+    return parseFloat((Math.ceil(value / increment - 1e-9) * increment).toFixed(6));
+}
+
+// Function to translate the sizing into an Autonomous Database order: ECPU count, auto-scaling,
+// storage in TB and the resulting session limit, with how each number was derived
+function recommend_autonomous_shape(sizing, profile) {
+    const { factors, target } = profile;
+    const sampled = "CPU Cores Required at Peak" in sizing;
+    const cores = sizing["CPU Cores Required"];
+    const connections = sizing["Connection Limits"];
+    const explanations = [];
+
+    const cpu_ecpus = round_up_to(cores * target.ecpus_per_core, target.ecpu_increment);
+    const session_ecpus = round_up_to(connections / target.sessions_per_ecpu, target.ecpu_increment);
+    const base_ecpus = round_up_to(Math.max(target.min_ecpus, cpu_ecpus, session_ecpus), target.ecpu_increment);
+    let ecpus = base_ecpus;
+
+    // Auto-scaling covers peaks up to a multiple of the base ECPU count; a higher peak raises the base
+    let auto_scaling;
+    let auto_scaling_reason;
+    if (!sampled) {
+        auto_scaling = true;
+        auto_scaling_reason = `The metrics are lifetime averages, so peaks are unknown; auto-scaling lets the database use up to ${target.auto_scaling_max_factor}x the base ECPUs when load spikes. Collect sampled metrics (collect-metrics --duration) to check whether it is needed.`;
+    } else {
+        const peak_ecpus = round_up_to(sizing["CPU Cores Required at Peak"] * target.ecpus_per_core, target.ecpu_increment);
+        if (peak_ecpus <= ecpus) {
+            auto_scaling = false;
+            auto_scaling_reason = `The peak rate needs ${peak_ecpus} ECPUs, which the base ECPU count already covers; auto-scaling is optional.`;
+        } else {
+            auto_scaling = true;
+            if (peak_ecpus > ecpus * target.auto_scaling_max_factor) {
+                ecpus = round_up_to(peak_ecpus / target.auto_scaling_max_factor, target.ecpu_increment);
+                auto_scaling_reason = `The peak rate needs ${peak_ecpus} ECPUs, more than auto-scaling can add (${target.auto_scaling_max_factor}x), so the base was raised to ${ecpus} ECPUs.`;
+            } else {
+                auto_scaling_reason = `The peak rate needs ${peak_ecpus} ECPUs, above the base but within the ${target.auto_scaling_max_factor}x auto-scaling range.`;
+            }
+        }
+    }
+
+    const storage_tb = Math.max(target.min_storage_tb, round_up_to(sizing["Storage Required (Bytes)"] / 1024 ** 4, target.storage_increment_tb));
+    const session_limit = ecpus * target.sessions_per_ecpu;
+    const ops_rate = sampled ? sizing["P95 Operations per Second (OPS/sec)"] : sizing["Operations per Second (OPS/sec)"];
+
+    explanations.push({
+        item: "CPU Cores Required",
+        value: cores,
+        derivation: `${sampled ? 'P95 sampled' : 'Lifetime average'} rate of ${ops_rate} operations per second divided by ${factors.ops_per_core} operations per core, rounded up.`
+    });
+    explanations.push({
+        item: "ECPUs",
+        value: ecpus,
+        derivation: `${cores} cores x ${target.ecpus_per_core} ECPUs per core = ${cpu_ecpus}; ${connections} connections / ${target.sessions_per_ecpu} sessions per ECPU = ${session_ecpus}; minimum ${target.min_ecpus}. The largest of these is ordered, in steps of ${target.ecpu_increment}${ecpus > base_ecpus ? `, raised to ${ecpus} to absorb the peak` : ''}.`
+    });
+    explanations.push({
+        item: "Auto-scaling",
+        value: auto_scaling ? `Enable (up to ${ecpus * target.auto_scaling_max_factor} ECPUs)` : 'Optional',
+        derivation: auto_scaling_reason
+    });
+    explanations.push({
+        item: "Memory Required (MB)",
+        value: sizing["Memory Required (MB)"],
+        derivation: `Working set of ${sizing["Working Set Size (MB)"]} MB (data plus indexes) x ${factors.memory_buffer}. Autonomous Database allocates memory with the ECPU count; it is not ordered separately.`
+    });
+    const storage_source = "Projected Data Size (Bytes)" in sizing
+        ? `Projected data (BSON size x ${profile.storage.oson_ratio} OSON ratio x ${profile.storage.compression_ratio} compression ratio) and indexes (x ${profile.storage.index_ratio}) of the user collections`
+        : 'Allocated storage of the user databases';
+    explanations.push({
+        item: "Storage (TB)",
+        value: storage_tb,
+        derivation: `${storage_source} plus ${Math.round(factors.storage_headroom * 100)}% headroom = ${sizing["Storage Required (Bytes)"]} bytes, in TB rounded up to ${target.storage_increment_tb} TB, minimum ${target.min_storage_tb} TB.`
+    });
+    explanations.push({
+        item: "Session Limit",
+        value: session_limit,
+        derivation: `${ecpus} ECPUs x ${target.sessions_per_ecpu} sessions per ECPU, against ${connections} connections needed (${sampled ? 'peak' : 'current'} connections x ${factors.connection_buffer}).`
+    });
+
+    return {
+        profile: { id: profile.id, name: profile.name, version: profile.version },
+        service: target.service || profile.name,
+        ecpus,
+        auto_scaling,
+        auto_scaling_max_ecpus: auto_scaling ? ecpus * target.auto_scaling_max_factor : null,
+        storage_tb,
+        session_limit,
+        explanations
+    };
+}
+
+// Horizons the growth forecast projects to, in months
+const FORECAST_MONTHS = [6, 12, 24];
+const DAYS_PER_MONTH = 30.44;
+
+// Metrics tracked over the snapshots for the growth forecast
+const FORECAST_METRICS = [
+    { key: 'data_size_mb', label: 'Data Size (MB)' },
+    { key: 'index_size_mb', label: 'Index Size (MB)' },
+    { key: 'ops_per_sec', label: 'Operations per Second (OPS/sec)' },
+    { key: 'connections', label: 'Connections' }
+];
+
+// Function to take the values the forecast tracks from one metrics snapshot: user data and index
+// size, and the operation rate and connection count the sizing is based on
+function snapshot_values(metrics, factors) {
+    const db_stats = user_db_stats(metrics.dbStats, metrics.include_system_dbs);
+    const sizing = perform_sizing(metrics, metrics.dbStats, factors);
+    const sampled = "P95 Operations per Second (OPS/sec)" in sizing;
+    let data_bytes = 0;
+    let index_bytes = 0;
+    for (const stats of Object.values(db_stats)) {
+        data_bytes += stats.dataSize || 0;
+        index_bytes += stats.indexSize || 0;
+    }
+    return {
+        time: new Date(metrics.timestamp).getTime(),
+        data_size_mb: data_bytes / (1024 * 1024),
+        index_size_mb: index_bytes / (1024 * 1024),
+        ops_per_sec: sampled ? sizing["P95 Operations per Second (OPS/sec)"] : sizing["Operations per Second (OPS/sec)"],
+        connections: sampled ? sizing["Peak Connections"] : metrics.connections.current,
+        metrics
+    };
+}
+
+// Function to check the snapshots of a forecast: each needs a valid timestamp and the fields sizing
+// reads, and at least two of them have to be taken at different times
+function validate_metrics_snapshots(snapshots) {
+    if (!Array.isArray(snapshots)) {
+        throw new Error("Metrics snapshots must be an array of metrics documents.");
+    }
+    snapshots.forEach((metrics, i) => {
+        const missing_fields = METRICS_REQUIRED_FIELDS.filter(field => !is_document(metrics) || !(field in metrics));
+        if (missing_fields.length > 0) {
+            throw new Error(`Metrics snapshot ${i + 1} is missing required fields: ${missing_fields.join(', ')}`);
+        }
+        if (Number.isNaN(new Date(metrics.timestamp).getTime())) {
+            throw new Error(`Metrics snapshot ${i + 1} has no valid timestamp: ${JSON.stringify(metrics.timestamp)}`);
+        }
+    });
+    if (new Set(snapshots.map(metrics => new Date(metrics.timestamp).getTime())).size < 2) {
+        throw new Error("A growth forecast needs at least two metrics snapshots taken at different times.");
+    }
+}
+
+// Function to fit a least-squares line through (time, value) points; returns the slope per month
+function fit_monthly_trend(points) {
+    const n = points.length;
+    const mean_x = points.reduce((sum, point) => sum + point.x, 0) / n;
+    const mean_y = points.reduce((sum, point) => sum + point.y, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    for (const point of points) {
+        numerator += (point.x - mean_x) * (point.y - mean_y);
+        denominator += (point.x - mean_x) ** 2;
+    }
+    return denominator > 0 ? numerator / denominator : 0;
+}
+
+// Function to forecast requirements from metrics snapshots taken over time. Each tracked value gets a
+// linear trend; a flat or shrinking trend is not extrapolated, so no horizon is sized below today.
+// The latest snapshot is the starting point and each horizon is sized like today's metrics.
+function forecast_growth(snapshots, profile) {
+    validate_metrics_snapshots(snapshots);
+    const { factors } = profile;
+    const values = snapshots.map(metrics => snapshot_values(metrics, factors)).sort((a, b) => a.time - b.time);
+    const first = values[0];
+    const latest = values[values.length - 1];
+    const span_days = (latest.time - first.time) / (24 * 3600 * 1000);
+    const month_ms = DAYS_PER_MONTH * 24 * 3600 * 1000;
+
+    const trends = FORECAST_METRICS.map(({ key, label }) => {
+        const slope = fit_monthly_trend(values.map(value => ({ x: (value.time - first.time) / month_ms, y: value[key] })));
+        const growth_per_month = Math.max(0, slope);
+        return {
+            metric: key,
+            label,
+            current: latest[key],
+            fitted_growth_per_month: slope,
+            growth_per_month,
+            growth_percent_per_month: latest[key] > 0 ? growth_per_month / latest[key] * 100 : 0
+        };
+    });
+    const trend = Object.fromEntries(trends.map(entry => [entry.metric, entry]));
+
+    // Today's storage requirement grows with the data and index size
+    const today = perform_sizing(latest.metrics, latest.metrics.dbStats, factors, profile.storage);
+    const today_size_mb = latest.data_size_mb + latest.index_size_mb;
+
+    const horizons = FORECAST_MONTHS.map(months => {
+        const projected = Object.fromEntries(FORECAST_METRICS.map(({ key }) => [key, latest[key] + trend[key].growth_per_month * months]));
+        const working_set_size_mb = projected.data_size_mb + projected.index_size_mb;
+        const horizon_sizing = {
+            "Operations per Second (OPS/sec)": parseFloat(projected.ops_per_sec.toFixed(2)),
+            "CPU Cores Required": Math.ceil(projected.ops_per_sec / factors.ops_per_core),
+            "Working Set Size (MB)": parseFloat(working_set_size_mb.toFixed(2)),
+            "Memory Required (MB)": Math.ceil(working_set_size_mb * factors.memory_buffer),
+            "Storage Required (Bytes)": today_size_mb > 0 ? Math.ceil(today["Storage Required (Bytes)"] * working_set_size_mb / today_size_mb) : today["Storage Required (Bytes)"],
+            "Connection Limits": calculate_connection_limits(projected.connections, factors.connection_buffer)
+        };
+        const shape = recommend_autonomous_shape(horizon_sizing, profile);
+        return {
+            months,
+            data_size_mb: parseFloat(projected.data_size_mb.toFixed(2)),
+            index_size_mb: parseFloat(projected.index_size_mb.toFixed(2)),
+            ops_per_sec: horizon_sizing["Operations per Second (OPS/sec)"],
+            connections: Math.ceil(projected.connections),
+            cpu_cores: horizon_sizing["CPU Cores Required"],
+            memory_required_mb: horizon_sizing["Memory Required (MB)"],
+            storage_required_bytes: horizon_sizing["Storage Required (Bytes)"],
+            connection_limits: horizon_sizing["Connection Limits"],
+            ecpus: shape.ecpus,
+            storage_tb: shape.storage_tb,
+            session_limit: shape.session_limit
+        };
+    });
+
+    return {
+        snapshots: values.length,
+        first_snapshot: new Date(first.time).toISOString(),
+        latest_snapshot: new Date(latest.time).toISOString(),
+        span_days: parseFloat(span_days.toFixed(1)),
+        trends,
+        horizons
+    };
+}
+
+// Function to summarize the growth forecast
+function summarize_forecast(forecast) {
+    const format = value => parseFloat(value.toFixed(2));
+    return `
+    <h2>Growth Forecast</h2>
+    <p>Fitted to ${forecast.snapshots} snapshots over ${forecast.span_days} days (${escape_html(forecast.first_snapshot)} to ${escape_html(forecast.latest_snapshot)}). Growth is assumed to continue linearly; a flat or shrinking trend is projected as no growth.</p>
+    <table>
+        <tr><th>Metric</th><th>Latest</th><th>Assumed Growth per Month</th><th>Assumed Growth per Month (%)</th></tr>
+        ${forecast.trends.map(trend => `<tr><td class="left-align">${escape_html(trend.label)}</td><td class="center-align">${format(trend.current)}</td><td class="center-align">${format(trend.growth_per_month)}${trend.fitted_growth_per_month < 0 ? ` (fitted ${format(trend.fitted_growth_per_month)})` : ''}</td><td class="center-align">${format(trend.growth_percent_per_month)}%</td></tr>`).join('\n        ')}
+    </table>
+    <table>
+        <tr>
+            <th>Horizon</th><th>Data Size (MB)</th><th>Index Size (MB)</th><th>OPS/sec</th><th>Connections</th><th>CPU Cores</th>
+            <th>Memory Required (MB)</th><th>Storage Required (Bytes)</th><th>ECPUs</th><th>Storage (TB)</th><th>Session Limit</th>
+        </tr>
+        ${forecast.horizons.map(horizon => `<tr>
+            <td class="left-align">${horizon.months} months</td><td class="center-align">${horizon.data_size_mb}</td><td class="center-align">${horizon.index_size_mb}</td>
+            <td class="center-align">${horizon.ops_per_sec}</td><td class="center-align">${horizon.connections}</td><td class="center-align">${horizon.cpu_cores}</td>
+            <td class="center-align">${horizon.memory_required_mb}</td><td class="center-align">${horizon.storage_required_bytes}</td><td class="center-align">${horizon.ecpus}</td>
+            <td class="center-align">${horizon.storage_tb}</td><td class="center-align">${horizon.session_limit}</td>
+        </tr>`).join('\n        ')}
+    </table>
+    `;
+}
+
+// Function to check a schema scan against the target: flag data types by the rule set's type rules,
+// field name problems, and document size, nesting depth and array length against its limits
+function evaluate_schema_scan(scan, rule_set) {
+    const limits = rule_set.limits || {};
+    const check_limit = (value, limit) => {
+        if (!limit) {
+            return 'ok';
+        }
+        return value > limit ? 'exceeds' : (value >= limit * 0.9 ? 'near' : 'ok');
+    };
+    const totals = {};
+    const collections = scan.collections.map(collection => {
+        const flagged_types = Object.entries(collection.types)
+            .map(([type, count]) => ({ ...rule_set.type_lookup(type), count, examples: collection.type_examples[type] || [] }))
+            .filter(rule => rule.status !== 'supported');
+        for (const rule of flagged_types) {
+            const total = totals[rule.type] = totals[rule.type] || { type: rule.type, status: rule.status, severity: rule.severity, note: rule.note, count: 0, collections: 0 };
+            total.count += rule.count;
+            total.collections++;
+        }
+        const field_name_issues = Object.entries(collection.field_name_issues).map(([issue, finding]) => ({ issue, ...finding }));
+        const limit_checks = {
+            document_size: check_limit(collection.max_document_bytes, limits.max_document_bytes),
+            nesting_depth: check_limit(collection.max_depth, limits.max_nesting_depth),
+            array_length: check_limit(collection.max_array_length, limits.max_array_length)
+        };
+        let variability = 'uniform';
+        if (collection.structures > 1 || collection.polymorphic_fields.length > 0) {
+            variability = collection.structures > Math.max(1, collection.sampled * 0.1) ? 'high' : 'moderate';
+        }
+        return {
+            ...collection,
+            flagged_types,
+            field_name_issues,
+            limit_checks,
+            variability,
+            blocking: flagged_types.some(rule => rule.status === 'not_supported') || Object.values(limit_checks).includes('exceeds')
+        };
+    });
+    return {
+        scanned_at: scan.timestamp,
+        sample_size: scan.sample_size,
+        limits,
+        flagged_types: Object.values(totals).sort((a, b) => b.count - a.count),
+        collections
+    };
+}
+
+// Field name problems described in the report
+const FIELD_NAME_ISSUES = {
+    dot: 'Field names containing dots',
+    dollar_prefix: 'Field names starting with $',
+    empty: 'Empty field names'
+};
+
+// Function to summarize the schema scan
+function summarize_schema(schema) {
+    const limit = (value, check, max) => `${value}${max ? ` / ${max}` : ''}${check !== 'ok' ? ` <strong>(${check} limit)</strong>` : ''}`;
+    return `
+    <h2>Data Types and Document Structure</h2>
+    <p>From a sample of up to ${schema.sample_size} documents per collection, scanned ${escape_html(schema.scanned_at)}. Limits shown as value / target limit.</p>
+    <h3>Flagged Data Types</h3>
+    <table>
+        <tr><th>Type</th><th>Status</th><th>Severity</th><th>Values</th><th>Collections</th><th>Note</th></tr>
+        ${schema.flagged_types.map(rule => `<tr><td>${escape_html(rule.type)}</td><td class="center-align">${escape_html(rule.status)}</td><td class="center-align">${escape_html(rule.severity)}</td><td class="center-align">${rule.count}</td><td class="center-align">${rule.collections}</td><td class="left-align">${escape_html(rule.note)}</td></tr>`).join('\n        ')}
+    </table>
+    <h3>Collections</h3>
+    <table>
+        <tr>
+            <th>Namespace</th><th>Sampled</th><th>Max Document (Bytes)</th><th>Avg Document (Bytes)</th><th>Max Depth</th><th>Max Array Length</th>
+            <th>Flagged Types</th><th>Field Name Problems</th><th>Structures</th><th>Polymorphic Fields</th><th>Variability</th>
+        </tr>
+        ${schema.collections.map(collection => `<tr>
+            <td class="left-align">${escape_html(collection.ns)}</td>
+            <td class="center-align">${collection.sampled}${collection.method === 'scan' ? ' (scan)' : ''}</td>
+            <td class="center-align">${limit(collection.max_document_bytes, collection.limit_checks.document_size, schema.limits.max_document_bytes)}</td>
+            <td class="center-align">${collection.avg_document_bytes}</td>
+            <td class="center-align">${limit(collection.max_depth, collection.limit_checks.nesting_depth, schema.limits.max_nesting_depth)}</td>
+            <td class="center-align">${limit(collection.max_array_length, collection.limit_checks.array_length, schema.limits.max_array_length)}</td>
+            <td class="left-align">${collection.flagged_types.map(rule => `${escape_html(rule.type)} (${rule.count}): ${escape_html(rule.examples.join(', '))}`).join('<br>')}</td>
+            <td class="left-align">${collection.field_name_issues.map(issue => `${FIELD_NAME_ISSUES[issue.issue]} (${issue.count}): ${escape_html(issue.examples.join(', '))}`).join('<br>')}</td>
+            <td class="center-align">${collection.structures}</td>
+            <td class="left-align">${collection.polymorphic_fields.slice(0, MAX_SCHEMA_EXAMPLES).map(field => `${escape_html(field.path)}: ${escape_html(Object.keys(field.types).join('/'))}`).join('<br>')}${collection.polymorphic_fields.length > MAX_SCHEMA_EXAMPLES ? `<br>and ${collection.polymorphic_fields.length - MAX_SCHEMA_EXAMPLES} more` : ''}</td>
+            <td class="center-align">${collection.variability}</td>
+        </tr>`).join('\n        ')}
+    </table>
+    `;
+}
+
+// Function to sum up one analysis report document for the comparison
+function comparison_summary(analysis) {
+    const { summary, query_shapes, operators } = analysis;
+    return {
+        supported_percent: summary.supported_percent,
+        entries: summary.entries,
+        not_supported_entries: summary.not_supported_entries,
+        entry_readiness_percent: parseFloat((summary.entries > 0 ? (summary.supported_entries / summary.entries) * 100 : 100).toFixed(2)),
+        not_supported_shapes: query_shapes.filter(shape => shape.not_supported_operators.length > 0).length,
+        not_supported_operators: operators.filter(operator => operator.status === 'not_supported').length,
+        unknown_operators: operators.filter(operator => operator.status === 'unknown').length
+    };
+}
+
+// Function to sort items into new (only in the current run), resolved (only in the baseline) and remaining
+function diff_items(baseline_items, current_items, key_of) {
+    const baseline = new Map(baseline_items.map(item => [key_of(item), item]));
+    const current = new Map(current_items.map(item => [key_of(item), item]));
+    const keys = [...new Set([...baseline.keys(), ...current.keys()])];
+    return keys.map(key => ({
+        baseline: baseline.get(key) || null,
+        current: current.get(key) || null,
+        change: !baseline.has(key) ? 'new' : (!current.has(key) ? 'resolved' : 'remaining')
+    }));
+}
+
+// Order of the changes in the comparison tables
+const CHANGE_ORDER = ['new', 'remaining', 'resolved'];
+
+// Function to compare two analysis report documents (see build_report_document): operators and query
+// shapes that are new, resolved or still present, the change in compatibility and the readiness per
+// application. A shape is resolved when it was not seen again or no longer uses not supported operators;
+// a rewritten query gets a new fingerprint, so it shows up as resolved and, if still incompatible, as new.
+function compare_analyses(baseline, current) {
+    const side = document => ({
+        input: document.input,
+        generated_at: document.generated_at,
+        target: { id: document.analysis.target.id, name: document.analysis.target.name, version: document.analysis.target.version }
+    });
+    const summary = { baseline: comparison_summary(baseline.analysis), current: comparison_summary(current.analysis) };
+    summary.change = Object.fromEntries(Object.keys(summary.current).map(key => [key, parseFloat((summary.current[key] - summary.baseline[key]).toFixed(2))]));
+
+    const not_ok_operators = analysis => analysis.operators.filter(operator => operator.status !== 'supported');
+    const operators = diff_items(not_ok_operators(baseline.analysis), not_ok_operators(current.analysis), operator => `${operator.operator} ${operator.context}`)
+        .map(({ baseline: before, current: after, change }) => ({
+            operator: (after || before).operator,
+            context: (after || before).context,
+            status: (after || before).status,
+            change,
+            baseline_count: before ? before.count : 0,
+            current_count: after ? after.count : 0
+        }));
+
+    const current_shapes = new Map(current.analysis.query_shapes.map(shape => [shape.fingerprint, shape]));
+    const not_supported_shapes = analysis => analysis.query_shapes.filter(shape => shape.not_supported_operators.length > 0);
+    const shapes = diff_items(not_supported_shapes(baseline.analysis), not_supported_shapes(current.analysis), shape => shape.fingerprint)
+        .map(({ baseline: before, current: after, change }) => {
+            const shape = after || before;
+            const seen = current_shapes.get(shape.fingerprint);
+            return {
+                fingerprint: shape.fingerprint,
+                ns: shape.ns,
+                op: shape.op,
+                command: shape.command,
+                not_supported_operators: shape.not_supported_operators,
+                change,
+                resolution: change === 'resolved' ? (seen ? 'supported' : 'not_seen') : null,
+                baseline_executions: before ? before.executions : 0,
+                current_executions: seen ? seen.executions : 0
+            };
+        });
+
+    const applications = diff_items(baseline.analysis.attribution.application || [], current.analysis.attribution.application || [], group => group.name)
+        .map(({ baseline: before, current: after }) => ({
+            name: (after || before).name,
+            baseline_readiness_percent: before ? before.readiness_percent : null,
+            current_readiness_percent: after ? after.readiness_percent : null,
+            change: before && after ? parseFloat((after.readiness_percent - before.readiness_percent).toFixed(2)) : null,
+            baseline_not_supported_entries: before ? before.not_supported_entries : null,
+            current_not_supported_entries: after ? after.not_supported_entries : null
+        }))
+        .sort((a, b) => (a.current_readiness_percent ?? 101) - (b.current_readiness_percent ?? 101));
+
+    const by_change = (a, b) => CHANGE_ORDER.indexOf(a.change) - CHANGE_ORDER.indexOf(b.change);
+    const count_change = (items, change) => items.filter(item => item.change === change).length;
+    return {
+        baseline: side(baseline),
+        current: side(current),
+        target_changed: baseline.analysis.target.id !== current.analysis.target.id || baseline.analysis.target.version !== current.analysis.target.version,
+        summary,
+        progress: {
+            new_shapes: count_change(shapes, 'new'),
+            resolved_shapes: count_change(shapes, 'resolved'),
+            remaining_shapes: count_change(shapes, 'remaining'),
+            new_operators: count_change(operators, 'new'),
+            resolved_operators: count_change(operators, 'resolved'),
+            remaining_operators: count_change(operators, 'remaining')
+        },
+        operators: operators.sort((a, b) => by_change(a, b) || (b.current_count - a.current_count) || (b.baseline_count - a.baseline_count)),
+        shapes: shapes.sort((a, b) => by_change(a, b) || (b.current_executions - a.current_executions) || (b.baseline_executions - a.baseline_executions)),
+        applications,
+        sizing: null
+    };
+}
+
+// Recommendation fields compared between two sizings
+const RECOMMENDATION_FIELDS = [['ecpus', 'ECPUs'], ['auto_scaling_max_ecpus', 'Auto-Scaling Maximum ECPUs'], ['storage_tb', 'Storage (TB)'], ['session_limit', 'Session Limit']];
+
+// Function to compare two sizings in report document form, numeric fields only
+function compare_sizing(baseline, current) {
+    const row = (field, label, before, after) => ({
+        field,
+        label,
+        baseline: before ?? null,
+        current: after ?? null,
+        change: typeof before === 'number' && typeof after === 'number' ? parseFloat((after - before).toFixed(2)) : null,
+        change_percent: typeof before === 'number' && typeof after === 'number' && before !== 0 ? parseFloat((((after - before) / before) * 100).toFixed(2)) : null
+    });
+    const numeric = ([field]) => typeof baseline.sizing[field] === 'number' || typeof current.sizing[field] === 'number';
+    return [
+        ...SIZING_FIELDS.filter(numeric).map(([field, label]) => row(field, label, baseline.sizing[field], current.sizing[field])),
+        ...(baseline.recommendation && current.recommendation
+            ? RECOMMENDATION_FIELDS.map(([field, label]) => row(field, label, baseline.recommendation[field], current.recommendation[field]))
+            : [])
+    ];
+}
+
+// Function to summarize the comparison of two analysis runs
+function summarize_comparison(comparison) {
+    const signed = value => (value === null ? 'n/a' : `${value > 0 ? '+' : ''}${value}`);
+    const percent = value => (value === null ? 'n/a' : `${value.toFixed(2)}%`);
+    const { summary, progress } = comparison;
+    const summary_rows = [
+        ['Operator compatibility (%)', 'supported_percent'],
+        ['Profile entries without not supported operators (%)', 'entry_readiness_percent'],
+        ['Profile entries', 'entries'],
+        ['Profile entries with not supported operators', 'not_supported_entries'],
+        ['Query shapes with not supported operators', 'not_supported_shapes'],
+        ['Not supported operators', 'not_supported_operators'],
+        ['Unknown operators', 'unknown_operators']
+    ];
+    const shapes = comparison.shapes.slice(0, MAX_REPORTED_SHAPES);
+    const change_labels = { new: '<strong>New</strong>', remaining: 'Remaining', resolved: 'Resolved' };
+    return `
+    <h2>Remediation Progress</h2>
+    <div class="summary">
+        <p>Operator compatibility with ${escape_html(comparison.current.target.name)} went from ${percent(summary.baseline.supported_percent)} to <strong>${percent(summary.current.supported_percent)}</strong> (${signed(summary.change.supported_percent)} points).
+        ${progress.resolved_shapes} query shape(s) with not supported operators were resolved, ${progress.new_shapes} are new and ${progress.remaining_shapes} remain.</p>
+        <p>Baseline: ${escape_html(comparison.baseline.input || 'n/a')} (${escape_html(comparison.baseline.generated_at)}); current: ${escape_html(comparison.current.input || 'n/a')} (${escape_html(comparison.current.generated_at)}).</p>
+        ${comparison.target_changed ? `<p><strong>The runs were judged against different rule sets</strong> (${escape_html(comparison.baseline.target.id)} ${escape_html(comparison.baseline.target.version)} and ${escape_html(comparison.current.target.id)} ${escape_html(comparison.current.target.version)}); part of the change comes from the rules.</p>` : ''}
+    </div>
+    <table>
+        <tr><th>Measure</th><th>Baseline</th><th>Current</th><th>Change</th></tr>
+        ${summary_rows.map(([label, key]) => `<tr><td class="left-align">${label}</td><td class="center-align">${summary.baseline[key]}</td><td class="center-align">${summary.current[key]}</td><td class="center-align">${signed(summary.change[key])}</td></tr>`).join('\n        ')}
+    </table>
+
+    <h2>Query Shapes with Not Supported Operators</h2>
+    ${comparison.shapes.length > shapes.length ? `<p>The first ${shapes.length} of ${comparison.shapes.length} shapes are listed.</p>` : ''}
+    <table>
+        <tr><th>Change</th><th>Shape</th><th>Namespace</th><th>Op</th><th>Not Supported Operators</th><th>Baseline Executions</th><th>Current Executions</th></tr>
+        ${shapes.map(shape => `<tr><td class="center-align">${change_labels[shape.change]}${shape.resolution === 'supported' ? ' (now supported)' : ''}${shape.resolution === 'not_seen' ? ' (not seen)' : ''}</td><td><code>${escape_html(shape.fingerprint)}</code></td><td>${escape_html(shape.ns)}</td><td>${escape_html(shape.op)}${shape.command ? ` (${escape_html(shape.command)})` : ''}</td><td>${escape_html(shape.not_supported_operators.join(', '))}</td><td class="center-align">${shape.baseline_executions}</td><td class="center-align">${shape.current_executions}</td></tr>`).join('\n        ')}
+    </table>
+
+    <h2>Not Supported and Unknown Operators</h2>
+    <table>
+        <tr><th>Change</th><th>Operator</th><th>Position</th><th>Status</th><th>Baseline Count</th><th>Current Count</th></tr>
+        ${comparison.operators.map(operator => `<tr><td class="center-align">${change_labels[operator.change]}</td><td>${escape_html(operator.operator)}</td><td>${escape_html(operator.context)}</td><td class="center-align">${escape_html(operator.status)}</td><td class="center-align">${operator.baseline_count}</td><td class="center-align">${operator.current_count}</td></tr>`).join('\n        ')}
+    </table>
+
+    <h2>Readiness by Application</h2>
+    <table>
+        <tr><th>Application (appName)</th><th>Baseline Readiness</th><th>Current Readiness</th><th>Change (points)</th><th>Baseline Not Supported Executions</th><th>Current Not Supported Executions</th></tr>
+        ${comparison.applications.map(group => `<tr><td>${escape_html(group.name)}</td><td class="center-align">${percent(group.baseline_readiness_percent)}</td><td class="center-align">${percent(group.current_readiness_percent)}</td><td class="center-align">${signed(group.change)}</td><td class="center-align">${group.baseline_not_supported_entries ?? 'n/a'}</td><td class="center-align">${group.current_not_supported_entries ?? 'n/a'}</td></tr>`).join('\n        ')}
+    </table>
+    ${comparison.sizing ? `
+    <h2>Sizing Changes</h2>
+    <table>
+        <tr><th>Item</th><th>Baseline</th><th>Current</th><th>Change</th><th>Change (%)</th></tr>
+        ${comparison.sizing.map(row => `<tr><td class="left-align">${escape_html(row.label)}</td><td class="center-align">${row.baseline ?? 'n/a'}</td><td class="center-align">${row.current ?? 'n/a'}</td><td class="center-align">${signed(row.change)}</td><td class="center-align">${signed(row.change_percent)}</td></tr>`).join('\n        ')}
+    </table>` : ''}
+    `;
+}
+
+// Most query shapes listed in the replay section of the report
+const MAX_REPORTED_REPLAY_SHAPES = 200;
+
+// Function to summarize a workload replay
+function summarize_replay(replay) {
+    const format = value => value === null ? '' : parseFloat(value.toFixed(2));
+    const shapes = replay.shapes.slice(0, MAX_REPORTED_REPLAY_SHAPES);
+    return `
+    <h2>Workload Replay</h2>
+    <p><strong>${escape_html(replay.verdict)}</strong></p>
+    <p>Replayed against ${escape_html(replay.target || 'no endpoint (dry run)')} at up to ${replay.rate} commands per second, ${replay.allow_writes ? 'including writes' : 'read-only'}. Replay latency is measured by the client and includes the network round trip; the original latency is the profiled <code>millis</code>.</p>
+    <table>
+        <tr><td class="left-align">Profile Entries</td><td class="center-align">${replay.totals.entries}</td></tr>
+        <tr><td class="left-align">Commands Replayed</td><td class="center-align">${replay.totals.executed}</td></tr>
+        <tr><td class="left-align">Succeeded</td><td class="center-align">${replay.totals.succeeded} (${replay.totals.success_percent}%)</td></tr>
+        <tr><td class="left-align">Failed</td><td class="center-align">${replay.totals.failed}</td></tr>
+        <tr><td class="left-align">Skipped</td><td class="center-align">${replay.totals.skipped}</td></tr>
+        ${replay.dry_run ? `<tr><td class="left-align">Would Be Replayed (dry run)</td><td class="center-align">${replay.totals.dry_run}</td></tr>` : ''}
+        <tr><td class="left-align">Median Latency Ratio (replay / original)</td><td class="center-align">${format(replay.latency.median_ratio)}</td></tr>
+        <tr><td class="left-align">P95 Latency Ratio (replay / original)</td><td class="center-align">${format(replay.latency.p95_ratio)}</td></tr>
+        <tr><td class="left-align">Commands More Than 2x Slower</td><td class="center-align">${replay.latency.slower_than_2x}</td></tr>
+    </table>
+
+    <h3>Errors</h3>
+    <table>
+        <tr><th>Code</th><th>Code Name</th><th>Count</th><th>Commands</th><th>Example</th></tr>
+        ${replay.errors.map(error => `<tr><td class="center-align">${error.code === null ? '' : error.code}</td><td>${escape_html(error.code_name)}</td><td class="center-align">${error.count}</td><td>${escape_html(error.commands.join(', '))}</td><td class="left-align">${escape_html(error.example)}</td></tr>`).join('\n        ')}
+    </table>
+
+    <h3>Results by Command</h3>
+    <table>
+        <tr><th>Command</th><th>Replayed</th><th>Succeeded</th><th>Failed</th><th>Skipped</th>${replay.dry_run ? '<th>Would Be Replayed</th>' : ''}</tr>
+        ${Object.entries(replay.commands).map(([command, stats]) => `<tr><td>${escape_html(command)}</td><td class="center-align">${stats.executed}</td><td class="center-align">${stats.succeeded}</td><td class="center-align">${stats.failed}</td><td class="center-align">${stats.skipped}</td>${replay.dry_run ? `<td class="center-align">${stats.dry_run}</td>` : ''}</tr>`).join('\n        ')}
+    </table>
+
+    <h3>Skipped Entries</h3>
+    <table>
+        <tr><th>Reason</th><th>Count</th></tr>
+        ${Object.entries(replay.skip_reasons).map(([reason, count]) => `<tr><td class="left-align">${escape_html(reason)}</td><td class="center-align">${count}</td></tr>`).join('\n        ')}
+    </table>
+
+    <h3>Results by Query Shape</h3>
+    ${replay.shapes.length > shapes.length ? `<p>The first ${shapes.length} of ${replay.shapes.length} shapes are listed, failing shapes first.</p>` : ''}
+    ${replay.untracked_shape_executions > 0 ? `<p>${replay.untracked_shape_executions} replayed commands belonged to shapes beyond the tracked limit and are not listed.</p>` : ''}
+    <table>
+        <tr><th>Fingerprint</th><th>Namespace</th><th>Command</th><th>Verdict</th><th>Replayed</th><th>Failed</th><th>Errors</th><th>Avg Original ms</th><th>Avg Replay ms</th><th>P95 Replay ms</th></tr>
+        ${shapes.map(shape => `<tr><td><code>${escape_html(shape.fingerprint)}</code></td><td>${escape_html(shape.ns)}</td><td>${escape_html(shape.command || shape.op)}</td><td class="center-align">${escape_html(shape.verdict)}</td><td class="center-align">${shape.executed}</td><td class="center-align">${shape.failed}</td><td>${escape_html(shape.errors.join(', '))}</td><td class="center-align">${format(shape.avg_original_millis)}</td><td class="center-align">${format(shape.avg_replay_millis)}</td><td class="center-align">${format(shape.p95_replay_millis)}</td></tr>`).join('\n        ')}
+    </table>
+    `;
+}
+
+// Most indexes and collection scan shapes listed in the index section of the report
+const MAX_REPORTED_INDEXES = 500;
+
+// Function to summarize the index classification, unused indexes and the shapes that scanned whole collections
+function summarize_indexes(indexes) {
+    const listed = indexes.indexes.slice(0, MAX_REPORTED_INDEXES);
+    const collscans = indexes.collscans.slice(0, MAX_REPORTED_INDEXES);
+    const status_labels = { supported: 'Supported', rewrite: 'Needs rewrite', not_supported: '<strong>Not Supported</strong>' };
+    const { totals } = indexes;
+    return `
+    <h2>Index Compatibility</h2>
+    <p>${totals.indexes} indexes: ${totals.supported} supported, ${totals.rewrite} need a rewrite, ${totals.not_supported} not supported.
+    ${totals.unused} unused (${totals.unused_bytes} bytes) and not worth migrating${indexes.usage_since ? `, counted since ${escape_html(indexes.usage_since)}; usage statistics restart with the server, so check that this covers a full business cycle` : ''}.
+    ${totals.without_usage > 0 ? `${totals.without_usage} indexes have no usage statistics.` : ''}</p>
+    ${indexes.indexes.length > listed.length ? `<p>The first ${listed.length} of ${indexes.indexes.length} indexes are listed.</p>` : ''}
+    <table>
+        <tr><th>Namespace</th><th>Index</th><th>Key</th><th>Status</th><th>Features</th><th>Accesses</th><th>Size (Bytes)</th></tr>
+        ${listed.map(index => `<tr>
+            <td class="left-align">${escape_html(index.ns)}</td>
+            <td class="left-align">${escape_html(index.name)}${index.unique ? ' (unique)' : ''}${index.sparse ? ' (sparse)' : ''}</td>
+            <td class="left-align"><code>${escape_html(JSON.stringify(index.key))}</code></td>
+            <td class="center-align">${status_labels[index.status]}</td>
+            <td class="left-align">${index.features.map(feature => `${escape_html(feature.feature)} (${escape_html(feature.status)}): ${escape_html(feature.note)}`).join('<br>')}</td>
+            <td class="center-align">${index.accesses === null ? 'n/a' : index.accesses}${index.unused ? ' <strong>(unused)</strong>' : ''}</td>
+            <td class="center-align">${index.size}</td>
+        </tr>`).join('\n        ')}
+    </table>
+    <h3>Collection Scans</h3>
+    <p>${indexes.collscans.length} profiled query shape(s) used a COLLSCAN plan. The suggested key puts equality fields first, then sort fields, then range fields.</p>
+    <table>
+        <tr><th>Shape</th><th>Namespace</th><th>Op</th><th>Collection Scans</th><th>Total ms</th><th>Docs Examined</th><th>Docs Returned</th><th>Suggested Index Key</th><th>Existing Indexes on Leading Field</th></tr>
+        ${collscans.map(shape => `<tr><td><code>${escape_html(shape.fingerprint)}</code></td><td>${escape_html(shape.ns)}</td><td>${escape_html(shape.op)}${shape.command ? ` (${escape_html(shape.command)})` : ''}</td><td class="center-align">${shape.collscans}</td><td class="center-align">${parseFloat(shape.total_millis.toFixed(2))}</td><td class="center-align">${shape.docs_examined}</td><td class="center-align">${shape.docs_returned}</td><td><code>${shape.suggested_key ? escape_html(JSON.stringify(shape.suggested_key)) : 'n/a'}</code></td><td>${escape_html(shape.existing_indexes.join(', '))}</td></tr>`).join('\n        ')}
+    </table>
+    `;
+}
+
+// Most collections listed in the per-collection table of the report
+const MAX_REPORTED_COLLECTIONS = 500;
+
+// Function to summarize the per-collection storage projection
+function summarize_collections(collections) {
+    const listed = collections.slice(0, MAX_REPORTED_COLLECTIONS);
+    return `
+    <h2>Storage by Collection</h2>
+    ${collections.length > listed.length ? `<p>The ${listed.length} largest of ${collections.length} collections are listed.</p>` : ''}
+    <table>
+        <tr>
+            <th>Namespace</th><th>Documents</th><th>Avg Document (Bytes)</th><th>BSON Data (Bytes)</th><th>On Disk (Bytes)</th>
+            <th>Compression</th><th>Indexes</th><th>Index Size (Bytes)</th><th>Projected Oracle Size (Bytes)</th><th>Indexes That Need Attention</th>
+        </tr>
+        ${listed.map(collection => `<tr>
+            <td class="left-align">${escape_html(collection.ns)}${collection.capped ? ' (capped)' : ''}</td>
+            <td class="center-align">${collection.count}</td>
+            <td class="center-align">${Math.round(collection.avg_obj_size || 0)}</td>
+            <td class="center-align">${collection.size}</td>
+            <td class="center-align">${collection.storage_size}</td>
+            <td class="center-align">${escape_html(collection.compressor || 'unknown')}</td>
+            <td class="center-align">${(collection.indexes || []).length}</td>
+            <td class="center-align">${collection.total_index_size}</td>
+            <td class="center-align">${collection.projected_total_bytes}</td>
+            <td class="left-align">${collection.index_flags.map(flag => escape_html(`${flag.index}: ${flag.feature} - ${flag.note}`)).join('<br>')}</td>
+        </tr>`).join('\n        ')}
+    </table>
+    `;
+}
+
+// Function to summarize the target shape recommendation
+function summarize_recommendation(recommendation) {
+    return `
+    <h2>Recommended ${escape_html(recommendation.service)} Shape</h2>
+    <p>Sizing profile: ${escape_html(recommendation.profile.name)}${recommendation.profile.version ? ` (version ${escape_html(recommendation.profile.version)})` : ''}</p>
+    <table>
+        <tr><th>Item</th><th>Recommendation</th><th>How it was derived</th></tr>
+        ${recommendation.explanations.map(row => `<tr><td class="left-align">${escape_html(row.item)}</td><td class="center-align">${escape_html(row.value)}</td><td class="left-align">${escape_html(row.derivation)}</td></tr>`).join('\n        ')}
+    </table>
+    `;
+}
+
+// Function to summarize the sizing calculations
+function summarize_sizing(sizing) {
+    return `
+    <h2>MongoDB Deployment Sizing Recommendations</h2>
+    <table>
+        ${Object.entries(sizing).map(([label, value]) => `<tr><td class="left-align">${escape_html(label)}</td><td class="center-align">${escape_html(value)}</td></tr>`).join('\n        ')}
+    </table>
+    `;
+}
+
+// Function to summarize the analysis per op type
+function summarize_op_types(op_types) {
+    return `
+    <h2>Operations by Type</h2>
+    <table>
+        <tr><th>Op Type</th><th>Entries</th><th>Supported</th><th>Not Supported</th><th>Not Supported Operators</th><th>Unknown Operators</th></tr>
+        ${Object.entries(op_types).sort(([, a], [, b]) => b.entries - a.entries).map(([op, stats]) => `<tr><td>${escape_html(op)}</td><td class="center-align">${stats.entries}</td><td class="center-align">${stats.supported}</td><td class="center-align">${stats.not_supported}</td><td>${Object.entries(stats.not_supported_dictionary).map(([key, value]) => `${escape_html(key)} (${value})`).join(', ')}</td><td>${Object.entries(stats.unknown_dictionary || {}).map(([key, value]) => `${escape_html(key)} (${value})`).join(', ')}</td></tr>`).join('')}
+    </table>
+    `;
+}
+
+// Function to render the note and documentation link of a rule
+function rule_note(note, link) {
+    return `${escape_html(note)}${link ? ` <a href="${escape_html(link)}" target="_blank">Documentation</a>` : ''}`;
+}
+
+// Function to find the rule details recorded for an operator in any position
+function operator_rule(operator_contexts, operator) {
+    for (const positions of Object.values(operator_contexts)) {
+        if (positions[operator]) {
+            return positions[operator];
+        }
+    }
+    return {};
+}
+
+// Function to summarize the workload features found in the profile and the collection metadata
+function summarize_features(features) {
+    const found = Object.keys(WORKLOAD_FEATURES).filter(feature => features[feature]);
+    const top = dictionary => Object.entries(dictionary).sort(([, a], [, b]) => b - a).slice(0, 5).map(([key, value]) => `${escape_html(key)} (${value})`).join('<br>');
+    return `
+    <h2>Feature Usage</h2>
+    ${found.length === 0 ? '<p>No transactions, change streams, retryable writes, tailable cursors, capped collections, GridFS, server-side JavaScript or $out/$merge stages were found.</p>' : `
+    <table>
+        <tr><th>Feature</th><th>Profile Entries</th><th>Namespaces</th><th>Collections</th><th>Written Collections</th><th>Note</th></tr>
+        ${found.map(feature => `<tr><td>${WORKLOAD_FEATURES[feature].label}</td><td class="center-align">${features[feature].entries}</td><td>${top(features[feature].namespaces)}</td><td>${(features[feature].collections || []).slice(0, 10).map(escape_html).join('<br>')}${(features[feature].collections || []).length > 10 ? `<br>and ${features[feature].collections.length - 10} more` : ''}</td><td>${top(features[feature].targets)}</td><td class="left-align">${WORKLOAD_FEATURES[feature].note}</td></tr>`).join('\n        ')}
+    </table>
+    ${found.filter(feature => features[feature].examples.length > 0).map(feature => `
+    <div class="collapsible">Example entries: ${WORKLOAD_FEATURES[feature].label}</div>
+    <div class="content">
+        ${features[feature].examples.map(example => `<pre>${escape_html(JSON.stringify(example, null, 4))}</pre>`).join('\n        ')}
+    </div>
+    `).join('')}`}
+    `;
+}
+
+// Function to describe the rule set a report was judged against
+function summarize_target(target) {
+    return `
+    <div class="summary">
+        <p>Compatibility target: <strong>${escape_html(target.name)}</strong> (rule set <code>${escape_html(target.id)}</code>${target.version ? ` version ${escape_html(target.version)}` : ''})</p>
+        ${target.sources.length > 1 ? `<p>Rule files applied in order: ${target.sources.map(source => `<code>${escape_html(path.basename(source.file))}</code>`).join(', ')}</p>` : ''}
+    </div>
+    `;
+}
+
+// Function to summarize readiness per application, client host, user or collection
+function summarize_attribution(title, label, groups, shape_anchors) {
+    const format_percent = value => `${value.toFixed(2)}%`;
+    return `
+    <h2>${title}</h2>
+    <table>
+        <tr><th>${label}</th><th>Executions</th><th>Readiness</th><th>Not Supported Executions</th><th>Not Supported Operators</th><th>Unknown Operators</th><th>Example Shapes</th></tr>
+        ${groups.map(group => `<tr><td>${escape_html(group.name)}</td><td class="center-align">${group.entries}</td><td class="center-align">${format_percent(group.readiness)}</td><td class="center-align">${group.not_supported}</td><td>${Object.entries(group.not_supported_operators).map(([key, value]) => `${escape_html(key)} (${value})`).join(', ')}</td><td>${Object.entries(group.unknown_operators).map(([key, value]) => `${escape_html(key)} (${value})`).join(', ')}</td><td>${group.example_shapes.map(fingerprint => (shape_anchors.has(fingerprint) ? `<a href="#not-supported-${escape_html(fingerprint)}">${escape_html(fingerprint)}</a>` : escape_html(fingerprint))).join(', ')}</td></tr>`).join('')}
+    </table>
+    `;
+}
+
+// Number of query shapes listed per report table
+const MAX_REPORTED_SHAPES = 200;
+
+// Function to render the suggested rewrites for the not supported operators of a query shape
+function summarize_remediations(remediations) {
+    if (remediations.length === 0) {
+        return '';
+    }
+    return `
+        <div class="remediation">
+        <p>Suggested rewrites:</p>
+        ${remediations.map(({ operator, context, suggestion, before, after, link }) => `
+        <p><code>${escape_html(operator)}</code>${context ? ` (${escape_html(context)})` : ''}: ${rule_note(suggestion, link)}</p>
+        ${before ? `<p>Before:</p><pre>${escape_html(before)}</pre>` : ''}
+        ${after ? `<p>After:</p><pre>${escape_html(after)}</pre>` : ''}`).join('')}
+        </div>`;
+}
+
+// Function to summarize query shapes ranked by impact, with the normalized shape, an example
+// and the suggested rewrites per shape
+function summarize_query_shapes(shapes, title, id_prefix) {
+    const listed = shapes.slice(0, MAX_REPORTED_SHAPES);
+    const format_ms = value => parseFloat(value.toFixed(2));
+    return `
+    <h2>${title}</h2>
+    <p>${shapes.length} shape(s), ranked by total execution time.${shapes.length > listed.length ? ` Showing the top ${listed.length}.` : ''}</p>
+    <table>
+        <tr><th>Rank</th><th>Shape</th><th>Namespace</th><th>Op</th><th>Executions</th><th>Total ms</th><th>Avg ms</th><th>Docs Examined</th><th>Docs Returned</th><th>Not Supported Operators</th><th>Suggested Rewrites</th></tr>
+        ${listed.map((shape, i) => `<tr><td class="center-align">${i + 1}</td><td><a href="#${id_prefix}-${escape_html(shape.fingerprint)}">${escape_html(shape.fingerprint)}</a></td><td>${escape_html(shape.ns)}</td><td>${escape_html(shape.op)}${shape.command ? ` (${escape_html(shape.command)})` : ''}</td><td class="center-align">${shape.count}</td><td class="center-align">${format_ms(shape.total_millis)}</td><td class="center-align">${format_ms(shape.avg_millis)}</td><td class="center-align">${shape.docs_examined}</td><td class="center-align">${shape.docs_returned}</td><td>${escape_html(shape.not_supported_operators.join(', '))}</td><td>${shape.remediations.length > 0 ? `<a href="#${id_prefix}-${escape_html(shape.fingerprint)}">${escape_html(shape.remediations.map(remediation => remediation.operator).join(', '))}</a>` : ''}</td></tr>`).join('')}
+    </table>
+    ${listed.map(shape => `
+    <div class="shape">
+    <div class="collapsible" id="${id_prefix}-${escape_html(shape.fingerprint)}">Shape ${escape_html(shape.fingerprint)}: ${escape_html(shape.ns)} ${escape_html(shape.op)} (${shape.count} executions)</div>
+    <div class="content">
+        <p>Plans: ${escape_html(Object.entries(shape.plan_summaries).map(([plan, count]) => `${plan} (${count})`).join(', ') || 'n/a')}; max ${format_ms(shape.max_millis)} ms; keys examined ${shape.keys_examined}</p>
+        <p>Normalized shape:</p>
+        <pre>${highlight_not_supported(JSON.stringify(shape.shape, null, 4), shape.not_supported_operators)}</pre>
+        ${summarize_remediations(shape.remediations)}
+        <p>Example entry:</p>
+        <pre>${highlight_not_supported(JSON.stringify(shape.example, null, 4), shape.not_supported_operators)}</pre>
+    </div>
+    </div>
+    `).join('')}
+    `;
+}
+
+// Function to summarize operators by the position they were used in
+function summarize_operator_contexts(operator_contexts) {
+    const status_labels = { supported: 'Supported', not_supported: '<strong>Not Supported</strong>', unknown: 'Unknown' };
+    const rows = OPERATOR_CONTEXTS.filter(context => operator_contexts[context])
+        .flatMap(context => Object.entries(operator_contexts[context])
+            .sort(([, a], [, b]) => b.count - a.count)
+            .map(([operator, { count, status, severity, note, link }]) => `<tr><td>${escape_html(operator)}</td><td>${context}</td><td>${status_labels[status]}</td><td class="center-align">${escape_html(severity)}</td><td class="center-align">${count}</td><td>${rule_note(note, link)}</td></tr>`));
+    return `
+    <h2>Operators by Position</h2>
+    <table>
+        <tr><th>Operator</th><th>Position</th><th>Status</th><th>Severity</th><th>Count</th><th>Note</th></tr>
+        ${rows.join('')}
+    </table>
+    `;
+}
+
+// Style of the HTML report; it is a single file that works offline, so nothing is loaded from elsewhere
+const REPORT_STYLE = `
+            body { font-family: Arial, sans-serif; margin: 20px; }
+            h1 { color: #333; }
+            h2 { color: #555; }
+            nav { position: sticky; top: 0; background-color: #fff; border-bottom: 1px solid #ddd; padding: 8px 0; margin-bottom: 10px; }
+            nav a { display: inline-block; padding: 6px 12px; margin-right: 4px; border: 1px solid #ddd; color: #333; text-decoration: none; background-color: #f2f2f2; }
+            nav a.active { background-color: #333; color: #fff; }
+            table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+            th, td { border: 1px solid #ddd; padding: 8px; }
+            th { background-color: #f2f2f2; }
+            th.sortable { cursor: pointer; }
+            th.sorted-asc::after { content: " \\25B2"; }
+            th.sorted-desc::after { content: " \\25BC"; }
+            td.left-align { text-align: left; }
+            td.center-align { text-align: center; }
+            input.table-filter, input.shape-search { width: 40%; padding: 6px; margin-bottom: 6px; }
+            .summary { background-color: #f9f9f9; padding: 10px; border: 1px solid #ddd; }
+            .tiles { display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 20px; }
+            .tile { flex: 1 1 180px; border: 1px solid #ddd; background-color: #f9f9f9; padding: 10px; }
+            .tile .value { font-size: 1.6em; font-weight: bold; }
+            .collapsible { background-color: #f2f2f2; cursor: pointer; padding: 10px; border: 1px solid #ddd; margin-bottom: 5px; }
+            .content { display: none; padding: 10px; border: 1px solid #ddd; margin-bottom: 10px; }
+            .chart { margin-bottom: 20px; }
+            .chart text { font-size: 11px; fill: #333; }
+            strong { color: red; }
+            pre { white-space: pre-wrap; word-wrap: break-word; }
+            .remediation { background-color: #f3f9f3; border-left: 4px solid #4a9a4a; padding: 4px 10px; margin-bottom: 10px; }
+`;
+
+// Script of the HTML report: pages, collapsibles, sortable and filterable tables, the search across the
+// captured commands and the charts, drawn as SVG from the data embedded in the report-data element
+const REPORT_SCRIPT = `
+            (function() {
+                var data = JSON.parse(document.getElementById("report-data").textContent);
+                var pages = document.querySelectorAll("section.page");
+                var links = document.querySelectorAll("nav a");
+
+                function open_content(content) {
+                    content.style.display = "block";
+                }
+
+                // Pages: show one at a time; a link to an element inside a page opens that page
+                function show(hash) {
+                    var target = hash ? document.getElementById(decodeURIComponent(hash.slice(1))) : null;
+                    var page = target;
+                    while (page && !(page.classList && page.classList.contains("page"))) {
+                        page = page.parentNode;
+                    }
+                    if (!page) {
+                        page = pages[0];
+                    }
+                    for (var i = 0; i < pages.length; i++) {
+                        pages[i].style.display = pages[i] === page ? "block" : "none";
+                    }
+                    for (var j = 0; j < links.length; j++) {
+                        links[j].classList.toggle("active", links[j].getAttribute("href") === "#" + page.id);
+                    }
+                    if (target && target !== page) {
+                        if (target.classList.contains("collapsible")) {
+                            open_content(target.nextElementSibling);
+                        }
+                        target.scrollIntoView();
+                    }
+                }
+                window.addEventListener("hashchange", function() { show(location.hash); });
+                show(location.hash);
+
+                var coll = document.getElementsByClassName("collapsible");
+                for (var i = 0; i < coll.length; i++) {
+                    coll[i].addEventListener("click", function() {
+                        this.classList.toggle("active");
+                        var content = this.nextElementSibling;
+                        if (content.style.display === "block") {
+                            content.style.display = "none";
+                        } else {
+                            content.style.display = "block";
+                        }
+                    });
+                }
+
+                // Tables with a header row sort by a column on click and can be filtered by text
+                function cell_value(row, index) {
+                    var text = row.cells[index] ? row.cells[index].textContent.trim() : "";
+                    var number = parseFloat(text.replace(/[%,]/g, ""));
+                    return isNaN(number) || !/^[-+]?[\\d.,]+%?(\\s|$)/.test(text) ? text.toLowerCase() : number;
+                }
+                function make_sortable(table) {
+                    var header = table.rows[0];
+                    var rows = Array.prototype.slice.call(table.rows, 1);
+                    Array.prototype.forEach.call(header.cells, function(th, index) {
+                        th.classList.add("sortable");
+                        th.addEventListener("click", function() {
+                            var ascending = !th.classList.contains("sorted-asc");
+                            Array.prototype.forEach.call(header.cells, function(other) { other.classList.remove("sorted-asc", "sorted-desc"); });
+                            th.classList.add(ascending ? "sorted-asc" : "sorted-desc");
+                            rows.sort(function(a, b) {
+                                var x = cell_value(a, index), y = cell_value(b, index);
+                                if (typeof x !== typeof y) {
+                                    x = String(x);
+                                    y = String(y);
+                                }
+                                return (x < y ? -1 : x > y ? 1 : 0) * (ascending ? 1 : -1);
+                            });
+                            rows.forEach(function(row) { row.parentNode.appendChild(row); });
+                        });
+                    });
+                    if (rows.length > 1) {
+                        var filter = document.createElement("input");
+                        filter.type = "search";
+                        filter.className = "table-filter";
+                        filter.placeholder = "Filter rows";
+                        filter.addEventListener("input", function() {
+                            var query = filter.value.toLowerCase();
+                            rows.forEach(function(row) {
+                                row.style.display = row.textContent.toLowerCase().indexOf(query) >= 0 ? "" : "none";
+                            });
+                        });
+                        table.parentNode.insertBefore(filter, table);
+                    }
+                }
+                var tables = document.getElementsByTagName("table");
+                for (var t = 0; t < tables.length; t++) {
+                    if (tables[t].rows.length > 0 && tables[t].rows[0].cells.length > 0 && tables[t].rows[0].cells[0].tagName === "TH") {
+                        make_sortable(tables[t]);
+                    }
+                }
+
+                // Search across the normalized shapes and captured example commands
+                var search = document.getElementById("shape-search");
+                if (search) {
+                    var shapes = document.querySelectorAll("div.shape");
+                    var count = document.getElementById("shape-search-count");
+                    search.addEventListener("input", function() {
+                        var query = search.value.toLowerCase();
+                        var matches = 0;
+                        Array.prototype.forEach.call(shapes, function(shape) {
+                            var match = shape.textContent.toLowerCase().indexOf(query) >= 0;
+                            shape.style.display = match ? "" : "none";
+                            shape.querySelector(".content").style.display = match && query ? "block" : "none";
+                            matches += match ? 1 : 0;
+                        });
+                        count.textContent = query ? matches + " of " + shapes.length + " shape listings match" : "";
+                    });
+                }
+
+                var svg_ns = "http://www.w3.org/2000/svg";
+                function svg_element(name, attributes, text) {
+                    var element = document.createElementNS(svg_ns, name);
+                    for (var key in attributes) {
+                        element.setAttribute(key, attributes[key]);
+                    }
+                    if (text !== undefined) {
+                        element.textContent = text;
+                    }
+                    return element;
+                }
+
+                // Horizontal bar chart of the most used operators, colored by status
+                var colors = { supported: "#4a90d9", not_supported: "#d9534f", unknown: "#f0ad4e" };
+                var bars = document.getElementById("operator-chart");
+                if (bars && data.operators.length > 0) {
+                    var max = Math.max.apply(null, data.operators.map(function(item) { return item.count; }));
+                    var svg = svg_element("svg", { width: 720, height: data.operators.length * 22 + 10 });
+                    data.operators.forEach(function(item, index) {
+                        var y = index * 22 + 5;
+                        var width = Math.max(1, 480 * item.count / max);
+                        svg.appendChild(svg_element("text", { x: 0, y: y + 14 }, item.operator));
+                        svg.appendChild(svg_element("rect", { x: 180, y: y, width: width, height: 16, fill: colors[item.status] || "#999" }));
+                        svg.appendChild(svg_element("text", { x: 186 + width, y: y + 14 }, item.count + " (" + item.status.replace("_", " ") + ")"));
+                    });
+                    bars.appendChild(svg);
+                }
+
+                // Line charts of the sampled metrics over time
+                var lines = document.getElementById("metrics-charts");
+                if (lines && data.timeseries.length > 1) {
+                    data.series.forEach(function(series) {
+                        var values = data.timeseries.map(function(point) { return point[series.key]; });
+                        var high = Math.max.apply(null, values) || 1;
+                        var svg = svg_element("svg", { width: 720, height: 170, "class": "chart" });
+                        var points = values.map(function(value, index) {
+                            return (60 + 640 * index / (values.length - 1)).toFixed(1) + "," + (140 - 120 * value / high).toFixed(1);
+                        }).join(" ");
+                        svg.appendChild(svg_element("text", { x: 60, y: 12 }, series.label));
+                        svg.appendChild(svg_element("line", { x1: 60, y1: 140, x2: 700, y2: 140, stroke: "#999" }));
+                        svg.appendChild(svg_element("line", { x1: 60, y1: 20, x2: 60, y2: 140, stroke: "#999" }));
+                        svg.appendChild(svg_element("text", { x: 0, y: 24 }, String(Math.round(high * 100) / 100)));
+                        svg.appendChild(svg_element("text", { x: 0, y: 140 }, "0"));
+                        svg.appendChild(svg_element("polyline", { points: points, fill: "none", stroke: "#4a90d9", "stroke-width": 2 }));
+                        svg.appendChild(svg_element("text", { x: 60, y: 158 }, data.timeseries[0].timestamp));
+                        svg.appendChild(svg_element("text", { x: 700, y: 158, "text-anchor": "end" }, data.timeseries[data.timeseries.length - 1].timestamp));
+                        lines.appendChild(svg);
+                    });
+                }
+            })();
+`;
+
+// Characters replaced when report content is embedded in HTML
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+// Most operators drawn in the operator frequency chart
+const MAX_CHARTED_OPERATORS = 20;
+// Sampled metrics drawn as time series, with the labels of their charts
+const CHARTED_METRICS = [
+    { key: 'ops_per_sec', label: 'Operations per Second' },
+    { key: 'connections', label: 'Current Connections' },
+    { key: 'network_mb_sec', label: 'Network (MB/sec)' },
+    { key: 'resident_mb', label: 'Resident Memory (MB)' }
+];
+
+// Function to escape profile content, names and notes for HTML text and attribute values
+function escape_html(value) {
+    return String(value ?? '').replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+// Function to serialize data for a <script type="application/json"> element; '<' is escaped so
+// the data cannot close the element
+function script_json(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Function to collect what the report charts: the most used operators with their status, and the
+// rates of every metrics sample over time
+function report_chart_data(analysis, metrics) {
+    const operators = [];
+    if (analysis) {
+        for (const [dictionary, status] of [[analysis.supported_dictionary, 'supported'], [analysis.not_supported_dictionary, 'not_supported'], [analysis.unknown_dictionary, 'unknown']]) {
+            for (const [operator, count] of Object.entries(dictionary || {})) {
+                operators.push({ operator, count, status });
+            }
+        }
+        operators.sort((a, b) => b.count - a.count);
+    }
+    const samples = metrics && Array.isArray(metrics.samples) ? metrics.samples.filter(sample => sample.interval_seconds > 0) : [];
+    return {
+        operators: operators.slice(0, MAX_CHARTED_OPERATORS),
+        series: CHARTED_METRICS,
+        timeseries: samples.map(sample => ({
+            timestamp: sample.timestamp,
+            ops_per_sec: parseFloat(calculate_cpu_cores(sample.opcounters || {}, sample.interval_seconds).ops_per_sec.toFixed(2)),
+            connections: sample.connections ? sample.connections.current || 0 : 0,
+            network_mb_sec: parseFloat(calculate_network_bandwidth(sample.network || {}, sample.interval_seconds).toFixed(6)),
+            resident_mb: sample.mem ? sample.mem.resident || 0 : 0
+        }))
+    };
+}
+
+// Function to summarize the whole report on its first page: compatibility, the biggest blockers,
+// findings of the schema and index checks, and the recommended shape
+function summarize_executive(analysis, { sizing = null, recommendation = null, forecast = null, replay = null, schema = null, indexes = null, comparison = null } = {}) {
+    const tile = (label, value, detail = '') => `<div class="tile"><div>${escape_html(label)}</div><div class="value">${escape_html(value)}</div><div>${detail}</div></div>`;
+    const tiles = [];
+    const findings = [];
+
+    if (comparison) {
+        const { summary, progress } = comparison;
+        tiles.push(tile('Operator Compatibility', `${summary.current.supported_percent}%`, `was ${escape_html(summary.baseline.supported_percent)}%`));
+        tiles.push(tile('Shapes Resolved', progress.resolved_shapes, `${progress.new_shapes} new, ${progress.remaining_shapes} remaining`));
+    } else if (replay) {
+        tiles.push(tile('Commands Succeeded', `${replay.totals.success_percent}%`, `${replay.totals.succeeded} of ${replay.totals.executed} replayed`));
+        tiles.push(tile('Failed Commands', replay.totals.failed));
+        findings.push(escape_html(replay.verdict));
+    } else if (analysis) {
+        const { supported_percent } = summarize_keywords(analysis.supported_dictionary, analysis.not_supported_dictionary);
+        const { supported, not_supported } = analysis.command_totals;
+        const entries = supported + not_supported;
+        const blocking_shapes = analysis.query_shapes.filter(shape => shape.not_supported_operators.length > 0);
+        tiles.push(tile('Operator Compatibility', `${supported_percent.toFixed(2)}%`, `against ${escape_html(analysis.target.name)}`));
+        tiles.push(tile('Ready Profile Entries', `${(entries > 0 ? (supported / entries) * 100 : 100).toFixed(2)}%`, `${supported} of ${entries} entries use no not supported operator`));
+        tiles.push(tile('Shapes to Rewrite', blocking_shapes.length, `of ${analysis.query_shapes.length} query shapes`));
+
+        const blockers = Object.entries(analysis.not_supported_dictionary).sort(([, a], [, b]) => b - a).slice(0, 5);
+        if (blockers.length > 0) {
+            findings.push(`Most used not supported operators: ${blockers.map(([operator, count]) => `<code>${escape_html(operator)}</code> (${count})`).join(', ')}.`);
+        }
+        if (blocking_shapes.length > 0) {
+            findings.push(`Costliest shapes to rewrite: ${blocking_shapes.slice(0, 3).map(shape => `<a href="#not-supported-${escape_html(shape.fingerprint)}">${escape_html(shape.ns || shape.fingerprint)} ${escape_html(shape.op)}</a> (${parseFloat(shape.total_millis.toFixed(2))} ms)`).join(', ')}.`);
+        }
+        const applications = analysis.attribution ? analysis.attribution.application.filter(group => group.not_supported > 0) : [];
+        if (applications.length > 0) {
+            findings.push(`Least ready applications: ${[...applications].sort((a, b) => a.readiness - b.readiness).slice(0, 3).map(group => `${escape_html(group.name)} (${group.readiness.toFixed(2)}%)`).join(', ')}.`);
+        }
+        const features = Object.keys(WORKLOAD_FEATURES).filter(feature => analysis.features && analysis.features[feature]);
+        if (features.length > 0) {
+            findings.push(`Workload features to plan for: ${features.map(feature => escape_html(WORKLOAD_FEATURES[feature].label)).join(', ')}.`);
+        }
+    }
+    if (schema) {
+        const over_limits = schema.collections.filter(collection => Object.values(collection.limit_checks).some(check => check !== 'ok')).length;
+        findings.push(`Schema scan: ${schema.flagged_types.length} data type(s) flagged, ${over_limits} of ${schema.collections.length} collection(s) near or over a limit.`);
+    }
+    if (indexes) {
+        const { totals } = indexes;
+        findings.push(`Indexes: ${totals.rewrite} need a rewrite, ${totals.not_supported} are not supported and ${totals.unused} are unused; ${indexes.collscans.length} query shape(s) scanned whole collections.`);
+    }
+    if (recommendation) {
+        tiles.push(tile(`Recommended ${recommendation.service}`, `${recommendation.ecpus} ECPUs`, `${recommendation.storage_tb} TB storage${recommendation.auto_scaling ? `, auto scaling to ${recommendation.auto_scaling_max_ecpus} ECPUs` : ''}`));
+    } else if (sizing) {
+        tiles.push(tile('CPU Cores Required', sizing['CPU Cores Required']));
+    }
+    if (forecast) {
+        const last = forecast.horizons[forecast.horizons.length - 1];
+        findings.push(`In ${last.months} months the workload is projected to need ${last.ecpus} ECPUs and ${last.storage_tb} TB of storage.`);
+    }
+
+    return `
+    <h2>Executive Summary</h2>
+    <div class="tiles">
+        ${tiles.join('\n        ')}
+    </div>
+    ${findings.length > 0 ? `<ul>${findings.map(finding => `<li>${finding}</li>`).join('')}</ul>` : ''}
+    `;
+}
+
+// Function to explain how the compatibility scores are calculated
+function summarize_faq() {
+    return `
+        <h2>FAQ: Understanding the Compatibility Scores</h2>
+        <div class="collapsible">How is the "Summary of Operators" percentage calculated?</div>
+        <div class="content">
+            <p>The "Summary of Operators" percentage (e.g., "Your operators are 67.09% compatible with MongoDB API") is calculated based on the ratio of supported operators to the total operators (both supported and not supported) found in the MongoDB profiler data. Every op type is inspected: query filters, projections and sort, update documents, delete filters, aggregation pipelines and the commands that opened getmore cursors. A cursor's operators are counted once, with the command that opened it; its getmore batches only add time to that command's query shape.</p>
+            <p>Here's how it works:</p>
+            <ul>
+                <li><strong>Step 1:</strong> Count the total occurrences of operators the target rule set marks as supported.</li>
+                <li><strong>Step 2:</strong> Count the total occurrences of operators the target rule set marks as not supported.</li>
+                <li><strong>Step 3:</strong> Calculate the total number of operators: <code>total_keywords = total_supported + total_not_supported</code>.</li>
+                <li><strong>Step 4:</strong> Compute the compatibility percentage: <code>supported_percent = (total_supported / total_keywords) * 100</code>.</li>
+            </ul>
+            <p>For example, if <code>total_supported = 60</code> and <code>total_not_supported = 30</code>, then:</p>
+            <p><code>supported_percent = (60 / (60 + 30)) * 100 = 66.67%</code></p>
+            <p>Each operator is classified by its position: query predicate, update operator, pipeline stage, accumulator, expression, projection/sort, or system variable. Operators the rule set does not cover are reported as unknown and left out of the percentage.</p>
+            <p>The readiness of an application, client host, user or collection is different: it is the share of its executions that use no not supported operator.</p>
+        </div>
+
+        <div class="collapsible">Oracle API Documentation</div>
+        <div class="content">
+            <p>For detailed information about supported MongoDB APIs and operations within Oracle's MongoDB API, please refer to the official Oracle documentation:</p>
+            <p><a href="https://docs.oracle.com/en/database/oracle/mongodb-api/mgapi/support-mongodb-apis-operations-and-data-types-reference.html" target="_blank">Oracle API Documentation</a></p>
+        </div>
+
+        <div class="summary">
+            <p><strong>Note:</strong> Inserted documents are not inspected, so insert entries always count as supported.</p>
+        </div>
+    `;
+}
+
+// Function to render the report as a single-file HTML dashboard. `analysis` is the result of analyze_keywords,
+// or null for a sizing-only report; with both an analysis and sizing it is one combined report.
+// Every section is a page of its own, reached from the navigation bar; the executive summary comes first.
+function render_html_report({ analysis = null, metrics = null, sizing = null, recommendation = null, collections = null, forecast = null, replay = null, schema = null, indexes = null, comparison = null }) {
+    const {
+        target = null, supported_dictionary = {}, not_supported_dictionary = {}, unknown_dictionary = {}, operator_contexts = {},
+        op_types = {}, query_shapes = [], shape_overflow = { entries: 0 }, attribution = null, features = null
+    } = analysis || {};
+    const { total_keywords, total_supported, total_not_supported, supported_percent } = summarize_keywords(supported_dictionary, not_supported_dictionary);
+    const pages = [];
+
+    // Name the rule set the workload was judged against next to the summary
+    pages.push({
+        id: 'summary',
+        title: 'Summary',
+        html: summarize_executive(analysis, { sizing, recommendation, forecast, replay, schema, indexes, comparison }) + (target ? summarize_target(target) : '')
+    });
+
+    // A replay report holds measured results and a comparison report the changes between two runs
+    // instead of the operator analysis
+    if (comparison) {
+        pages.push({ id: 'comparison', title: 'Remediation Progress', html: summarize_comparison(comparison) });
+    } else if (replay) {
+        pages.push({ id: 'replay', title: 'Replay', html: summarize_replay(replay) });
+    } else if (analysis) {
+        const count_rows = dictionary => Object.entries(dictionary).map(([key, value]) => `<tr><td>${escape_html(key)}</td><td class="center-align">${value}</td></tr>`).join('');
+        pages.push({
+            id: 'operators',
+            title: 'Operators',
+            html: `
+        <h2>Summary of Operators</h2>
+        <p>Your operators are <strong>${supported_percent.toFixed(2)}%</strong> compatible with ${escape_html(target ? target.name : 'MongoDB API')}.</p>
+        <table>
+            <tr><td class="left-align">Total Operator Occurrences</td><td class="center-align">${total_keywords}</td></tr>
+            <tr><td class="left-align">Total Supported Operator Occurrences</td><td class="center-align">${total_supported}</td></tr>
+            <tr><td class="left-align">Total Not Supported Operator Occurrences</td><td class="center-align">${total_not_supported}</td></tr>
+            <tr><td class="left-align">Unknown Operator Occurrences (not covered by the rule set)</td><td class="center-align">${Object.values(unknown_dictionary).reduce((a, b) => a + b, 0)}</td></tr>
+        </table>
+
+        <h2>Operator Frequency</h2>
+        <div class="chart" id="operator-chart"></div>
+
+        <h2>Supported Operators</h2>
+        <table>
+            <tr><th>Operator</th><th>Count</th></tr>
+            ${count_rows(supported_dictionary)}
+        </table>
+
+        <h2>Not Supported Operators</h2>
+        <table>
+            <tr><th>Operator</th><th>Count</th><th>Severity</th><th>Note</th><th>Suggested Rewrite</th></tr>
+            ${Object.entries(not_supported_dictionary).map(([key, value]) => {
+                const { severity, note, link, remediation } = operator_rule(operator_contexts, key);
+                return `<tr><td>${escape_html(key)}</td><td class="center-align">${value}</td><td class="center-align">${escape_html(severity)}</td><td>${rule_note(note, link)}</td><td>${remediation ? rule_note(remediation.suggestion, remediation.link) : ''}</td></tr>`;
+            }).join('')}
+        </table>
+
+        <h2>Unknown Operators</h2>
+        <p>Operators the rule set does not cover. Check them against the target documentation.</p>
+        <table>
+            <tr><th>Operator</th><th>Count</th></tr>
+            ${count_rows(unknown_dictionary)}
+        </table>
+        ${Object.keys(operator_contexts).length > 0 ? summarize_operator_contexts(operator_contexts) : ''}
+        ${Object.keys(op_types).length > 0 ? summarize_op_types(op_types) : ''}
+        `
+        });
+        if (features) {
+            pages.push({ id: 'features', title: 'Features', html: summarize_features(features) });
+        }
+        if (query_shapes.length > 0) {
+            pages.push({
+                id: 'shapes',
+                title: 'Query Shapes',
+                html: `
+        <h2>Search the Captured Commands</h2>
+        <p>Find the listed query shapes whose normalized shape or example command contains a text, such as an operator or a field name.</p>
+        <input type="search" id="shape-search" class="shape-search" placeholder="e.g. $where or customer_id"> <span id="shape-search-count"></span>
+        ${summarize_query_shapes(query_shapes.filter(shape => shape.not_supported_operators.length > 0), 'Query Shapes with Not Supported Operators', 'not-supported')}
+        ${summarize_query_shapes(query_shapes, 'All Query Shapes', 'all')}
+        ${shape_overflow.entries > 0 ? `<p>${shape_overflow.entries} executions belonged to shapes beyond the tracked limit and are not listed.</p>` : ''}
+        `
+            });
+        }
+
+        // Readiness per application, client, user and namespace
+        if (attribution) {
+            const shape_anchors = new Set(query_shapes.filter(shape => shape.not_supported_operators.length > 0).slice(0, MAX_REPORTED_SHAPES).map(shape => shape.fingerprint));
+            pages.push({
+                id: 'readiness',
+                title: 'Applications and Namespaces',
+                html: [
+                    summarize_attribution('Readiness by Application', 'Application (appName)', attribution.application, shape_anchors),
+                    summarize_attribution('Readiness by Collection', 'Namespace', attribution.collection, shape_anchors),
+                    summarize_attribution('Readiness by Client Host', 'Client', attribution.client, shape_anchors),
+                    summarize_attribution('Readiness by User', 'User', attribution.user, shape_anchors)
+                ].join('')
+            });
+        }
+    }
+
+    // The data type and document structure scan, and the index classification with the collection scans
+    if (schema) {
+        pages.push({ id: 'schema', title: 'Data Types', html: summarize_schema(schema) });
+    }
+    if (indexes) {
+        pages.push({ id: 'indexes', title: 'Indexes', html: summarize_indexes(indexes) });
+    }
+
+    // Sizing, the recommended shape, the forecast and storage by collection
+    if (sizing || recommendation || forecast || collections) {
+        pages.push({
+            id: 'sizing',
+            title: 'Sizing',
+            html: [
+                sizing ? summarize_sizing(sizing) : '',
+                recommendation ? summarize_recommendation(recommendation) : '',
+                forecast ? summarize_forecast(forecast) : '',
+                collections ? summarize_collections(collections) : ''
+            ].join('')
+        });
+    }
+    if (metrics) {
+        pages.push({
+            id: 'metrics',
+            title: 'Metrics',
+            html: `
+        <h2>Metrics Collected via MongoDB</h2>
+        ${Array.isArray(metrics.samples) && metrics.samples.length > 1 ? `<p>${metrics.samples.length} samples taken every ${escape_html(metrics.sampling ? metrics.sampling.interval_seconds : '?')} seconds.</p>
+        <div class="chart" id="metrics-charts"></div>` : '<p>A single cumulative snapshot; collect metrics with --duration or --interval to chart them over time.</p>'}
+        <div class="collapsible">Collected metrics (JSON)</div>
+        <div class="content">
+            <pre>${escape_html(JSON.stringify(metrics, null, 4))}</pre>
+        </div>
+        `
+        });
+    }
+    if (analysis && !replay && !comparison) {
+        pages.push({ id: 'faq', title: 'FAQ', html: summarize_faq() });
+    }
+
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="utf-8">
+        <title>MongoDB Advisor Report</title>
+        <style>${REPORT_STYLE}        </style>
+    </head>
+    <body>
+        <h1>MongoDB Advisor Report</h1>
+        <nav>
+            ${pages.map(page => `<a href="#${page.id}">${escape_html(page.title)}</a>`).join('\n            ')}
+        </nav>
+        ${pages.map(page => `<section class="page" id="${page.id}">${page.html}</section>`).join('\n        ')}
+        <script type="application/json" id="report-data">${script_json(report_chart_data(analysis, metrics))}</script>
+        <script>${REPORT_SCRIPT}        </script>
+    </body>
+    </html>
+    `;
+}
+
+// Version of the JSON report layout described in schemas/report.schema.json.
+// Bump the major version when a field is removed or changes meaning.
+const REPORT_SCHEMA_VERSION = '1.0';
+const REPORT_FORMATS = ['html', 'json', 'csv', 'sarif'];
+
+// Sizing values with their stable JSON names; the p95 and peak values exist for sampled metrics only,
+// the projected sizes for metrics with collection statistics only
+const SIZING_FIELDS = [
+    ['rate_basis', 'Rate Basis'],
+    ['total_operations', 'Total Operations'],
+    ['uptime_seconds', 'Uptime (seconds)'],
+    ['ops_per_sec', 'Operations per Second (OPS/sec)'],
+    ['p95_ops_per_sec', 'P95 Operations per Second (OPS/sec)'],
+    ['peak_ops_per_sec', 'Peak Operations per Second (OPS/sec)'],
+    ['cpu_cores', 'CPU Cores Required'],
+    ['peak_cpu_cores', 'CPU Cores Required at Peak'],
+    ['working_set_size_mb', 'Working Set Size (MB)'],
+    ['memory_required_mb', 'Memory Required (MB)'],
+    ['storage_basis', 'Storage Basis'],
+    ['projected_data_bytes', 'Projected Data Size (Bytes)'],
+    ['projected_index_bytes', 'Projected Index Size (Bytes)'],
+    ['storage_required_bytes', 'Storage Required (Bytes)'],
+    ['average_network_mb_sec', 'Average Network Bandwidth (MB/sec)'],
+    ['peak_network_mb_sec', 'Peak Network Bandwidth (MB/sec)'],
+    ['network_bandwidth_mb_sec', 'Network Bandwidth Required (MB/sec)'],
+    ['peak_connections', 'Peak Connections'],
+    ['connection_limits', 'Connection Limits']
+];
+
+// Function to turn the labelled sizing rows into their snake_case report fields
+function sizing_document(sizing) {
+    return Object.fromEntries(SIZING_FIELDS.filter(([, label]) => label in sizing).map(([key, label]) => [key, sizing[label]]));
+}
+
+// Function to build the machine-readable report document (see schemas/report.schema.json)
+function build_report_document({ analysis = null, sizing = null, recommendation = null, collections = null, forecast = null, replay = null, schema = null, indexes = null, comparison = null, input = null }) {
+    const document = {
+        schema_version: REPORT_SCHEMA_VERSION,
+        tool: { name: TOOL.name, version: TOOL.version },
+        generated_at: new Date().toISOString(),
+        input,
+        analysis: null,
+        sizing: null,
+        recommendation: null,
+        collections: null,
+        forecast: null,
+        replay: null,
+        schema: null,
+        indexes: null,
+        comparison: null
+    };
+
+    if (analysis) {
+        const { total_keywords, total_supported, total_not_supported, supported_percent } = summarize_keywords(analysis.supported_dictionary, analysis.not_supported_dictionary);
+        document.analysis = {
+            target: {
+                id: analysis.target.id,
+                name: analysis.target.name,
+                version: analysis.target.version,
+                rule_files: analysis.target.sources.map(source => path.basename(source.file))
+            },
+            summary: {
+                entries: analysis.command_totals.supported + analysis.command_totals.not_supported,
+                supported_entries: analysis.command_totals.supported,
+                not_supported_entries: analysis.command_totals.not_supported,
+                operator_occurrences: total_keywords,
+                supported_occurrences: total_supported,
+                not_supported_occurrences: total_not_supported,
+                unknown_occurrences: Object.values(analysis.unknown_dictionary).reduce((a, b) => a + b, 0),
+                supported_percent: parseFloat(supported_percent.toFixed(2))
+            },
+            operators: OPERATOR_CONTEXTS.filter(context => analysis.operator_contexts[context])
+                .flatMap(context => Object.entries(analysis.operator_contexts[context]).map(([operator, rule]) => ({
+                    operator, context, status: rule.status, severity: rule.severity, count: rule.count, note: rule.note, link: rule.link, remediation: rule.remediation || null
+                }))),
+            op_types: Object.entries(analysis.op_types).map(([op, stats]) => ({
+                op,
+                entries: stats.entries,
+                supported_entries: stats.supported,
+                not_supported_entries: stats.not_supported,
+                not_supported_operators: stats.not_supported_dictionary,
+                unknown_operators: stats.unknown_dictionary
+            })),
+            query_shapes: analysis.query_shapes.map((shape, i) => ({
+                rank: i + 1,
+                fingerprint: shape.fingerprint,
+                ns: shape.ns,
+                op: shape.op,
+                command: shape.command,
+                shape: shape.shape,
+                executions: shape.count,
+                getmores: shape.getmores,
+                total_millis: shape.total_millis,
+                avg_millis: parseFloat(shape.avg_millis.toFixed(2)),
+                max_millis: shape.max_millis,
+                docs_examined: shape.docs_examined,
+                keys_examined: shape.keys_examined,
+                docs_returned: shape.docs_returned,
+                plan_summaries: shape.plan_summaries,
+                not_supported_operators: shape.not_supported_operators,
+                unknown_operators: shape.unknown_operators,
+                remediations: shape.remediations
+            })),
+            untracked_shape_executions: analysis.shape_overflow.entries,
+            features: Object.keys(WORKLOAD_FEATURES).filter(feature => analysis.features[feature]).map(feature => ({
+                feature,
+                label: WORKLOAD_FEATURES[feature].label,
+                entries: analysis.features[feature].entries,
+                namespaces: analysis.features[feature].namespaces,
+                collections: analysis.features[feature].collections || [],
+                targets: analysis.features[feature].targets,
+                examples: analysis.features[feature].examples
+            })),
+            attribution: Object.fromEntries(Object.entries(analysis.attribution).map(([dimension, groups]) => [dimension, groups.map(group => ({
+                name: group.name,
+                entries: group.entries,
+                supported_entries: group.supported,
+                not_supported_entries: group.not_supported,
+                readiness_percent: parseFloat(group.readiness.toFixed(2)),
+                not_supported_operators: group.not_supported_operators,
+                unknown_operators: group.unknown_operators,
+                example_shapes: group.example_shapes
+            }))]))
+        };
+    }
+
+    if (sizing) {
+        document.sizing = sizing_document(sizing);
+    }
+    if (recommendation) {
+        document.recommendation = recommendation;
+    }
+    if (forecast) {
+        document.forecast = forecast;
+    }
+    if (replay) {
+        document.replay = replay;
+    }
+    if (schema) {
+        document.schema = schema;
+    }
+    if (indexes) {
+        document.indexes = indexes;
+    }
+    if (comparison) {
+        document.comparison = comparison;
+    }
+    if (collections) {
+        document.collections = collections.map(collection => ({
+            ns: collection.ns,
+            db: collection.db,
+            name: collection.name,
+            type: collection.type,
+            capped: collection.capped,
+            count: collection.count,
+            avg_obj_size: collection.avg_obj_size,
+            size_bytes: collection.size,
+            storage_size_bytes: collection.storage_size,
+            compressor: collection.compressor,
+            index_count: (collection.indexes || []).length,
+            index_size_bytes: collection.total_index_size,
+            projected_data_bytes: collection.projected_data_bytes,
+            projected_index_bytes: collection.projected_index_bytes,
+            projected_total_bytes: collection.projected_total_bytes,
+            index_flags: collection.index_flags
+        }));
+    }
+    return document;
+}
+
+// Function to quote one CSV value
+function csv_value(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to render rows of objects as CSV with a header line
+function to_csv(columns, rows) {
+    return [columns.join(','), ...rows.map(row => columns.map(column => csv_value(row[column])).join(','))].join('\n') + '\n';
+}
+
+// Function to render the CSV tables of a report document, keyed by file suffix
+function build_csv_tables(document) {
+    const tables = {};
+    if (document.analysis) {
+        tables.operators = to_csv(
+            ['operator', 'context', 'status', 'severity', 'count', 'note', 'link', 'suggested_rewrite'],
+            document.analysis.operators.map(operator => ({ ...operator, suggested_rewrite: operator.remediation ? operator.remediation.suggestion : '' }))
+        );
+        tables.shapes = to_csv(
+            ['rank', 'fingerprint', 'ns', 'op', 'command', 'executions', 'total_millis', 'avg_millis', 'max_millis', 'docs_examined', 'keys_examined', 'docs_returned', 'not_supported_operators', 'unknown_operators', 'suggested_rewrites', 'shape'],
+            document.analysis.query_shapes.map(shape => ({
+                ...shape,
+                not_supported_operators: shape.not_supported_operators.join(' '),
+                unknown_operators: shape.unknown_operators.join(' '),
+                suggested_rewrites: shape.remediations.map(remediation => `${remediation.operator}: ${remediation.suggestion}`).join(' | ')
+            }))
+        );
+        tables.attribution = to_csv(
+            ['dimension', 'name', 'entries', 'supported_entries', 'not_supported_entries', 'readiness_percent', 'not_supported_operators', 'example_shapes'],
+            Object.entries(document.analysis.attribution).flatMap(([dimension, groups]) => groups.map(group => ({
+                ...group, dimension, not_supported_operators: Object.keys(group.not_supported_operators).join(' '), example_shapes: group.example_shapes.join(' ')
+            })))
+        );
+        tables.features = to_csv(
+            ['feature', 'label', 'entries', 'namespaces', 'collections', 'targets'],
+            document.analysis.features.map(feature => ({
+                ...feature,
+                namespaces: Object.keys(feature.namespaces).join(' '),
+                collections: feature.collections.join(' '),
+                targets: Object.keys(feature.targets).join(' ')
+            }))
+        );
+    }
+    if (document.sizing) {
+        tables.sizing = to_csv(['metric', 'value'], Object.entries(document.sizing).map(([metric, value]) => ({ metric, value })));
+    }
+    if (document.recommendation) {
+        tables.recommendation = to_csv(['item', 'value', 'derivation'], document.recommendation.explanations);
+    }
+    if (document.schema) {
+        tables.schema = to_csv(
+            ['ns', 'sampled', 'method', 'max_document_bytes', 'avg_document_bytes', 'max_depth', 'max_array_length', 'flagged_types', 'field_name_issues', 'structures', 'polymorphic_fields', 'variability', 'blocking'],
+            document.schema.collections.map(collection => ({
+                ...collection,
+                flagged_types: collection.flagged_types.map(rule => `${rule.type}:${rule.count}`).join(' '),
+                field_name_issues: collection.field_name_issues.map(issue => `${issue.issue}:${issue.count}`).join(' '),
+                polymorphic_fields: collection.polymorphic_fields.map(field => field.path).join(' ')
+            }))
+        );
+    }
+    if (document.comparison) {
+        tables.comparison_shapes = to_csv(
+            ['change', 'resolution', 'fingerprint', 'ns', 'op', 'command', 'not_supported_operators', 'baseline_executions', 'current_executions'],
+            document.comparison.shapes.map(shape => ({ ...shape, not_supported_operators: shape.not_supported_operators.join(' ') }))
+        );
+        tables.comparison_operators = to_csv(['change', 'operator', 'context', 'status', 'baseline_count', 'current_count'], document.comparison.operators);
+        tables.comparison_applications = to_csv(
+            ['name', 'baseline_readiness_percent', 'current_readiness_percent', 'change', 'baseline_not_supported_entries', 'current_not_supported_entries'],
+            document.comparison.applications
+        );
+        if (document.comparison.sizing) {
+            tables.comparison_sizing = to_csv(['field', 'baseline', 'current', 'change', 'change_percent'], document.comparison.sizing);
+        }
+    }
+    if (document.indexes) {
+        tables.indexes = to_csv(
+            ['ns', 'name', 'key', 'unique', 'sparse', 'status', 'features', 'accesses', 'unused', 'size'],
+            document.indexes.indexes.map(index => ({ ...index, key: JSON.stringify(index.key), features: index.features.map(feature => `${feature.feature}:${feature.status}`).join(' ') }))
+        );
+        tables.collscans = to_csv(
+            ['fingerprint', 'ns', 'op', 'command', 'collscans', 'total_millis', 'docs_examined', 'docs_returned', 'suggested_key', 'existing_indexes'],
+            document.indexes.collscans.map(shape => ({ ...shape, suggested_key: shape.suggested_key ? JSON.stringify(shape.suggested_key) : '', existing_indexes: shape.existing_indexes.join(' ') }))
+        );
+    }
+    if (document.replay) {
+        tables.replay_shapes = to_csv(
+            ['fingerprint', 'ns', 'op', 'command', 'verdict', 'executed', 'succeeded', 'failed', 'errors', 'avg_original_millis', 'avg_replay_millis', 'p95_replay_millis'],
+            document.replay.shapes.map(shape => ({ ...shape, errors: shape.errors.join(' ') }))
+        );
+        tables.replay_examples = to_csv(
+            ['fingerprint', 'ns', 'target_ns', 'op', 'command', 'status', 'skip_reason', 'code', 'code_name', 'error', 'original_millis', 'replay_millis'],
+            document.replay.examples
+        );
+    }
+    if (document.forecast) {
+        tables.forecast = to_csv(
+            ['months', 'data_size_mb', 'index_size_mb', 'ops_per_sec', 'connections', 'cpu_cores', 'memory_required_mb', 'storage_required_bytes', 'connection_limits', 'ecpus', 'storage_tb', 'session_limit'],
+            document.forecast.horizons
+        );
+    }
+    if (document.collections) {
+        tables.collections = to_csv(
+            ['ns', 'count', 'avg_obj_size', 'size_bytes', 'storage_size_bytes', 'compressor', 'index_count', 'index_size_bytes', 'projected_data_bytes', 'projected_index_bytes', 'projected_total_bytes', 'index_flags'],
+            document.collections.map(collection => ({ ...collection, index_flags: collection.index_flags.map(flag => `${flag.index}:${flag.feature}`).join(' ') }))
+        );
+    }
+    return tables;
+}
+
+// SARIF levels for rule severities
+const SARIF_LEVELS = { high: 'error', medium: 'warning', low: 'note', info: 'note' };
+
+// Function to render analysis findings as SARIF 2.1.0: one result per query shape and
+// not supported or unknown operator, located at the namespace in the profiled input
+function build_sarif(document) {
+    const analysis = document.analysis;
+    const rules = new Map();
+    const results = [];
+    if (analysis) {
+        const operator_details = new Map(analysis.operators.map(detail => [detail.operator, detail]));
+        for (const shape of analysis.query_shapes) {
+            const findings = [
+                ...shape.not_supported_operators.map(operator => ({ operator, status: 'not_supported' })),
+                ...shape.unknown_operators.map(operator => ({ operator, status: 'unknown' }))
+            ];
+            for (const { operator, status } of findings) {
+                const detail = operator_details.get(operator) || {};
+                const rule_id = `${status === 'unknown' ? 'unknown-operator' : 'not-supported-operator'}/${operator}`;
+                if (!rules.has(rule_id)) {
+                    rules.set(rule_id, {
+                        id: rule_id,
+                        name: status === 'unknown' ? 'UnknownOperator' : 'NotSupportedOperator',
+                        shortDescription: { text: `${operator} is ${status === 'unknown' ? 'not covered by' : 'not supported by'} ${analysis.target.name}` },
+                        fullDescription: { text: detail.note || `${operator} ${status === 'unknown' ? 'is not covered by' : 'is not supported by'} the ${analysis.target.id} rule set.` },
+                        help: detail.remediation ? { text: [detail.remediation.suggestion, detail.remediation.before && `Before: ${detail.remediation.before}`, detail.remediation.after && `After: ${detail.remediation.after}`].filter(Boolean).join('\n') } : undefined,
+                        helpUri: detail.link || undefined,
+                        defaultConfiguration: { level: status === 'unknown' ? 'warning' : (SARIF_LEVELS[detail.severity] || 'error') },
+                        properties: { severity: detail.severity || null }
+                    });
+                }
+                results.push({
+                    ruleId: rule_id,
+                    level: rules.get(rule_id).defaultConfiguration.level,
+                    message: { text: `Query shape ${shape.fingerprint} (${shape.op}${shape.command ? ` ${shape.command}` : ''} on ${shape.ns || 'unknown namespace'}) uses ${operator}; ${shape.executions} execution(s), ${shape.total_millis} ms in total.` },
+                    locations: [{
+                        physicalLocation: document.input ? { artifactLocation: { uri: document.input } } : undefined,
+                        logicalLocations: [{ name: shape.ns || 'unknown', kind: 'namespace' }]
+                    }],
+                    partialFingerprints: { queryShape: shape.fingerprint },
+                    properties: { executions: shape.executions, total_millis: shape.total_millis, op: shape.op, command: shape.command }
+                });
+            }
+        }
+    }
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: { driver: { name: TOOL.name, version: TOOL.version, rules: [...rules.values()] } },
+            properties: analysis ? { target: analysis.target } : {},
+            results
+        }]
+    };
+}
+
+// Function to render a report in each requested format without writing anything: the HTML page and
+// the CSV tables (by table name) as text, the JSON document and the SARIF log as objects
+function render_reports(report, { formats = ['html'] } = {}) {
+    const unknown_format = formats.find(format => !REPORT_FORMATS.includes(format));
+    if (unknown_format) {
+        throw new Error(`Unknown report format '${unknown_format}', expected one of ${REPORT_FORMATS.join(', ')}.`);
+    }
+    const document = formats.some(format => format !== 'html') ? build_report_document(report) : null;
+    return {
+        html: formats.includes('html') ? render_html_report(report) : undefined,
+        json: formats.includes('json') ? document : undefined,
+        csv: formats.includes('csv') ? build_csv_tables(document) : undefined,
+        sarif: formats.includes('sarif') ? build_sarif(document) : undefined
+    };
+}
+
+// Function to write a report in each requested format as <dir>/<base>.<ext>; CSV tables become
+// <base>_<table>.csv. Returns the written file names.
+function write_reports(report, { formats = ['html'], dir = '.', base, html_file = null }) {
+    const rendered = render_reports(report, { formats });
+    fs.mkdirSync(dir, { recursive: true });
+    const written = [];
+    const write = (output_file, content) => {
+        fs.writeFileSync(output_file, content, 'utf8');
+        written.push(output_file);
+    };
+    for (const format of formats) {
+        if (format === 'html') {
+            write(html_file || path.join(dir, `${base}.html`), rendered.html);
+        } else if (format === 'json') {
+            write(path.join(dir, `${base}.json`), JSON.stringify(rendered.json, null, 4));
+        } else if (format === 'csv') {
+            for (const [table, csv] of Object.entries(rendered.csv)) {
+                write(path.join(dir, `${base}_${table}.csv`), csv);
+            }
+        } else if (format === 'sarif') {
+            write(path.join(dir, `${base}.sarif`), JSON.stringify(rendered.sarif, null, 4));
+        }
+    }
+    return written;
+}
+
+// Function to wait for a timeout, returning early when the signal is aborted
+function sleep(ms, signal = null) {
+    return new Promise(resolve => {
+        if (signal && signal.aborted) {
+            return resolve();
+        }
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        }
+    });
+}
+
+// Function to iterate the profiling data of one database with a cursor, tagging each entry with where it came from
+async function* read_profiling_data(client, db_name, host = null, query = {}) {
+    const db = client.db(db_name);
+    for await (const entry of db.collection('system.profile').find(query)) {
+        yield { ...entry, source: { database: db_name, host } };
+    }
+}
+
+// Databases that never hold application data
+const SYSTEM_DATABASES = ['admin', 'local', 'config'];
+
+// Function to resolve the databases a profile operation applies to.
+// `db` is a comma-separated list or an array of names ('*' meaning every non-system database), `db_regex`
+// a pattern matched against database names and `all_dbs` selects every non-system database.
+async function resolve_target_databases(client, { db, db_regex, all_dbs }) {
+    const explicit = [].concat(db || []).flatMap(item => String(item).split(',')).map(name => name.trim()).filter(name => name.length > 0);
+    const wildcard = explicit.includes('*');
+    const named = explicit.filter(name => name !== '*');
+    if (!db_regex && !all_dbs && !wildcard) {
+        return named;
+    }
+
+    // Walk listDatabases the same way collect_lifetime_metrics does
+    const databases = await client.db('admin').admin().listDatabases({ nameOnly: true });
+    const pattern = db_regex ? new RegExp(db_regex) : null;
+    const matched = databases.databases
+        .map(dbInfo => dbInfo.name)
+        .filter(name => !SYSTEM_DATABASES.includes(name))
+        .filter(name => all_dbs || wildcard || pattern.test(name));
+    return [...new Set([...named, ...matched])];
+}
+
+// Function to remove credentials from anything that may hold a connection string before it is printed:
+// the user info of mongodb:// URIs and password parameters in their query string
+function redact_connection_string(text) {
+    return String(text)
+        .replace(/(mongodb(?:\+srv)?:\/\/)[^@\/\s]*@/g, '$1***@')
+        .replace(/\b((?:tlsCertificateKeyFilePassword|password)=)[^&\s]*/gi, '$1***');
+}
+
+// MongoDB operations for profiling
+async function enable_profiling(client, db_name, host = null, settings = { level: 2 }, logger = console) {
+    await apply_profiling_settings(client, db_name, settings);
+    logger.log(`Profiling enabled at level ${settings.level} on database '${db_name}'${host ? ` (${host})` : ''}.`);
+}
+
+async function disable_profiling(client, db_name, host = null, logger = console) {
+    const db = client.db(db_name);
+    await db.command({ profile: 0 });
+    logger.log(`Profiling disabled on database '${db_name}'${host ? ` (${host})` : ''}.`);
+}
+
+async function purge_profiling_data(client, db_name, host = null, logger = console) {
+    const db = client.db(db_name);
+    try {
+        await db.collection('system.profile').drop();
+        logger.log(`Profiling data purged from database '${db_name}'${host ? ` (${host})` : ''}.`);
+    } catch (error) {
+        if (error.codeName === 'NamespaceNotFound') {
+            logger.log(`No profiling data found in database '${db_name}'${host ? ` (${host})` : ''}.`);
+        } else {
+            throw error;
+        }
+    }
+}
+
+// Function to read the profiler settings of a database: level, slowms, sampleRate and filter
+async function get_profiling_settings(client, db_name) {
+    const status = await client.db(db_name).command({ profile: -1 });
+    const settings = { level: status.was, slowms: status.slowms, sampleRate: status.sampleRate };
+    if (status.filter !== undefined) {
+        settings.filter = status.filter;
+    }
+    return settings;
+}
+
+// Function to apply profiler settings to a database. Settings left undefined keep their current value,
+// except the filter which is removed when `unset_filter` is set and no filter is given.
+async function apply_profiling_settings(client, db_name, { level, slowms, sampleRate, filter }, unset_filter = false) {
+    const command = { profile: level };
+    if (slowms !== undefined) {
+        command.slowms = slowms;
+    }
+    if (sampleRate !== undefined) {
+        command.sampleRate = sampleRate;
+    }
+    if (filter !== undefined) {
+        command.filter = filter;
+    } else if (unset_filter) {
+        command.filter = 'unset';
+    }
+    await client.db(db_name).command(command);
+}
+
+// Function to recreate the capped system.profile collection with a new size.
+// The profiler must be off while the collection is replaced, so this leaves the database at level 0.
+async function resize_profile_collection(client, db_name, size_bytes) {
+    const db = client.db(db_name);
+    await db.command({ profile: 0 });
+    try {
+        await db.collection('system.profile').drop();
+    } catch (error) {
+        if (error.codeName !== 'NamespaceNotFound') {
+            throw error;
+        }
+    }
+    await db.createCollection('system.profile', { capped: true, size: size_bytes });
+}
+
+// Function to read the entry count and capped size of the system.profile collection of a database;
+// null when the collection does not exist
+async function read_profile_collection(client, db_name) {
+    try {
+        const [stats] = await client.db(db_name).collection('system.profile').aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+        return { count: Number(stats.storageStats.count || 0), max_size: Number(stats.storageStats.maxSize || 0) || null };
+    } catch (error) {
+        if (error.codeName === 'NamespaceNotFound' || error.code === 26) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Function to put back the system.profile collection a session resized: recreated at its recorded
+// size, or dropped when it did not exist, so mongod creates its default one again. Then the recorded
+// profiler settings are applied once more, as resizing leaves the profiler off.
+async function restore_profile_collection(client, db_name, collection, settings) {
+    if (collection && collection.max_size) {
+        await resize_profile_collection(client, db_name, collection.max_size);
+    } else {
+        await client.db(db_name).command({ profile: 0 });
+        try {
+            await client.db(db_name).collection('system.profile').drop();
+        } catch (error) {
+            if (error.codeName !== 'NamespaceNotFound') {
+                throw error;
+            }
+        }
+    }
+    await apply_profiling_settings(client, db_name, settings, true);
+}
+
+// Function to wait until a profiling session is over: the duration elapsed, the operation count
+// was reached across all targets, or the signal was aborted
+async function wait_for_session_end(targets, { duration_ms = null, max_ops = null, signal = null, poll_ms = 5000, logger = console } = {}) {
+    const deadline = duration_ms ? Date.now() + duration_ms : Infinity;
+    if (!duration_ms && !max_ops) {
+        logger.log("Profiling until interrupted with Ctrl-C.");
+    }
+    while (!(signal && signal.aborted)) {
+        if (max_ops) {
+            const counts = await Promise.all(targets.map(target => target.client.db(target.db_name)
+                .collection('system.profile').countDocuments({ ts: { $gte: target.started_at } })));
+            const captured = counts.reduce((a, b) => a + b, 0);
+            if (captured >= max_ops) {
+                logger.log(`Captured ${captured} operations, ending the profiling session.`);
+                return;
+            }
+        }
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+            logger.log("Profiling session duration reached.");
+            return;
+        }
+        await sleep(Math.min(poll_ms, remaining), signal);
+    }
+}
+
+// Function to pick the export format from explicit options or the output file name:
+// '.ndjson'/'.jsonl' select NDJSON, a trailing '.gz' selects gzip compression
+function resolve_export_format(output_file, { format = null, gzip = null } = {}) {
+    const compressed = gzip !== null && gzip !== undefined ? Boolean(gzip) : /\.gz$/i.test(output_file);
+    const base_name = output_file.replace(/\.gz$/i, '');
+    const resolved = format || (/\.(ndjson|jsonl)$/i.test(base_name) ? 'ndjson' : 'json');
+    if (!['json', 'ndjson'].includes(resolved)) {
+        throw new Error(`Unknown export format '${resolved}', expected 'json' or 'ndjson'.`);
+    }
+    return { format: resolved, gzip: compressed };
+}
+
+// Function to write a profile entry as relaxed Extended JSON, so ObjectId, Date, Decimal128 and
+// binary values keep their type ({ "$oid": ... }) while numbers stay plain. Long values beyond the
+// exact range of a JavaScript number are kept canonical ({ "$numberLong": ... }) instead of rounded.
+function profile_entry_json(entry, space = undefined) {
+    const { BSON } = require('mongodb');
+    const exact_longs = value => {
+        if (Array.isArray(value)) {
+            return value.map(exact_longs);
+        }
+        if (value instanceof BSON.Long || typeof value === 'bigint') {
+            return Number.isSafeInteger(Number(value)) ? value : { $numberLong: value.toString() };
+        }
+        if (is_document(value) && Object.getPrototypeOf(value) === Object.prototype) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, exact_longs(item)]));
+        }
+        return value;
+    };
+    return BSON.EJSON.stringify(exact_longs(entry), null, space, { relaxed: true });
+}
+
+// Function to open a streaming writer for profiling entries gathered from one or more databases.
+// 'json' keeps the pretty-printed array layout of earlier exports, 'ndjson' writes one entry per line,
+// both as relaxed Extended JSON. The file is opened before the writer is returned, so a missing
+// directory or an unwritable path fails before anything is read.
+async function create_profiling_writer(output_file, { format = 'json', gzip = false } = {}) {
+    const file = fs.createWriteStream(output_file);
+    await once(file, 'open');
+    const sink = gzip ? zlib.createGzip() : file;
+    let stream_error = null;
+    let count = 0;
+
+    file.on('error', error => { stream_error = error; });
+    if (gzip) {
+        sink.on('error', error => { stream_error = error; });
+        sink.pipe(file);
+    }
+
+    async function put(text) {
+        if (stream_error) {
+            throw stream_error;
+        }
+        if (!sink.write(text)) {
+            await Promise.race([once(sink, 'drain'), once(file, 'error')]);
+        }
+    }
+
+    // Function to wait for the file to be closed; a failed stream may have closed it already
+    async function closed() {
+        if (!file.closed) {
+            await once(file, 'close').catch(() => {});
+        }
+    }
+
+    return {
+        file: output_file,
+        async write(entry) {
+            if (format === 'ndjson') {
+                await put(profile_entry_json(entry) + '\n');
+            } else {
+                const indented = profile_entry_json(entry, 4).replace(/^/gm, '    ');
+                await put((count === 0 ? '[\n' : ',\n') + indented);
+            }
+            count++;
+        },
+        async close() {
+            try {
+                if (format === 'json') {
+                    await put(count === 0 ? '[]' : '\n]');
+                }
+                if (stream_error) {
+                    throw stream_error;
+                }
+            } catch (error) {
+                file.destroy();
+                await closed();
+                throw error;
+            }
+            sink.end();
+            await closed();
+            if (stream_error) {
+                throw stream_error;
+            }
+            return count;
+        },
+        // Function to remove an export that was opened but never filled
+        async discard() {
+            sink.destroy();
+            file.destroy();
+            await closed();
+            await fs.promises.rm(output_file, { force: true });
+        }
+    };
+}
+
+// Function to export profiling entries through an open profiling writer: `fill` writes them. The file
+// is finished when `fill` fails part way too, so a partial export is still valid JSON, NDJSON or gzip;
+// the error then says how many entries it holds.
+async function write_profile_export(writer, fill) {
+    let failure = null;
+    try {
+        await fill(writer);
+    } catch (error) {
+        failure = error;
+    }
+    let count;
+    try {
+        count = await writer.close();
+    } catch (error) {
+        throw failure || error;
+    }
+    if (failure) {
+        throw new Error(`Export to '${writer.file}' is incomplete, it holds the ${count} entries read before the failure: ${failure.message}`, { cause: failure });
+    }
+    return count;
+}
+
+// Function to build a direct connection string for one host, keeping credentials and options
+function member_connection_string(connection_string, host) {
+    const match = /^(mongodb(?:\+srv)?):\/\/(?:([^@/]*)@)?[^/?]*(\/[^?]*)?(?:\?(.*))?$/.exec(connection_string);
+    if (!match) {
+        throw new Error('Unable to parse the connection string to reach individual members.');
+    }
+    const [, scheme, userinfo, db_path, query] = match;
+    const params = new URLSearchParams(query || '');
+    params.delete('replicaSet');
+    params.delete('loadBalanced');
+    if (scheme === 'mongodb+srv') {
+        // SRV connection strings imply TLS and usually carry authSource in their TXT record
+        if (!params.has('tls') && !params.has('ssl')) params.set('tls', 'true');
+        if (userinfo && !params.has('authSource')) params.set('authSource', 'admin');
+    }
+    params.set('directConnection', 'true');
+    return `mongodb://${userinfo ? `${userinfo}@` : ''}${host}${db_path || '/'}?${params.toString()}`;
+}
+
+// Function to list every mongod that holds data: all shard members behind a mongos,
+// all members of a replica set, or just the server itself for a standalone
+async function discover_members(client) {
+    const adminDb = client.db('admin');
+    const hello = await adminDb.command({ hello: 1 });
+    if (hello.msg === 'isdbgrid') {
+        const { shards } = await adminDb.command({ listShards: 1 });
+        return shards.flatMap(shard => shard.host.replace(/^[^/]*\//, '').split(','));
+    }
+    if (hello.setName) {
+        return [...(hello.hosts || []), ...(hello.passives || [])];
+    }
+    return [current_host(client, hello)];
+}
+
+// Function to name the server a client is talking to, as reported by hello
+function current_host(client, hello) {
+    return hello.me || client.options.hosts.map(host => host.toString()).join(',');
+}
+
+// Error thrown when a replica set or shard member cannot be reached over a direct connection
+class MemberConnectionError extends Error {
+    constructor(host, message) {
+        super(`Unable to connect to member '${host}': ${redact_connection_string(message)}`);
+        this.name = 'MemberConnectionError';
+        this.host = host;
+    }
+}
+
+// Function to open a direct connection to one member with the options of the seed connection
+async function connect_member(uri, host, client_options = {}) {
+    const { MongoClient } = require('mongodb');
+    const member_client = new MongoClient(member_connection_string(uri, host), client_options);
+    try {
+        await member_client.connect();
+    } catch (error) {
+        await member_client.close();
+        throw new MemberConnectionError(host, error.message);
+    }
+    return member_client;
+}
+
+// Function to open and keep a connection to every target mongod, for operations that need them all at once.
+// Without `all_members` this is just the existing client.
+async function connect_members(client, { all_members = false, uri = null, client_options = {} } = {}) {
+    if (!all_members) {
+        const hello = await client.db('admin').command({ hello: 1 });
+        return [{ client, host: current_host(client, hello), owned: false }];
+    }
+
+    const members = [];
+    for (const host of await discover_members(client)) {
+        try {
+            members.push({ client: await connect_member(uri, host, client_options), host, owned: true });
+        } catch (error) {
+            await close_members(members);
+            throw error;
+        }
+    }
+    return members;
+}
+
+async function close_members(members) {
+    await Promise.all(members.filter(member => member.owned).map(member => member.client.close()));
+}
+
+// Function to run an action once per target mongod. Without `all_members` that is the server the
+// connection string resolves to; with it, every replica set or shard member over a direct connection.
+// A failing member is reported and the others still run; the failures are thrown together at the end.
+async function for_each_member(client, { all_members = false, uri = null, client_options = {}, logger = console } = {}, action) {
+    if (!all_members) {
+        const hello = await client.db('admin').command({ hello: 1 });
+        return action(client, current_host(client, hello));
+    }
+
+    const hosts = await discover_members(client);
+    const failed_hosts = [];
+    for (const host of hosts) {
+        let member_client = null;
+        try {
+            member_client = await connect_member(uri, host, client_options);
+            await action(member_client, host);
+        } catch (error) {
+            logger.error(`Error on member '${host}':`, redact_connection_string(error.message));
+            failed_hosts.push(host);
+        } finally {
+            if (member_client) {
+                await member_client.close();
+            }
+        }
+    }
+    if (failed_hosts.length > 0) {
+        throw new Error(`Failed on ${failed_hosts.length} of ${hosts.length} members: ${failed_hosts.join(', ')}`);
+    }
+}
+
+// Function to pick the cumulative metrics out of a serverStatus result
+function lifetime_metrics(serverStatus) {
+    return {
+        timestamp: new Date().toISOString(),
+        uptimeSeconds: serverStatus.uptime, // Uptime in seconds
+        connections: serverStatus.connections,
+        opcounters: serverStatus.opcounters, // Cumulative operation counters
+        opcountersRepl: serverStatus.opcountersRepl, // For replica sets
+        network: serverStatus.network, // Network statistics
+        mem: serverStatus.mem, // Memory usage
+        extra_info: serverStatus.extra_info, // May include CPU info on some platforms
+        metrics: serverStatus.metrics, // Detailed metrics
+        wiredTiger: serverStatus.wiredTiger, // WiredTiger engine stats
+        logicalSessionRecordCache: serverStatus.logicalSessionRecordCache, // Session information
+        // Add other relevant fields as needed
+    };
+}
+
+// Function to collect dbStats of every database, skipping admin, local and config unless asked for
+async function collect_db_stats(client, { include_system_dbs = false } = {}) {
+    const databases = await client.db('admin').admin().listDatabases();
+
+    const dbStats = {};
+    for (const dbInfo of databases.databases.filter(info => include_system_dbs || !SYSTEM_DATABASES.includes(info.name))) {
+        const db = client.db(dbInfo.name);
+        const stats = await db.command({ dbStats: 1, scale: 1 });
+        dbStats[dbInfo.name] = stats;
+    }
+    return dbStats;
+}
+
+// Function to read the storage statistics of one collection with $collStats, summed over the shards
+// of a sharded collection, falling back to the collStats command on servers without $collStats
+async function read_collection_storage(db, collection_name) {
+    let parts;
+    try {
+        parts = (await db.collection(collection_name).aggregate([{ $collStats: { storageStats: {} } }]).toArray()).map(part => part.storageStats);
+    } catch (error) {
+        parts = [await db.command({ collStats: collection_name })];
+    }
+    const storage = { count: 0, size: 0, storageSize: 0, totalIndexSize: 0, indexSizes: {}, capped: false, compressor: null };
+    for (const part of parts) {
+        storage.count += Number(part.count || 0);
+        storage.size += Number(part.size || 0);
+        storage.storageSize += Number(part.storageSize || 0);
+        storage.totalIndexSize += Number(part.totalIndexSize || 0);
+        for (const [name, size] of Object.entries(part.indexSizes || {})) {
+            storage.indexSizes[name] = (storage.indexSizes[name] || 0) + Number(size);
+        }
+        storage.capped = storage.capped || Boolean(part.capped);
+        const creation = part.wiredTiger && part.wiredTiger.creationString;
+        const match = creation && /block_compressor=(\w*)/.exec(creation);
+        if (match) {
+            storage.compressor = match[1] || 'none';
+        }
+    }
+    return storage;
+}
+
+// Function to read the usage of every index of a collection with $indexStats, summed over the
+// hosts that report it. Returns null where $indexStats is not available or not permitted.
+async function read_index_usage(db, collection_name) {
+    let stats;
+    try {
+        stats = await db.collection(collection_name).aggregate([{ $indexStats: {} }]).toArray();
+    } catch (error) {
+        return null;
+    }
+    const usage = {};
+    for (const { name, accesses } of stats) {
+        const index_usage = usage[name] = usage[name] || { ops: 0, since: null };
+        index_usage.ops += Number(accesses && accesses.ops || 0);
+        const since = accesses && accesses.since ? new Date(accesses.since).toISOString() : null;
+        if (since && (!index_usage.since || since < index_usage.since)) {
+            index_usage.since = since;
+        }
+    }
+    return usage;
+}
+
+// Function to read the shard keys of the sharded collections from the config database;
+// empty when not connected through a mongos
+async function read_shard_keys(client) {
+    try {
+        const sharded = await client.db('config').collection('collections').find({ dropped: { $ne: true } }, { projection: { key: 1 } }).toArray();
+        return new Map(sharded.map(({ _id, key }) => [_id, key]));
+    } catch (error) {
+        return new Map();
+    }
+}
+
+// Function to collect storage statistics, index definitions and index usage of every collection in the
+// databases. Views and system collections are skipped; a collection that cannot be read is reported and skipped.
+async function collect_collection_stats(client, db_names, { logger = console } = {}) {
+    const collections = [];
+    const shard_keys = await read_shard_keys(client);
+    for (const db_name of db_names) {
+        const db = client.db(db_name);
+        const infos = await db.listCollections({}, { nameOnly: false }).toArray();
+        for (const info of infos) {
+            if ((info.type && info.type !== 'collection' && info.type !== 'timeseries') || info.name.startsWith('system.')) {
+                continue;
+            }
+            try {
+                const storage = await read_collection_storage(db, info.name);
+                const indexes = await db.collection(info.name).listIndexes().toArray();
+                const usage = await read_index_usage(db, info.name);
+                collections.push({
+                    ns: `${db_name}.${info.name}`,
+                    db: db_name,
+                    name: info.name,
+                    type: info.type || 'collection',
+                    capped: storage.capped,
+                    count: storage.count,
+                    size: storage.size,
+                    avg_obj_size: storage.count > 0 ? storage.size / storage.count : 0,
+                    storage_size: storage.storageSize,
+                    total_index_size: storage.totalIndexSize,
+                    compressor: storage.compressor,
+                    shard_key: shard_keys.get(`${db_name}.${info.name}`) || null,
+                    indexes: indexes.map(({ v, ns, ...index }) => ({
+                        ...index,
+                        size: storage.indexSizes[index.name] || 0,
+                        ...(usage ? { usage: usage[index.name] || { ops: 0, since: null } } : {})
+                    }))
+                });
+            } catch (error) {
+                logger.error(`Skipping collection '${db_name}.${info.name}': ${error.message}`);
+            }
+        }
+    }
+    return collections;
+}
+
+// BSON element type codes and the names the schema scan reports them by
+const BSON_TYPE_NAMES = {
+    0x01: 'double', 0x02: 'string', 0x03: 'object', 0x04: 'array', 0x05: 'binData', 0x06: 'undefined', 0x07: 'objectId',
+    0x08: 'bool', 0x09: 'date', 0x0A: 'null', 0x0B: 'regex', 0x0C: 'dbPointer', 0x0D: 'javascript', 0x0E: 'symbol',
+    0x0F: 'javascriptWithScope', 0x10: 'int', 0x11: 'timestamp', 0x12: 'long', 0x13: 'decimal', 0xFF: 'minKey', 0x7F: 'maxKey'
+};
+const DEFAULT_SCHEMA_SAMPLE_SIZE = 1000;
+const MAX_SCHEMA_PATHS = 2000;      // Field paths tracked per collection
+const MAX_SCHEMA_EXAMPLES = 5;      // Example paths kept per finding
+
+// Function to classify a Decimal128 value: NaN and Infinity, or a magnitude Oracle NUMBER cannot hold
+function decimal128_edge_case(bytes) {
+    const { Decimal128 } = require('mongodb');
+    const text = new Decimal128(bytes).toString();
+    if (/nan|inf/i.test(text)) {
+        return 'decimal128_nonfinite';
+    }
+    const magnitude = Math.abs(Number(text));
+    if (magnitude >= 1e126 || (magnitude === 0 ? /[1-9]/.test(text.split(/e/i)[0]) : magnitude < 1e-130)) {
+        return 'decimal128_out_of_range';
+    }
+    return null;
+}
+
+// Function to record a finding with a bounded list of example paths
+function record_example(findings, key, path_name) {
+    const finding = findings[key] = findings[key] || { count: 0, examples: [] };
+    finding.count++;
+    if (finding.examples.length < MAX_SCHEMA_EXAMPLES && !finding.examples.includes(path_name)) {
+        finding.examples.push(path_name);
+    }
+}
+
+// Function to walk one raw BSON document (or array) and record the types, field names, nesting depth
+// and array lengths into the collection statistics. Array elements share the path '<field>[]'.
+function scan_bson(buffer, start, depth, prefix, stats, is_array = false) {
+    const end = start + buffer.readInt32LE(start) - 1;
+    let pos = start + 4;
+    let elements = 0;
+    stats.max_depth = Math.max(stats.max_depth, depth);
+    while (pos < end) {
+        const type = buffer[pos++];
+        const name_end = buffer.indexOf(0, pos);
+        const name = buffer.toString('utf8', pos, name_end);
+        pos = name_end + 1;
+        elements++;
+
+        const path_name = is_array ? `${prefix}[]` : (prefix ? `${prefix}.${name}` : name);
+        if (!is_array) {
+            if (name === '') {
+                record_example(stats.field_name_issues, 'empty', path_name || '(empty)');
+            } else if (name.startsWith('$')) {
+                record_example(stats.field_name_issues, 'dollar_prefix', path_name);
+            }
+            if (name.includes('.')) {
+                record_example(stats.field_name_issues, 'dot', path_name);
+            }
+            if (depth === 1) {
+                stats.top_level.push(name);
+            }
+        }
+        const type_name = BSON_TYPE_NAMES[type] || `unknown(0x${type.toString(16)})`;
+        stats.types[type_name] = (stats.types[type_name] || 0) + 1;
+        const seen = stats.paths.get(path_name) || (stats.paths.size < MAX_SCHEMA_PATHS ? { count: 0, types: {} } : null);
+        if (seen) {
+            // Count documents, not array elements, so presence can be compared with the sample size
+            if (seen.document !== stats.documents) {
+                seen.document = stats.documents;
+                seen.count++;
+            }
+            seen.types[type_name] = (seen.types[type_name] || 0) + 1;
+            stats.paths.set(path_name, seen);
+        }
+
+        switch (type) {
+            case 0x01: case 0x09: case 0x11: case 0x12: pos += 8; break;
+            case 0x02: case 0x0D: case 0x0E: pos += 4 + buffer.readInt32LE(pos); break;
+            case 0x03: case 0x04:
+                scan_bson(buffer, pos, depth + 1, path_name, stats, type === 0x04);
+                pos += buffer.readInt32LE(pos);
+                break;
+            case 0x05: pos += 5 + buffer.readInt32LE(pos); break;
+            case 0x06: case 0x0A: case 0xFF: case 0x7F: break;
+            case 0x07: pos += 12; break;
+            case 0x08: pos += 1; break;
+            case 0x0B: pos = buffer.indexOf(0, buffer.indexOf(0, pos) + 1) + 1; break;
+            case 0x0C: pos += 4 + buffer.readInt32LE(pos) + 12; break;
+            case 0x0F: pos += buffer.readInt32LE(pos); break;
+            case 0x10: pos += 4; break;
+            case 0x13: {
+                const edge_case = decimal128_edge_case(buffer.subarray(pos, pos + 16));
+                if (edge_case) {
+                    stats.types[edge_case] = (stats.types[edge_case] || 0) + 1;
+                    record_example(stats.type_examples, edge_case, path_name);
+                }
+                pos += 16;
+                break;
+            }
+            default:
+                throw new Error(`Unknown BSON type 0x${type.toString(16)} at '${path_name}'.`);
+        }
+        record_example(stats.type_examples, type_name, path_name);
+    }
+    if (is_array) {
+        stats.max_array_length = Math.max(stats.max_array_length, elements);
+    }
+}
+
+// Function to sample the documents of one collection as raw BSON, with $sample or a capped scan
+// of the first documents; $sample falls back to the scan where it is not available
+async function sample_raw_documents(collection, sample_size, method, logger = console) {
+    if (method === 'sample') {
+        try {
+            return { method: 'sample', documents: await collection.aggregate([{ $sample: { size: sample_size } }], { raw: true }).toArray() };
+        } catch (error) {
+            logger.error(`$sample failed on '${collection.namespace}', scanning the first ${sample_size} documents instead: ${error.message}`);
+        }
+    }
+    return { method: 'scan', documents: await collection.find({}, { raw: true, limit: sample_size }).toArray() };
+}
+
+// Function to scan the sampled documents of one collection: BSON types, field name problems, nesting
+// depth, array lengths, document sizes and how much the document structure varies
+function scan_collection_documents(ns, documents) {
+    const stats = {
+        documents: 0, max_depth: 0, max_array_length: 0, types: {}, type_examples: {}, field_name_issues: {},
+        paths: new Map(), top_level: []
+    };
+    const structures = new Map();
+    let total_bytes = 0;
+    let max_document_bytes = 0;
+    for (const document of documents) {
+        stats.documents++;
+        stats.top_level = [];
+        total_bytes += document.length;
+        max_document_bytes = Math.max(max_document_bytes, document.length);
+        scan_bson(document, 0, 1, '', stats);
+        const structure = stats.top_level.sort().join('\u0000');
+        structures.set(structure, (structures.get(structure) || 0) + 1);
+    }
+
+    const paths = [...stats.paths.entries()].map(([path_name, seen]) => ({ path: path_name, documents: seen.count, types: seen.types }));
+    return {
+        ns,
+        sampled: stats.documents,
+        max_document_bytes,
+        avg_document_bytes: stats.documents ? Math.round(total_bytes / stats.documents) : 0,
+        max_depth: stats.max_depth,
+        max_array_length: stats.max_array_length,
+        types: stats.types,
+        type_examples: Object.fromEntries(Object.entries(stats.type_examples).map(([type, finding]) => [type, finding.examples])),
+        field_name_issues: stats.field_name_issues,
+        structures: structures.size,
+        // Values of different types in the same field (null aside) and fields missing from some documents
+        polymorphic_fields: paths.filter(entry => Object.keys(entry.types).filter(type => type !== 'null').length > 1)
+            .map(entry => ({ path: entry.path, types: entry.types })),
+        optional_fields: paths.filter(entry => !entry.path.includes('[]') && entry.documents < stats.documents).length,
+        fields: paths.length,
+        paths_truncated: stats.paths.size >= MAX_SCHEMA_PATHS
+    };
+}
+
+// Function to run the schema scan over every collection of the databases
+async function scan_databases(client, db_names, { sample_size = DEFAULT_SCHEMA_SAMPLE_SIZE, method = 'sample', logger = console } = {}) {
+    const collections = [];
+    for (const db_name of db_names) {
+        const db = client.db(db_name);
+        const infos = await db.listCollections({}, { nameOnly: false }).toArray();
+        for (const info of infos) {
+            if ((info.type && info.type !== 'collection') || info.name.startsWith('system.')) {
+                continue;
+            }
+            const ns = `${db_name}.${info.name}`;
+            try {
+                const sample = await sample_raw_documents(db.collection(info.name), sample_size, method, logger);
+                collections.push({ ...scan_collection_documents(ns, sample.documents), method: sample.method });
+                logger.log(`Scanned ${sample.documents.length} documents of '${ns}'.`);
+            } catch (error) {
+                logger.error(`Skipping collection '${ns}': ${error.message}`);
+            }
+        }
+    }
+    return { timestamp: new Date().toISOString(), sample_size, method, collections };
+}
+
+// Function to add dbStats and the per-collection statistics to a metrics document
+async function collect_storage_metrics(client, metrics, { include_system_dbs = false, logger = console } = {}) {
+    metrics.include_system_dbs = include_system_dbs;
+    metrics.dbStats = await collect_db_stats(client, { include_system_dbs });
+    metrics.collections = await collect_collection_stats(client, Object.keys(metrics.dbStats), { logger });
+}
+
+// Function to collect cumulative metrics since the last reset of the database
+async function collect_lifetime_metrics(client, { include_system_dbs = false, logger = console } = {}) {
+    // Get server status with necessary fields
+    const serverStatus = await client.db('admin').command({ serverStatus: 1, repl: 1, wiredTiger: 1 });
+
+    // Get cumulative metrics
+    const metrics = lifetime_metrics(serverStatus);
+
+    // Include database and collection stats
+    await collect_storage_metrics(client, metrics, { include_system_dbs, logger });
+    return metrics;
+}
+
+// serverStatus counters kept as deltas per sample
+const SAMPLED_COUNTERS = {
+    opcounters: ['insert', 'query', 'update', 'delete', 'getmore', 'command'],
+    opcountersRepl: ['insert', 'query', 'update', 'delete', 'getmore', 'command'],
+    network: ['bytesIn', 'bytesOut', 'numRequests']
+};
+const DEFAULT_SAMPLE_INTERVAL_SECONDS = 60;
+
+// Function to turn two consecutive serverStatus results into one time series sample. Counters
+// start from zero again when the server restarts (uptime went down or the pid changed); a restarted
+// or otherwise decreasing counter counts its current value as the delta and marks the sample as reset.
+function server_status_sample(previous, current) {
+    const restarted = current.uptime < previous.uptime || String(current.pid) !== String(previous.pid);
+    const elapsed_seconds = (new Date(current.localTime) - new Date(previous.localTime)) / 1000;
+    const sample = {
+        timestamp: new Date(current.localTime).toISOString(),
+        // After a restart only the time since the restart produced the counted operations
+        interval_seconds: restarted ? Math.min(elapsed_seconds, current.uptime) : elapsed_seconds,
+        uptimeSeconds: current.uptime,
+        reset: restarted,
+        connections: { current: current.connections.current, available: current.connections.available },
+        mem: { resident: current.mem.resident, virtual: current.mem.virtual }
+    };
+    for (const [section, counters] of Object.entries(SAMPLED_COUNTERS)) {
+        if (!current[section]) {
+            continue;
+        }
+        sample[section] = {};
+        for (const counter of counters) {
+            const value = Number(current[section][counter] || 0);
+            const before = previous[section] ? Number(previous[section][counter] || 0) : 0;
+            if (restarted || value < before) {
+                sample.reset = true;
+                sample[section][counter] = value;
+            } else {
+                sample[section][counter] = value - before;
+            }
+        }
+    }
+    return sample;
+}
+
+// Function to poll serverStatus every interval for the given duration (or until the signal aborts)
+// and return the samples as a time series next to the cumulative metrics of the last poll
+async function collect_sampled_metrics(client, { interval_seconds = DEFAULT_SAMPLE_INTERVAL_SECONDS, duration_seconds = null, signal = null, include_system_dbs = false, logger = console } = {}) {
+    const adminDb = client.db('admin');
+    let previous = await adminDb.command({ serverStatus: 1, repl: 1, wiredTiger: 1 });
+    const started_at = new Date(previous.localTime);
+    const deadline = duration_seconds ? Date.now() + duration_seconds * 1000 : Infinity;
+    const samples = [];
+    logger.log(`Sampling serverStatus every ${interval_seconds} seconds ${duration_seconds ? `for ${duration_seconds} seconds` : 'until Ctrl-C'}...`);
+
+    while (!(signal && signal.aborted) && Date.now() < deadline) {
+        await sleep(Math.min(interval_seconds * 1000, deadline - Date.now()), signal);
+        if (signal && signal.aborted) {
+            break;
+        }
+        let current;
+        try {
+            current = await adminDb.command({ serverStatus: 1, repl: 1, wiredTiger: 1 });
+        } catch (error) {
+            // The server may be restarting; the next sample picks the counters up again
+            logger.error(`serverStatus sample failed, retrying at the next interval: ${error.message}`);
+            continue;
+        }
+        const sample = server_status_sample(previous, current);
+        samples.push(sample);
+        previous = current;
+        if (sample.reset) {
+            logger.log(`Counter reset detected at ${sample.timestamp}, the server was probably restarted.`);
+        }
+    }
+
+    const metrics = lifetime_metrics(previous);
+    metrics.sampling = {
+        interval_seconds,
+        started_at: started_at.toISOString(),
+        ended_at: new Date(previous.localTime).toISOString(),
+        samples: samples.length
+    };
+    metrics.samples = samples;
+    await collect_storage_metrics(client, metrics, { include_system_dbs, logger });
+    return metrics;
+}
+
+
+// Commands replayed in the default read-only mode
+const READ_ONLY_COMMANDS = ['find', 'aggregate', 'count', 'distinct', 'listCollections', 'listIndexes', 'collStats', 'dbStats', 'explain'];
+// Commands never replayed, not even with --allow-writes
+const BLOCKED_COMMANDS = [
+    'shutdown', 'dropDatabase', 'drop', 'dropIndexes', 'renameCollection', 'fsync', 'fsyncUnlock', 'killOp', 'killCursors', 'killSessions',
+    'dropUser', 'dropAllUsersFromDatabase', 'dropRole', 'dropAllRolesFromDatabase', 'replSetReconfig', 'replSetStepDown', 'setParameter',
+    'setFeatureCompatibilityVersion', 'compact', 'repairDatabase', 'getMore', 'endSessions', 'abortTransaction', 'commitTransaction'
+];
+// Command fields that belong to the original session or cluster and must not be sent again
+const REPLAY_STRIPPED_FIELDS = ['lsid', 'txnNumber', 'autocommit', 'startTransaction', 'stmtId', 'shardVersion', 'databaseVersion'];
+const DEFAULT_REPLAY_RATE = 100;
+
+// Function to map a namespace: an exact namespace mapping wins over a database mapping
+function map_namespace(ns, mapping) {
+    if (mapping.namespaces[ns]) {
+        return mapping.namespaces[ns];
+    }
+    const dot = ns.indexOf('.');
+    const db = dot >= 0 ? ns.slice(0, dot) : ns;
+    return mapping.databases[db] ? `${mapping.databases[db]}${dot >= 0 ? ns.slice(dot) : ''}` : ns;
+}
+
+// Function to rebuild the command a profile entry ran. Update and remove entries hold a single
+// statement, which is wrapped in an update or delete command. Returns { skip_reason } when the
+// entry cannot be replayed.
+function replay_command(entry) {
+    if (!entry.ns || !entry.ns.includes('.')) {
+        return { skip_reason: 'no namespace' };
+    }
+    const collection = entry.ns.slice(entry.ns.indexOf('.') + 1);
+    if (entry.op === 'getmore') {
+        return { skip_reason: 'cursor continuation, replayed through the command that opened it' };
+    }
+    if (!is_document(entry.command)) {
+        return { skip_reason: 'profile entry holds no command (pre-3.6 layout)' };
+    }
+    let command;
+    if (entry.op === 'update') {
+        command = { update: collection, updates: [entry.command] };
+    } else if (entry.op === 'remove') {
+        command = { delete: collection, deletes: [{ q: entry.command.q, limit: entry.command.limit === undefined ? 0 : entry.command.limit }] };
+    } else {
+        command = Object.fromEntries(Object.entries(entry.command).filter(([key]) => !key.startsWith('$') && !REPLAY_STRIPPED_FIELDS.includes(key)));
+        if (command.readConcern) {
+            // Causal consistency points at the original cluster time
+            const { afterClusterTime, ...read_concern } = command.readConcern;
+            command.readConcern = read_concern;
+        }
+        if (entry.op === 'insert' && !Array.isArray(command.documents)) {
+            return { skip_reason: 'insert documents were not recorded by the profiler' };
+        }
+    }
+    return { command, db: entry.ns.slice(0, entry.ns.indexOf('.')) };
+}
+
+// Function to tell whether a command may change data
+function is_write_command(command) {
+    const name = Object.keys(command)[0];
+    if (name === 'aggregate') {
+        return (command.pipeline || []).some(stage => is_document(stage) && ('$out' in stage || '$merge' in stage));
+    }
+    if (name === 'explain') {
+        return false;
+    }
+    return !READ_ONLY_COMMANDS.includes(name);
+}
+
+// Function to point a command at the mapped namespace: the database is returned, the collection
+// named by the command's first field is rewritten
+function remap_command(command, db, mapping) {
+    const name = Object.keys(command)[0];
+    const target_ns = map_namespace(typeof command[name] === 'string' ? `${db}.${command[name]}` : db, mapping);
+    const dot = target_ns.indexOf('.');
+    if (dot < 0) {
+        return { command, db: target_ns, ns: target_ns };
+    }
+    return { command: { ...command, [name]: target_ns.slice(dot + 1) }, db: target_ns.slice(0, dot), ns: target_ns };
+}
+
+// Distinct replay shapes tracked, example results kept and latencies sampled for the percentiles,
+// so a replay of a large profile runs in bounded memory
+const MAX_REPLAY_SHAPES = DEFAULT_MAX_SHAPES;
+const MAX_REPLAY_EXAMPLES = 100;
+const REPLAY_LATENCY_SAMPLES = 10000;
+const REPLAY_SHAPE_LATENCY_SAMPLES = 100;
+
+// Function to keep a uniform sample of at most `size` values of a stream; `seen` counts the values so far
+function sample_value(sample, value, seen, size) {
+    if (sample.length < size) {
+        sample.push(value);
+        return;
+    }
+    const index = Math.floor(Math.random() * seen);
+    if (index < size) {
+        sample[index] = value;
+    }
+}
+
+// Function to create the running totals of a replay. Each result is rolled up per command, per error
+// code and per query shape as it arrives; only the first failed (or, in a dry run, would-be replayed)
+// results are kept as examples.
+function create_replay_tally({ max_shapes = MAX_REPLAY_SHAPES, max_examples = MAX_REPLAY_EXAMPLES } = {}) {
+    const totals = { entries: 0, executed: 0, succeeded: 0, failed: 0, skipped: 0, dry_run: 0 };
+    const latency = { compared: 0, slower_than_2x: 0, ratios: [] };
+    const skip_reasons = {};
+    const commands = {};
+    const errors = {};
+    const shapes = new Map();
+    const shape_overflow = { executed: 0, failed: 0 };
+    const examples = [];
+
+    return {
+        totals, latency, skip_reasons, commands, errors, shapes, shape_overflow, examples,
+        add(result) {
+            totals.entries++;
+            const executed = result.status === 'ok' || result.status === 'error';
+            if (executed) {
+                totals.executed++;
+                totals[result.status === 'ok' ? 'succeeded' : 'failed']++;
+            } else {
+                totals[result.status]++;
+            }
+            if (result.status === 'skipped') {
+                skip_reasons[result.skip_reason] = (skip_reasons[result.skip_reason] || 0) + 1;
+            }
+            if (result.command) {
+                const stats = commands[result.command] = commands[result.command] || { executed: 0, succeeded: 0, failed: 0, skipped: 0, dry_run: 0 };
+                if (executed) {
+                    stats.executed++;
+                    stats[result.status === 'ok' ? 'succeeded' : 'failed']++;
+                } else {
+                    stats[result.status]++;
+                }
+            }
+            if (result.status === 'error') {
+                const key = result.code === null ? 'none' : String(result.code);
+                const error = errors[key] = errors[key] || { code: result.code, code_name: result.code_name, count: 0, example: result.error, commands: [] };
+                error.count++;
+                if (result.command && !error.commands.includes(result.command)) {
+                    error.commands.push(result.command);
+                }
+            }
+            if ((result.status === 'error' || result.status === 'dry_run') && examples.length < max_examples) {
+                examples.push(result);
+            }
+            if (!executed) {
+                return;
+            }
+
+            // Latency ratio per command that has a profiled time; 0 ms profiled times are counted as 1 ms
+            if (result.original_millis !== null) {
+                const ratio = result.replay_millis / Math.max(1, result.original_millis);
+                latency.compared++;
+                if (ratio > 2) {
+                    latency.slower_than_2x++;
+                }
+                sample_value(latency.ratios, ratio, latency.compared, REPLAY_LATENCY_SAMPLES);
+            }
+            let shape = shapes.get(result.fingerprint);
+            if (!shape) {
+                if (shapes.size >= max_shapes) {
+                    shape_overflow.executed++;
+                    shape_overflow.failed += result.status === 'error' ? 1 : 0;
+                    return;
+                }
+                shape = {
+                    fingerprint: result.fingerprint, ns: result.ns, op: result.op, command: result.command, executed: 0, succeeded: 0, failed: 0, errors: [],
+                    original_count: 0, original_total: 0, replay_total: 0, replay_millis: []
+                };
+                shapes.set(result.fingerprint, shape);
+            }
+            shape.executed++;
+            shape[result.status === 'ok' ? 'succeeded' : 'failed']++;
+            if (result.status === 'error' && !shape.errors.includes(result.code_name || String(result.code))) {
+                shape.errors.push(result.code_name || String(result.code));
+            }
+            if (result.original_millis !== null) {
+                shape.original_count++;
+                shape.original_total += result.original_millis;
+            }
+            shape.replay_total += result.replay_millis;
+            sample_value(shape.replay_millis, result.replay_millis, shape.executed, REPLAY_SHAPE_LATENCY_SAMPLES);
+        }
+    };
+}
+
+// Function to replay the entries of a profile against a target endpoint, one command at a time at no
+// more than `rate` commands per second. Entries read with `typed` send their ObjectId, Date and other
+// BSON values as such. Writes and blocked commands are skipped unless allowed; a dry run records
+// what would be sent without connecting. Returns the replay tally, which summarize_replay_results
+// turns into the report section.
+async function replay_workload(entries, client, { mapping = { databases: {}, namespaces: {} }, allow_writes = false, rate = DEFAULT_REPLAY_RATE, max_ops = null, dry_run = false, signal = null, max_shapes = MAX_REPLAY_SHAPES } = {}) {
+    const tally = create_replay_tally({ max_shapes });
+    const started = Date.now();
+    let sent = 0;
+
+    const { EJSON } = require('mongodb').BSON;
+
+    // Function to replay one entry; returns null when the signal aborted the wait for the rate limit
+    async function replay_entry(entry) {
+        // Shapes are fingerprinted on plain values, as the analysis of the same profile does
+        const plain = plain_extended_json(EJSON.serialize(entry, { relaxed: true }));
+        const { fingerprint } = query_shape(plain, extract_operation_parts(plain));
+        const result = {
+            fingerprint,
+            ns: entry.ns || null,
+            op: entry.op || 'unknown',
+            command: null,
+            target_ns: null,
+            status: 'skipped',
+            skip_reason: null,
+            code: null,
+            code_name: null,
+            error: null,
+            original_millis: typeof entry.millis === 'number' ? entry.millis : null,
+            replay_millis: null
+        };
+
+        const rebuilt = replay_command(entry);
+        if (rebuilt.skip_reason) {
+            result.skip_reason = rebuilt.skip_reason;
+            return result;
+        }
+        const { command, db, ns } = remap_command(rebuilt.command, rebuilt.db, mapping);
+        result.command = Object.keys(command)[0];
+        result.target_ns = ns;
+        if (BLOCKED_COMMANDS.includes(result.command)) {
+            result.skip_reason = 'command is never replayed';
+            return result;
+        }
+        if (!allow_writes && is_write_command(command)) {
+            result.skip_reason = 'write skipped in read-only mode (use --allow-writes)';
+            return result;
+        }
+        if (dry_run) {
+            result.status = 'dry_run';
+            result.replayed_command = EJSON.serialize(command, { relaxed: true });
+            sent++;
+            return result;
+        }
+
+        // Keep to the rate limit: command n may start n / rate seconds after the first
+        await sleep(started + (sent / rate) * 1000 - Date.now(), signal);
+        if (signal && signal.aborted) {
+            return null;
+        }
+        sent++;
+        const start = process.hrtime.bigint();
+        try {
+            const reply = await client.db(db).command(command);
+            result.replay_millis = Number(process.hrtime.bigint() - start) / 1e6;
+            result.status = 'ok';
+            // Do not leave the cursors of replayed reads open on the target
+            const cursor_id = reply.cursor && reply.cursor.id;
+            if (cursor_id && String(cursor_id) !== '0' && reply.cursor.ns) {
+                await client.db(db).command({ killCursors: reply.cursor.ns.slice(reply.cursor.ns.indexOf('.') + 1), cursors: [cursor_id] }).catch(() => {});
+            }
+        } catch (error) {
+            result.replay_millis = Number(process.hrtime.bigint() - start) / 1e6;
+            result.status = 'error';
+            result.code = error.code === undefined ? null : error.code;
+            result.code_name = error.codeName || null;
+            result.error = error.message;
+        }
+        return result;
+    }
+
+    for await (const entry of entries) {
+        if ((signal && signal.aborted) || (max_ops && sent >= max_ops)) {
+            break;
+        }
+        const result = await replay_entry(entry);
+        if (!result) {
+            break;
+        }
+        tally.add(result);
+    }
+    return tally;
+}
+
+// Function to turn a replay tally into a measured compatibility verdict: per command, per error
+// code and per query shape, with the replay latency compared to the profiled latency. The latency
+// percentiles come from a uniform sample once a replay outgrows it.
+function summarize_replay_results(tally, { target = null, dry_run = false, allow_writes = false, rate = DEFAULT_REPLAY_RATE } = {}) {
+    const { totals, latency } = tally;
+    const shape_list = [...tally.shapes.values()].map(shape => ({
+        fingerprint: shape.fingerprint,
+        ns: shape.ns,
+        op: shape.op,
+        command: shape.command,
+        executed: shape.executed,
+        succeeded: shape.succeeded,
+        failed: shape.failed,
+        verdict: shape.failed === 0 ? 'works' : (shape.succeeded === 0 ? 'fails' : 'mixed'),
+        errors: shape.errors,
+        avg_original_millis: shape.original_count ? shape.original_total / shape.original_count : null,
+        avg_replay_millis: shape.executed ? shape.replay_total / shape.executed : null,
+        p95_replay_millis: percentile(shape.replay_millis, 0.95)
+    })).sort((a, b) => b.failed - a.failed || b.executed - a.executed);
+
+    const working_shapes = shape_list.filter(shape => shape.verdict === 'works').length;
+    const success_percent = totals.executed ? totals.succeeded / totals.executed * 100 : 0;
+    let verdict;
+    if (dry_run) {
+        verdict = 'Dry run: nothing was executed';
+    } else if (totals.executed === 0) {
+        verdict = 'No command was replayed';
+    } else if (totals.failed === 0) {
+        verdict = `Compatible: all ${totals.executed} replayed commands succeeded`;
+    } else {
+        verdict = `Not fully compatible: ${totals.failed} of ${totals.executed} replayed commands failed in ${shape_list.length - working_shapes} of ${shape_list.length} query shapes`;
+    }
+
+    return {
+        target,
+        dry_run,
+        allow_writes,
+        rate,
+        verdict,
+        totals: { ...totals, success_percent: parseFloat(success_percent.toFixed(2)) },
+        latency: {
+            compared: latency.compared,
+            median_ratio: latency.compared ? parseFloat(percentile(latency.ratios, 0.5).toFixed(2)) : null,
+            p95_ratio: latency.compared ? parseFloat(percentile(latency.ratios, 0.95).toFixed(2)) : null,
+            slower_than_2x: latency.slower_than_2x
+        },
+        skip_reasons: tally.skip_reasons,
+        commands: tally.commands,
+        errors: Object.values(tally.errors).sort((a, b) => b.count - a.count),
+        shapes: shape_list,
+        untracked_shape_executions: tally.shape_overflow.executed,
+        examples: tally.examples
+    };
+}
+
+
+// Fields every metrics document needs for sizing
+const METRICS_REQUIRED_FIELDS = ['opcounters', 'uptimeSeconds', 'connections', 'mem', 'network', 'dbStats'];
+
+// Library API: the analyzer, sizing and collectors as async functions taking an options object.
+// Their results go into render_reports and write_reports as one report object:
+//
+//     const { analysis } = await analyze({ input: 'profile.json' });
+//     const { sizing, recommendation, collections } = await size({ metrics });
+//     write_reports({ analysis, metrics, sizing, recommendation, collections }, { formats: ['html', 'json'], base: 'report' });
+
+/**
+ * Analyze a workload for compatibility with a target: operators by position, query shapes,
+ * attribution, workload features and suggested rewrites.
+ *
+ * @param {object} options
+ * @param {string} [options.input] Profile export (JSON array or NDJSON, optionally gzipped), or with `log` a mongod log file or directory
+ * @param {Iterable<object>|AsyncIterable<object>} [options.entries] Profile entries to analyze instead of `input`
+ * @param {boolean} [options.log=false] Read the slow operations of mongod logs from `input`
+ * @param {string} [options.target='oracle-23ai'] Rule set name from rules/ or path to a rule file
+ * @param {string[]} [options.rules_files=[]] Override rule files layered on top of the target, later files win
+ * @param {object} [options.rule_set] Rule set from load_rule_set, used instead of `target` and `rules_files`
+ * @param {number} [options.max_shapes=10000] Number of distinct query shapes tracked
+ * @param {object} [options.schema_scan] Result of scan_schema, checked against the same target
+ * @param {object[]} [options.indexes] Collection statistics (the `collections` of collect_metrics) whose indexes are classified
+ * @param {object[]} [options.collections] Collection statistics that add capped collections and GridFS buckets to the features; defaults to `indexes`
+ * @param {function} [options.on_progress] Called with { entries, bytes_read, total_bytes } while `input` is read
+ * @returns {Promise<{ analysis: object, schema: object|null, indexes: object|null, log_stats: object|null }>}
+ *   `log_stats` counts the files, lines, slow operations and unreadable lines of a log input
+ */
+async function analyze({
+    input = null, entries = null, log = false, target = DEFAULT_TARGET, rules_files = [], rule_set = null,
+    max_shapes = DEFAULT_MAX_SHAPES, schema_scan = null, indexes = null, collections = indexes, on_progress = null
+} = {}) {
+    if (!input && !entries) {
+        throw new Error("analyze needs an 'input' file or 'entries'.");
+    }
+    const rules = rule_set || load_rule_set(target, rules_files);
+    const log_stats = log ? {} : null;
+    const data = entries || (log ? read_log_entries(input, { on_progress, stats: log_stats }) : read_profile_entries(input, { on_progress }));
+    const analysis = await analyze_keywords(data, { rule_set: rules, max_shapes });
+    if (Array.isArray(collections)) {
+        add_collection_features(analysis.features, collections);
+    }
+    return {
+        analysis,
+        schema: schema_scan ? evaluate_schema_scan(schema_scan, rules) : null,
+        indexes: indexes ? evaluate_indexes(indexes, analysis, rules) : null,
+        log_stats
+    };
+}
+
+/**
+ * Size a deployment from its metrics and map it onto the target service of a sizing profile.
+ *
+ * @param {object} options
+ * @param {object} options.metrics Metrics document from collect_metrics
+ * @param {object[]} [options.snapshots] Metrics documents taken at different times, oldest first, for a growth forecast
+ * @param {string|object} [options.profile='autonomous-ecpu'] Sizing profile name from sizing/, path to a profile file or a loaded profile
+ * @returns {Promise<{ profile: object, sizing: object, recommendation: object, collections: object[]|null, forecast: object|null }>}
+ *   `collections` is the projected storage per collection when the metrics have collection statistics
+ */
+async function size({ metrics, snapshots = null, profile = DEFAULT_SIZING_PROFILE } = {}) {
+    const missing_fields = METRICS_REQUIRED_FIELDS.filter(field => !metrics || !(field in metrics));
+    if (missing_fields.length > 0) {
+        throw new Error(`Metrics are missing required fields: ${missing_fields.join(', ')}`);
+    }
+    const sizing_profile = typeof profile === 'string' ? load_sizing_profile(profile) : profile;
+    const sizing = perform_sizing(metrics, metrics.dbStats, sizing_profile.factors, sizing_profile.storage);
+    return {
+        profile: sizing_profile,
+        sizing,
+        recommendation: recommend_autonomous_shape(sizing, sizing_profile),
+        collections: Array.isArray(metrics.collections) ? project_collection_storage(metrics.collections, sizing_profile.storage) : null,
+        forecast: snapshots ? forecast_growth(snapshots, sizing_profile) : null
+    };
+}
+
+/**
+ * Collect the metrics sizing needs from a running deployment: one cumulative serverStatus snapshot,
+ * or with `interval_seconds` or `duration_seconds` a time series of samples, plus dbStats and the
+ * statistics, indexes and index usage of every collection.
+ *
+ * @param {object} options
+ * @param {MongoClient} options.client Connected client; the caller closes it
+ * @param {number} [options.interval_seconds] Seconds between samples, default 60 when sampling
+ * @param {number} [options.duration_seconds] Length of the sampling window; without it sampling runs until `signal` aborts
+ * @param {AbortSignal} [options.signal] Ends the sampling window early, keeping the samples taken so far
+ * @param {boolean} [options.include_system_dbs=false] Include admin, local and config in dbStats
+ * @param {{ log: function, error: function }} [options.logger=console] Receives progress messages and skipped collections
+ * @returns {Promise<object>} Metrics document, as saved by collect-metrics and read by size
+ */
+async function collect_metrics({ client, interval_seconds = null, duration_seconds = null, signal = null, include_system_dbs = false, logger = console } = {}) {
+    if (!interval_seconds && !duration_seconds) {
+        return collect_lifetime_metrics(client, { include_system_dbs, logger });
+    }
+    return collect_sampled_metrics(client, {
+        interval_seconds: interval_seconds || DEFAULT_SAMPLE_INTERVAL_SECONDS, duration_seconds, signal, include_system_dbs, logger
+    });
+}
+
+/**
+ * Sample the documents of every collection and record the BSON types, field names, nesting, array
+ * lengths and document sizes in use, for analyze to check against a target.
+ *
+ * @param {object} options
+ * @param {MongoClient} options.client Connected client; the caller closes it
+ * @param {string[]} [options.databases] Databases to scan, default every non-system database
+ * @param {number} [options.sample_size=1000] Documents read per collection
+ * @param {string} [options.method='sample'] 'sample' reads random documents with $sample, 'scan' the first documents
+ * @param {{ log: function, error: function }} [options.logger=console] Receives progress messages and skipped collections
+ * @returns {Promise<{ timestamp: string, sample_size: number, method: string, collections: object[] }>}
+ */
+async function scan_schema({ client, databases = null, sample_size = DEFAULT_SCHEMA_SAMPLE_SIZE, method = 'sample', logger = console } = {}) {
+    if (!['sample', 'scan'].includes(method)) {
+        throw new Error(`Invalid sample method '${method}', expected 'sample' or 'scan'.`);
+    }
+    const db_names = databases || await resolve_target_databases(client, { all_dbs: true });
+    return scan_databases(client, db_names, { sample_size, method, logger });
+}
+
+// Profiling actions manage_profiling applies to each selected database
+const PROFILING_ACTIONS = {
+    enable: (client, db_name, host, settings, logger) => enable_profiling(client, db_name, host, settings, logger),
+    disable: (client, db_name, host, settings, logger) => disable_profiling(client, db_name, host, logger),
+    purge: (client, db_name, host, settings, logger) => purge_profiling_data(client, db_name, host, logger)
+};
+
+/**
+ * Enable or disable the database profiler, or drop the profiling data, on the selected databases.
+ *
+ * @param {object} options
+ * @param {MongoClient} options.client Connected client; the caller closes it
+ * @param {string} options.action 'enable', 'disable' or 'purge'
+ * @param {string[]} [options.databases] Database names, '*' selecting every non-system database
+ * @param {string} [options.db_regex] Select the databases whose name matches the pattern
+ * @param {boolean} [options.all_dbs=false] Select every non-system database
+ * @param {boolean} [options.all_members=false] Repeat on every replica set or shard member over a direct connection
+ * @param {string} [options.uri] Connection string of `client`, needed with `all_members` to reach the members
+ * @param {object} [options.client_options] MongoClient options (TLS, authentication) for the member connections
+ * @param {object} [options.settings={ level: 2 }] Profiler settings to enable: level, slowms, sampleRate and filter
+ * @param {{ log: function, error: function }} [options.logger=console] Receives a message per database
+ * @returns {Promise<void>}
+ */
+async function manage_profiling({
+    client, action, databases = [], db_regex = null, all_dbs = false, all_members = false, uri = null, client_options = {},
+    settings = { level: 2 }, logger = console
+} = {}) {
+    const apply = PROFILING_ACTIONS[action];
+    if (!apply) {
+        throw new Error(`Unknown profiling action '${action}', expected one of ${Object.keys(PROFILING_ACTIONS).join(', ')}.`);
+    }
+    await for_each_member(client, { all_members, uri, client_options, logger }, async (member_client, host) => {
+        const db_names = await resolve_target_databases(member_client, { db: databases, db_regex, all_dbs });
+        if (db_names.length === 0) {
+            logger.log(`No databases matched the selection${host ? ` on '${host}'` : ''}.`);
+        }
+        for (const db_name of db_names) {
+            await apply(member_client, db_name, host, settings, logger);
+        }
+    });
+}
+
+/**
+ * Export the profiling data of the selected databases to one JSON array or NDJSON file, optionally
+ * gzipped. Each entry is tagged with a `source` field holding its database and host.
+ *
+ * @param {object} options
+ * @param {MongoClient} options.client Connected client; the caller closes it
+ * @param {string} options.output File to write
+ * @param {string} [options.format] 'json' or 'ndjson'; by default '.ndjson' and '.jsonl' output names select NDJSON
+ * @param {boolean} [options.gzip] Gzip the file; by default a '.gz' output name does
+ * @param {string[]} [options.databases] Database names, '*' selecting every non-system database
+ * @param {string} [options.db_regex] Select the databases whose name matches the pattern
+ * @param {boolean} [options.all_dbs=false] Select every non-system database
+ * @param {boolean} [options.all_members=false] Export from every replica set or shard member over a direct connection
+ * @param {string} [options.uri] Connection string of `client`, needed with `all_members` to reach the members
+ * @param {object} [options.client_options] MongoClient options (TLS, authentication) for the member connections
+ * @param {{ log: function, error: function }} [options.logger=console] Receives skipped databases and failing members
+ * @returns {Promise<{ file: string, format: string, gzip: boolean, count: number }>}
+ */
+async function export_profile({
+    client, output, format = null, gzip = null, databases = [], db_regex = null, all_dbs = false, all_members = false,
+    uri = null, client_options = {}, logger = console
+} = {}) {
+    const export_format = resolve_export_format(output, { format, gzip });
+    const count = await write_profile_export(await create_profiling_writer(output, export_format), writer => for_each_member(client, { all_members, uri, client_options, logger }, async (member_client, host) => {
+        const db_names = await resolve_target_databases(member_client, { db: databases, db_regex, all_dbs });
+        if (db_names.length === 0) {
+            logger.log(`No databases matched the selection${host ? ` on '${host}'` : ''}.`);
+        }
+        for (const db_name of db_names) {
+            for await (const entry of read_profiling_data(member_client, db_name, host)) {
+                await writer.write(entry);
+            }
+        }
+    }));
+    return { file: output, ...export_format, count };
+}
+
+/**
+ * Run a profiling session: record the profiler settings of every selected database, apply the
+ * requested ones, wait for the duration, the operation count or the signal, restore the original
+ * settings and export the entries profiled during the session.
+ *
+ * @param {object} options
+ * @param {MongoClient} options.client Connected client; the caller closes it
+ * @param {string} options.output File to export the session to, see export_profile
+ * @param {string} [options.format] 'json' or 'ndjson', see export_profile
+ * @param {boolean} [options.gzip] Gzip the export, see export_profile
+ * @param {string[]} [options.databases] Database names, '*' selecting every non-system database
+ * @param {string} [options.db_regex] Select the databases whose name matches the pattern
+ * @param {boolean} [options.all_dbs=false] Select every non-system database
+ * @param {boolean} [options.all_members=false] Profile every replica set or shard member over a direct connection
+ * @param {string} [options.uri] Connection string of `client`, needed with `all_members` to reach the members
+ * @param {object} [options.client_options] MongoClient options (TLS, authentication) for the member connections
+ * @param {object} [options.settings={ level: 2 }] Profiler settings for the session: level, slowms, sampleRate and filter
+ * @param {number} [options.duration_seconds] End the session after this long
+ * @param {number} [options.max_ops] End the session once this many operations were profiled across all databases
+ * @param {number} [options.profile_size_mb] Recreate the capped system.profile collections with this size for the session;
+ *   refused when one holds entries, and put back at its original size once the session is exported
+ * @param {AbortSignal} [options.signal] Ends the session early; the settings are still restored and the entries exported
+ * @param {number} [options.poll_ms=5000] How often the operation count is checked
+ * @param {{ log: function, error: function }} [options.logger=console] Receives the recorded and restored settings
+ * @returns {Promise<{ file: string, format: string, gzip: boolean, count: number, targets: object[], restore_failures: number }>}
+ *   `targets` lists each profiled database with its host, original settings and, with `profile_size_mb`,
+ *   its original system.profile collection; `restore_failures` counts the settings and collection sizes that could not be restored
+ */
+async function run_profiling_session({
+    client, output, format = null, gzip = null, databases = [], db_regex = null, all_dbs = false, all_members = false,
+    uri = null, client_options = {}, settings = { level: 2 }, duration_seconds = null, max_ops = null, profile_size_mb = null,
+    signal = null, poll_ms = 5000, logger = console
+} = {}) {
+    const export_format = resolve_export_format(output, { format, gzip });
+    // Open the export first, so an unwritable path fails before any profiler setting is changed
+    const export_writer = await create_profiling_writer(output, export_format);
+    let exporting = false;
+    let members = [];
+    const targets = [];
+    let restore_failures = 0;
+    try {
+        members = await connect_members(client, { all_members, uri, client_options });
+        try {
+            for (const member of members) {
+                for (const db_name of await resolve_target_databases(member.client, { db: databases, db_regex, all_dbs })) {
+                    const original = await get_profiling_settings(member.client, db_name);
+                    // Resizing drops the collection, so it is only done while it holds nothing to lose
+                    const original_collection = profile_size_mb ? await read_profile_collection(member.client, db_name) : null;
+                    if (original_collection && original_collection.count > 0) {
+                        throw new Error(`system.profile of database '${db_name}' (${member.host}) holds ${original_collection.count} entries that resizing would drop; export and purge them first, or keep its size.`);
+                    }
+                    targets.push({ ...member, db_name, original, original_collection, applied: false });
+                    logger.log(`Recorded profiler settings of database '${db_name}' (${member.host}): ${JSON.stringify(original)}${original_collection ? `, system.profile of ${original_collection.max_size} bytes` : ''}`);
+                }
+            }
+            if (targets.length === 0) {
+                throw new Error("No databases matched the selection.");
+            }
+
+            for (const target of targets) {
+                if (signal && signal.aborted) {
+                    break;
+                }
+                // Profile timestamps come from the server clock, so take the session bounds from it too
+                target.started_at = (await target.client.db('admin').command({ hello: 1 })).localTime;
+                target.applied = true;
+                if (profile_size_mb) {
+                    await resize_profile_collection(target.client, target.db_name, Math.round(profile_size_mb * 1024 * 1024));
+                }
+                await enable_profiling(target.client, target.db_name, target.host, settings, logger);
+            }
+
+            await wait_for_session_end(targets.filter(target => target.applied), {
+                duration_ms: duration_seconds ? duration_seconds * 1000 : null,
+                max_ops,
+                signal,
+                poll_ms,
+                logger
+            });
+        } finally {
+            for (const target of targets.filter(target => target.applied)) {
+                try {
+                    target.ended_at = (await target.client.db('admin').command({ hello: 1 })).localTime;
+                    await apply_profiling_settings(target.client, target.db_name, target.original, settings.filter !== undefined);
+                    logger.log(`Restored profiler settings of database '${target.db_name}' (${target.host}).`);
+                } catch (error) {
+                    restore_failures++;
+                    logger.error(`Failed to restore profiler settings of database '${target.db_name}' (${target.host}) to ${JSON.stringify(target.original)}:`, error.message);
+                }
+            }
+        }
+
+        // Only the entries written during the session; the original level may keep adding more
+        let count;
+        exporting = true;
+        try {
+            count = await write_profile_export(export_writer, async writer => {
+                for (const target of targets.filter(target => target.applied)) {
+                    const query = { ts: { $gte: target.started_at, $lte: target.ended_at || new Date() } };
+                    for await (const entry of read_profiling_data(target.client, target.db_name, target.host, query)) {
+                        await writer.write(entry);
+                    }
+                }
+            });
+        } catch (error) {
+            if (profile_size_mb) {
+                logger.error("The resized system.profile collections keep the session's entries so they can be exported again; purge them and restore the sizes recorded above afterwards.");
+            }
+            throw error;
+        }
+
+        // With the session exported, the resized system.profile collections get their original size back
+        if (profile_size_mb) {
+            for (const target of targets.filter(target => target.applied)) {
+                try {
+                    await restore_profile_collection(target.client, target.db_name, target.original_collection, target.original);
+                    logger.log(target.original_collection
+                        ? `Restored system.profile of database '${target.db_name}' (${target.host}) to ${target.original_collection.max_size} bytes.`
+                        : `Dropped the session's system.profile of database '${target.db_name}' (${target.host}), which did not exist before.`);
+                } catch (error) {
+                    restore_failures++;
+                    logger.error(`Failed to restore system.profile of database '${target.db_name}' (${target.host}) to ${target.original_collection ? `${target.original_collection.max_size} bytes` : 'not existing'}:`, error.message);
+                }
+            }
+        }
+        return {
+            file: output,
+            ...export_format,
+            count,
+            targets: targets.map(({ db_name, host, original, original_collection, applied }) => ({
+                database: db_name, host, original, profile_collection: original_collection, applied
+            })),
+            restore_failures
+        };
+    } finally {
+        if (!exporting) {
+            await export_writer.discard();
+        }
+        await close_members(members);
+    }
+}
+
+module.exports = {
+    // Library API
+    analyze,
+    size,
+    collect_metrics,
+    scan_schema,
+    manage_profiling,
+    export_profile,
+    run_profiling_session,
+    render_reports,
+    write_reports,
+
+    // Building blocks
+    TOOL,
+    DEFAULT_TARGET,
+    DEFAULT_SIZING_PROFILE,
+    DEFAULT_MAX_SHAPES,
+    DEFAULT_SCHEMA_SAMPLE_SIZE,
+    DEFAULT_SAMPLE_INTERVAL_SECONDS,
+    DEFAULT_REPLAY_RATE,
+    METRICS_REQUIRED_FIELDS,
+    REPORT_FORMATS,
+    REPORT_SCHEMA_VERSION,
+    load_json,
+    is_document,
+    read_profile_entries,
+    read_log_entries,
+    read_profiling_data,
+    get_profiling_settings,
+    apply_profiling_settings,
+    resize_profile_collection,
+    create_profiling_writer,
+    resolve_export_format,
+    discover_members,
+    current_host,
+    member_connection_string,
+    connect_members,
+    close_members,
+    for_each_member,
+    MemberConnectionError,
+    redact_connection_string,
+    list_rule_sets,
+    load_rule_set,
+    analyze_keywords,
+    evaluate_schema_scan,
+    evaluate_indexes,
+    list_sizing_profiles,
+    load_sizing_profile,
+    perform_sizing,
+    recommend_autonomous_shape,
+    forecast_growth,
+    resolve_target_databases,
+    compare_analyses,
+    compare_sizing,
+    replay_workload,
+    summarize_replay_results,
+    build_report_document,
+    build_csv_tables,
+    build_sarif,
+    render_html_report,
+    sizing_document,
+    sleep
+};
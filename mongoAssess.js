@@ -10,456 +10,1250 @@
 // 4. Export MongoDB profiling data to a user-specified location
 // 5. Analyze exported MongoDB workload profile
 // 6. Collect historical metrics on CPU, memory, storage utilization, and sessions of the database
-// 7. Perform rudimentary sizing based on provided metrics JSON file
+// 7. Perform sizing based on provided metrics JSON file and map it onto an Autonomous Database shape
+// 8. Run a profiling session that restores the original profiler settings afterwards
+// 9. Replay an exported workload against a target endpoint and measure what works
+// 10. Scan collections for data types and document structures the target cannot store
+// 11. Compare two analysis runs to track remediation progress
 //
 // Limitations:
-// Cumulative Metrics: The metrics collected using serverStatus are cumulative since the last server restart
+// Cumulative Metrics: A single serverStatus snapshot is cumulative since the last server restart; sample
+// over a window (collect-metrics --duration/--interval) to size for peaks instead of lifetime averages
+//
+// This file is the command line interface. The analysis, sizing, collectors, profiling and reports are in
+// index.js, which other tooling can require as a library.
 
 const fs = require('fs');
 const { MongoClient } = require('mongodb');
 const path = require('path');
+const {
+    analyze, size, collect_metrics, scan_schema, manage_profiling, export_profile, run_profiling_session: profiling_session, write_reports,
+    DEFAULT_TARGET, DEFAULT_SIZING_PROFILE, DEFAULT_SCHEMA_SAMPLE_SIZE, DEFAULT_SAMPLE_INTERVAL_SECONDS, DEFAULT_REPLAY_RATE,
+    METRICS_REQUIRED_FIELDS, REPORT_FORMATS, REPORT_SCHEMA_VERSION,
+    load_json, is_document, read_profile_entries, resolve_target_databases, resolve_export_format, current_host,
+    MemberConnectionError, redact_connection_string,
+    list_rule_sets, load_rule_set, list_sizing_profiles, load_sizing_profile, sizing_document,
+    compare_analyses, compare_sizing, replay_workload, summarize_replay_results
+} = require('./index');
+
+// Function to create a progress indicator on stderr; silent when stderr is not a terminal
+function create_progress_reporter(label, interval_ms = 500) {
+    const enabled = Boolean(process.stderr.isTTY);
+    let last = 0;
+    let shown = false;
+    return {
+        update({ entries, bytes_read, total_bytes }) {
+            const now = Date.now();
+            if (!enabled || now - last < interval_ms) {
+                return;
+            }
+            last = now;
+            shown = true;
+            const percent = total_bytes > 0 ? Math.min(100, (bytes_read / total_bytes) * 100).toFixed(1) : '100.0';
+            process.stderr.write(`\r${label} ${entries} entries (${percent}%)`);
+        },
+        done() {
+            if (shown) {
+                process.stderr.write('\n');
+            }
+        }
+    };
+}
+
+// Function to parse a namespace map such as 'sales=sales_copy,app.orders=test.orders'
+// into database and namespace mappings
+function parse_ns_map(ns_map) {
+    const mapping = { databases: {}, namespaces: {} };
+    for (const pair of String(ns_map || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const [from, to] = pair.split('=').map(item => item.trim());
+        if (!from || !to || from.includes('.') !== to.includes('.')) {
+            throw new CliError(`Invalid namespace mapping '${pair}', expected db=db or db.collection=db.collection.`, EXIT_CODES.usage);
+        }
+        mapping[from.includes('.') ? 'namespaces' : 'databases'][from] = to;
+    }
+    return mapping;
+}
+
+// Exit codes returned by the non-interactive CLI
+const EXIT_CODES = {
+    success: 0,
+    failure: 1,      // The operation itself failed
+    usage: 2,        // Unknown subcommand, bad flag or missing required option
+    input: 3,        // Input file missing or not in the expected format
+    connection: 4,   // Could not connect to MongoDB
+    privileges: 5    // The user lacks privileges the command needs
+};
+
+// Error carrying the exit code the CLI should terminate with
+class CliError extends Error {
+    constructor(message, exit_code = EXIT_CODES.failure) {
+        super(message);
+        this.name = 'CliError';
+        this.exit_code = exit_code;
+    }
+}
+
+// Environment variables consulted when an option is not given on the command line
+const ENV_OPTIONS = {
+    uri: 'OEE_MONGO_URI',
+    db: 'OEE_MONGO_DB',
+    'db-regex': 'OEE_MONGO_DB_REGEX',
+    'all-dbs': 'OEE_MONGO_ALL_DBS',
+    'all-members': 'OEE_MONGO_ALL_MEMBERS',
+    input: 'OEE_MONGO_INPUT',
+    output: 'OEE_MONGO_OUTPUT',
+    format: 'OEE_MONGO_FORMAT',
+    gzip: 'OEE_MONGO_GZIP',
+    level: 'OEE_MONGO_LEVEL',
+    slowms: 'OEE_MONGO_SLOWMS',
+    'sample-rate': 'OEE_MONGO_SAMPLE_RATE',
+    filter: 'OEE_MONGO_FILTER',
+    'profile-size-mb': 'OEE_MONGO_PROFILE_SIZE_MB',
+    duration: 'OEE_MONGO_DURATION',
+    'max-ops': 'OEE_MONGO_MAX_OPS',
+    interval: 'OEE_MONGO_INTERVAL',
+    'sizing-profile': 'OEE_MONGO_SIZING_PROFILE',
+    'include-system-dbs': 'OEE_MONGO_INCLUDE_SYSTEM_DBS',
+    'target-uri': 'OEE_MONGO_TARGET_URI',
+    'allow-writes': 'OEE_MONGO_ALLOW_WRITES',
+    'ns-map': 'OEE_MONGO_NS_MAP',
+    rate: 'OEE_MONGO_RATE',
+    'dry-run': 'OEE_MONGO_DRY_RUN',
+    tls: 'OEE_MONGO_TLS',
+    'tls-ca-file': 'OEE_MONGO_TLS_CA_FILE',
+    'tls-certificate-key-file': 'OEE_MONGO_TLS_CERTIFICATE_KEY_FILE',
+    username: 'OEE_MONGO_USERNAME',
+    'auth-mechanism': 'OEE_MONGO_AUTH_MECHANISM',
+    'auth-source': 'OEE_MONGO_AUTH_SOURCE',
+    'auth-mechanism-properties': 'OEE_MONGO_AUTH_MECHANISM_PROPERTIES',
+    'credentials-file': 'OEE_MONGO_CREDENTIALS_FILE',
+    'skip-privilege-check': 'OEE_MONGO_SKIP_PRIVILEGE_CHECK',
+    schema: 'OEE_MONGO_SCHEMA',
+    indexes: 'OEE_MONGO_INDEXES',
+    log: 'OEE_MONGO_LOG',
+    baseline: 'OEE_MONGO_BASELINE',
+    'baseline-metrics': 'OEE_MONGO_BASELINE_METRICS',
+    metrics: 'OEE_MONGO_METRICS',
+    'sample-size': 'OEE_MONGO_SAMPLE_SIZE',
+    'sample-method': 'OEE_MONGO_SAMPLE_METHOD',
+    target: 'OEE_MONGO_TARGET',
+    'report-format': 'OEE_MONGO_REPORT_FORMAT',
+    'output-dir': 'OEE_MONGO_OUTPUT_DIR',
+    'output-name': 'OEE_MONGO_OUTPUT_NAME',
+    'rules-file': 'OEE_MONGO_RULES_FILE',
+    config: 'OEE_MONGO_CONFIG'
+};
+
+// Secrets are never taken from the command line, only from these variables, the credentials file or a prompt
+const SECRET_ENV = {
+    password: 'OEE_MONGO_PASSWORD',
+    tls_certificate_key_file_password: 'OEE_MONGO_TLS_CERTIFICATE_KEY_FILE_PASSWORD'
+};
+
+// Short names accepted by --auth-mechanism and the driver mechanism they select
+const AUTH_MECHANISMS = {
+    scram: 'SCRAM-SHA-256',
+    x509: 'MONGODB-X509',
+    ldap: 'PLAIN',
+    aws: 'MONGODB-AWS',
+    kerberos: 'GSSAPI'
+};
+const DRIVER_AUTH_MECHANISMS = ['SCRAM-SHA-256', 'SCRAM-SHA-1', 'MONGODB-X509', 'PLAIN', 'MONGODB-AWS', 'GSSAPI'];
+// Mechanisms that cannot authenticate a named user without a password (for AWS, the secret access key)
+const PASSWORD_MECHANISMS = ['SCRAM-SHA-256', 'SCRAM-SHA-1', 'PLAIN', 'MONGODB-AWS'];
+
+// Flags accepted by every subcommand
+const CLI_OPTIONS = {
+    uri: { type: 'string', short: 'u' },
+    db: { type: 'string', short: 'd' },
+    'db-regex': { type: 'string' },
+    'all-dbs': { type: 'boolean' },
+    'all-members': { type: 'boolean' },
+    input: { type: 'string', short: 'i' },
+    output: { type: 'string', short: 'o' },
+    format: { type: 'string' },
+    gzip: { type: 'boolean' },
+    level: { type: 'string' },
+    slowms: { type: 'string' },
+    'sample-rate': { type: 'string' },
+    filter: { type: 'string' },
+    'profile-size-mb': { type: 'string' },
+    duration: { type: 'string' },
+    'max-ops': { type: 'string' },
+    interval: { type: 'string' },
+    'sizing-profile': { type: 'string' },
+    'include-system-dbs': { type: 'boolean' },
+    'target-uri': { type: 'string' },
+    'allow-writes': { type: 'boolean' },
+    'ns-map': { type: 'string' },
+    rate: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    tls: { type: 'boolean' },
+    'tls-ca-file': { type: 'string' },
+    'tls-certificate-key-file': { type: 'string' },
+    username: { type: 'string' },
+    'auth-mechanism': { type: 'string' },
+    'auth-source': { type: 'string' },
+    'auth-mechanism-properties': { type: 'string' },
+    'credentials-file': { type: 'string' },
+    'skip-privilege-check': { type: 'boolean' },
+    schema: { type: 'string' },
+    indexes: { type: 'string' },
+    log: { type: 'boolean' },
+    baseline: { type: 'string' },
+    'baseline-metrics': { type: 'string' },
+    metrics: { type: 'string' },
+    'sample-size': { type: 'string' },
+    'sample-method': { type: 'string' },
+    target: { type: 'string', short: 't' },
+    'report-format': { type: 'string' },
+    'output-dir': { type: 'string' },
+    'output-name': { type: 'string' },
+    'rules-file': { type: 'string', multiple: true },
+    config: { type: 'string', short: 'c' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Function to build the usage text; the available rule sets and sizing profiles are read from disk
+// only when the help is shown
+function cli_help() {
+    return `Usage: node mongoAssess.js [<command> [options]]
+
+Run without arguments to use the interactive menu.
+
+Commands:
+  profile enable           Enable profiling (level 2) for the selected databases
+  profile disable          Disable profiling for the selected databases
+  profile purge            Drop the system.profile collection of the selected databases
+  profile export           Export profiling data of the selected databases to one JSON or NDJSON file
+  profile session          Record the current profiler settings, profile for a duration or operation
+                           count, restore the original settings (also on Ctrl-C) and export
+  analyze                  Analyze an exported profile JSON file and write an HTML report
+  schema-scan              Sample the documents of the selected databases and record data types,
+                           field names, nesting and structure for 'analyze --schema'
+  collect-metrics          Collect serverStatus and dbStats metrics to a JSON file; with --duration or
+                           --interval, sample serverStatus over a window for peak-based sizing
+  replay                   Replay an exported profile against a target endpoint and report which
+                           commands succeed, their errors and latency
+  size                     Perform sizing from a metrics JSON file, recommend an Autonomous Database
+                           shape and write an HTML report; given a directory of metrics snapshots,
+                           also forecast growth 6, 12 and 24 months out
+  compare                  Compare two JSON analysis reports (baseline first) and report the operators
+                           and query shapes that are new, resolved or remaining
+
+Options:
+  -u, --uri <uri>          MongoDB connection string          (env ${ENV_OPTIONS.uri})
+  -d, --db <names>         Database name(s), comma-separated, '*' for all non-system databases (env ${ENV_OPTIONS.db})
+      --db-regex <pattern> Select databases whose name matches the pattern (env ${ENV_OPTIONS['db-regex']})
+      --all-dbs            Select every non-system database   (env ${ENV_OPTIONS['all-dbs']})
+      --all-members        Run against every replica set member or shard member, not just the
+                           server the connection string resolves to (env ${ENV_OPTIONS['all-members']})
+  -i, --input <file>       Input file for analyze/size; analyze reads JSON arrays and NDJSON,
+                           optionally gzip-compressed          (env ${ENV_OPTIONS.input})
+  -o, --output <file>      Output file                        (env ${ENV_OPTIONS.output})
+      --format <fmt>       Export format, 'json' or 'ndjson'; defaults from the output extension
+                           (.ndjson/.jsonl select NDJSON)      (env ${ENV_OPTIONS.format})
+      --gzip               Gzip-compress the export; implied by a '.gz' output name (env ${ENV_OPTIONS.gzip})
+
+Connection options (profile, collect-metrics, schema-scan, and the replay target):
+      --tls                Connect over TLS                   (env ${ENV_OPTIONS.tls})
+      --tls-ca-file <file> CA certificates to verify the server with; implies --tls (env ${ENV_OPTIONS['tls-ca-file']})
+      --tls-certificate-key-file <file> Client certificate and key (PEM); implies --tls
+                           (env ${ENV_OPTIONS['tls-certificate-key-file']}, key password in ${SECRET_ENV.tls_certificate_key_file_password})
+      --username <name>    User to authenticate as; the password comes from ${SECRET_ENV.password}, the
+                           credentials file or a masked prompt (env ${ENV_OPTIONS.username})
+      --auth-mechanism <m> ${Object.keys(AUTH_MECHANISMS).join(', ')} or a driver mechanism name;
+                           x509, ldap, aws and kerberos authenticate against $external (env ${ENV_OPTIONS['auth-mechanism']})
+      --auth-source <db>   Database holding the user, default admin (env ${ENV_OPTIONS['auth-source']})
+      --auth-mechanism-properties <k:v,...> e.g. SERVICE_NAME:mongodb for Kerberos
+                           (env ${ENV_OPTIONS['auth-mechanism-properties']})
+      --credentials-file <file> JSON file with username, password and tls_certificate_key_file_password;
+                           keep it readable by its owner only (env ${ENV_OPTIONS['credentials-file']})
+      --skip-privilege-check Run even when the pre-check finds missing privileges
+                           (env ${ENV_OPTIONS['skip-privilege-check']})
+
+Report options (analyze, size, replay, compare):
+      --report-format <list> Comma-separated report formats: ${REPORT_FORMATS.join(', ')}; default html
+                           (env ${ENV_OPTIONS['report-format']})
+      --output-dir <dir>   Directory for the reports, default the current directory (env ${ENV_OPTIONS['output-dir']})
+      --output-name <name> Report file name without extension, default <input>_report_advisor_<timestamp>
+                           or <input>_sizing_report_<timestamp> (env ${ENV_OPTIONS['output-name']})
+
+Analysis options (analyze):
+  -t, --target <id|file>   Compatibility rule set to judge against, default ${DEFAULT_TARGET} (env ${ENV_OPTIONS.target})
+                           Available: ${list_rule_sets().map(rule_set => rule_set.id).join(', ')}
+      --rules-file <file>  Custom rule file layered over the target; repeatable
+                           (env ${ENV_OPTIONS['rules-file']}, separated by '${path.delimiter}')
+      --schema <file>      Add a schema scan from schema-scan to the report (env ${ENV_OPTIONS.schema})
+      --indexes <file>     Classify the indexes of a collect-metrics file and list the profiled
+                           collection scans (env ${ENV_OPTIONS.indexes})
+      --metrics <file>     Metrics file from collect-metrics; adds sizing and the recommended shape to
+                           the same report, and capped collections and GridFS buckets to the feature
+                           usage (for which the --indexes file is used without it) (env ${ENV_OPTIONS.metrics})
+      --log                The input is a mongod log file, or a directory of current and rotated
+                           logs, optionally gzipped; its slow operations are analyzed (env ${ENV_OPTIONS.log})
+
+Schema scan options (schema-scan):
+      --sample-size <n>    Documents sampled per collection, default ${DEFAULT_SCHEMA_SAMPLE_SIZE} (env ${ENV_OPTIONS['sample-size']})
+      --sample-method <m>  'sample' uses $sample (falling back to a scan), 'scan' reads the first documents
+                           (env ${ENV_OPTIONS['sample-method']})
+
+Replay options (replay):
+      --target-uri <uri>   Endpoint to replay against, e.g. an Oracle MongoDB API URL (env ${ENV_OPTIONS['target-uri']})
+      --dry-run            Record the commands that would be sent without connecting (env ${ENV_OPTIONS['dry-run']})
+      --allow-writes       Also replay inserts, updates, deletes and other writes; reads only by default
+                           (env ${ENV_OPTIONS['allow-writes']})
+      --ns-map <map>       Replay into other namespaces, e.g. 'sales=sales_test,app.orders=test.orders'
+                           (env ${ENV_OPTIONS['ns-map']})
+      --rate <n>           At most this many commands per second, default ${DEFAULT_REPLAY_RATE} (env ${ENV_OPTIONS.rate})
+      --max-ops <count>    Stop after this many commands were replayed
+
+Comparison options (compare):
+      --baseline <file>    JSON analysis report of the earlier run; the current report is the input
+                           (env ${ENV_OPTIONS.baseline})
+      --baseline-metrics <file> Metrics file or JSON sizing report of the earlier run
+                           (env ${ENV_OPTIONS['baseline-metrics']})
+      --metrics <file>     Metrics file or JSON sizing report of the current run; with
+                           --baseline-metrics, adds the sizing changes (env ${ENV_OPTIONS.metrics})
+
+Sizing options (size, compare, analyze --metrics):
+      --sizing-profile <id|file> Sizing factors and target service, default ${DEFAULT_SIZING_PROFILE}
+                           (env ${ENV_OPTIONS['sizing-profile']})
+                           Available: ${list_sizing_profiles().map(profile => profile.id).join(', ')}
+
+Profiler options (profile enable, profile session):
+      --level <1|2>        Profiling level, default 2         (env ${ENV_OPTIONS.level})
+      --slowms <ms>        Slow operation threshold           (env ${ENV_OPTIONS.slowms})
+      --sample-rate <0-1>  Fraction of slow operations to profile (env ${ENV_OPTIONS['sample-rate']})
+      --filter <json>      Profile filter document, e.g. '{"op":"query"}' (env ${ENV_OPTIONS.filter})
+      --profile-size-mb <n> Recreate the capped system.profile collection with this size for the session
+                           and put the original size back afterwards; refused while it holds entries
+                           (session only, env ${ENV_OPTIONS['profile-size-mb']})
+      --duration <seconds> End the session after this long    (env ${ENV_OPTIONS.duration})
+      --max-ops <count>    End the session once this many operations were profiled (env ${ENV_OPTIONS['max-ops']})
+
+Metrics options (collect-metrics):
+      --interval <seconds> Sample serverStatus this often, default ${DEFAULT_SAMPLE_INTERVAL_SECONDS} (env ${ENV_OPTIONS.interval})
+      --duration <seconds> Sample for this long; without it sampling runs until Ctrl-C
+      --include-system-dbs Also collect admin, local (with the oplog) and config; they are left out of
+                           the storage statistics and sizing by default (env ${ENV_OPTIONS['include-system-dbs']})
+
+  -c, --config <file>      JSON config file holding any of the options above (env ${ENV_OPTIONS.config})
+  -h, --help               Show this help
+
+Options are resolved in order: command line, environment, config file.
+
+Exit codes:
+  0 success, 1 operation failed, 2 usage error, 3 invalid input file, 4 connection failure,
+  5 missing privileges
+`;
+}
+
+// Required options per subcommand; an array lists alternatives of which one must be present
+const DATABASE_SELECTION = ['db', 'db_regex', 'all_dbs'];
+const COMMAND_REQUIREMENTS = {
+    'profile enable': ['uri', DATABASE_SELECTION],
+    'profile disable': ['uri', DATABASE_SELECTION],
+    'profile purge': ['uri', DATABASE_SELECTION],
+    'profile export': ['uri', DATABASE_SELECTION, 'output'],
+    'profile session': ['uri', DATABASE_SELECTION, 'output'],
+    'analyze': ['input'],
+    'collect-metrics': ['uri', 'output'],
+    'size': ['input'],
+    'replay': ['input', ['target_uri', 'dry_run']],
+    'schema-scan': ['uri', DATABASE_SELECTION, 'output'],
+    'compare': ['baseline', 'input']
+};
+
+// Function to merge command line flags with environment variables and the config file
+function resolve_options(flags, env = process.env) {
+    const config_path = flags.config || env[ENV_OPTIONS.config];
+    let config = {};
+    if (config_path) {
+        if (!fs.existsSync(config_path)) {
+            throw new CliError(`Config file '${config_path}' does not exist.`, EXIT_CODES.input);
+        }
+        try {
+            config = load_json(config_path);
+        } catch (error) {
+            throw new CliError(`Config file '${config_path}' is not valid JSON: ${error.message}`, EXIT_CODES.input);
+        }
+    }
+
+    // Options are keyed by their snake_case name, e.g. --db-regex becomes options.db_regex
+    const options = {};
+    for (const name of Object.keys(ENV_OPTIONS)) {
+        const key = name.replace(/-/g, '_');
+        let env_value = env[ENV_OPTIONS[name]];
+        if (env_value !== undefined && CLI_OPTIONS[name].type === 'boolean') {
+            env_value = /^(1|true|yes)$/i.test(env_value);
+        } else if (env_value !== undefined && CLI_OPTIONS[name].multiple) {
+            env_value = env_value.split(path.delimiter).filter(item => item.length > 0);
+        }
+        const config_value = config[name] !== undefined ? config[name] : config[key];
+        const value = flags[name] !== undefined ? flags[name] : (env_value !== undefined ? env_value : config_value);
+        if (value !== undefined && value !== '' && value !== false) {
+            options[key] = value;
+        }
+    }
+    return options;
+}
+
+// Function to check that a subcommand received everything it needs
+function require_options(command, options) {
+    const flag = name => `--${name.replace(/_/g, '-')}`;
+    const missing = (COMMAND_REQUIREMENTS[command] || [])
+        .filter(requirement => [].concat(requirement).every(name => options[name] === undefined))
+        .map(requirement => [].concat(requirement).map(flag).join(' or '));
+    if (missing.length > 0) {
+        throw new CliError(`'${command}' requires ${missing.join(', ')}`, EXIT_CODES.usage);
+    }
+}
+
+// Function to read an optional numeric option, rejecting values outside [min, max]
+function parse_number_option(options, name, { integer = false, min = -Infinity, max = Infinity } = {}) {
+    const value = options[name];
+    if (value === undefined) {
+        return undefined;
+    }
+    const number = Number(value);
+    if (value === '' || Number.isNaN(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+        throw new CliError(`Invalid value '${value}' for --${name.replace(/_/g, '-')}.`, EXIT_CODES.usage);
+    }
+    return number;
+}
 
-// Lists based on prior definitions
-const supported_keywords = [
-    "$gt","$gte","$lt","$and","$not","$or","$nor","$ne","$eq","$in","$lte","$nin","$exists","$type",
-    "$regex","$text","$near","$nearSphere","$size","$natural","$inc","$min","$max","$rename","$set",
-    "$addToSet","$pop","$pull","$push","$pullAll","$each","$position","$sort","$bit","$count","$limit",
-    "$match","$skip","$slice","$group","$project","$arrayElemAt"
-];
-
-const not_supported_keywords = [
-    "$expr","$jsonSchema","$mod","$geoIntersects","$geoWithin","$box","$center","$centerSphere",
-    "$maxDistance","$minDistance","$polygon","$all","$bitsAllClear","$bitsAllSet","$bitsAnyClear",
-    "$bitsAnySet","$elemMatch","$rand","$currentData","$mul","$setOnInsert","$abs","$accumulator",
-    "$acos","$acosh","$addFields","$bucket","$bucketAuto","$changeStream","$collStats","$currentOp",
-    "$densify","$documents","$facet","$fill","$geoNear","$graphLookup","$indexStats","$lookup","$merge",
-    "$out","$redact","$replaceRoot","$replaceWith","$sample","$search","$searchMeta","$setWindowFields",
-    "$sortByCount","$unionWith","$unset","$unwind","$add","$allElementsTrue","$anyElementTrue",
-    "$arrayToObject","$asin","$asinh","$atan","$atan2","$atanh","$avg","$binarySize","$bottom",
-    "$bottomN","$bsonSize","$ceil","$cmp","$concat","$concatArrays","$cond","$convert","$cosh",
-    "$covariancePop","$covarianceSamp","$dateAdd","$dateDiff","$dateFromParts","$dateFromString",
-    "$datesubtract","$dateToParts","$dateToString","$dateTrunc","$dayOfMonth","$dayOfWeek",
-    "$dayOfYear","$degreesToRadians","$denseRank","$derivative","$divide","$documentNumber","$exp",
-    "$expMovingAvg","$filter","$first","$firstN","$floor","$function","$getField","$hour","$ifNull",
-    "$indexOfArray","$indexOfBytes","$indexOfCP","$integral","$isArray","$isNumber","$isoDayOfWeek",
-    "$isoWeek","$isoWeekYear","$last","$lastN","$let","$linearFill","$literal","$ln","$log","$log10",
-    "$ltrim","$map","$maxN","$mergeObjects","$meta","$minN","$millisecond","$minute","$month",
-    "$multiply","$objectToArray","$pow","$radiansToDegrees","$range","$rank","$reduce","$regexFind",
-    "$regexFindAll","$regexMatch","$replaceOne","$replaceAll","$reverseArray","$round","$rtrim",
-    "$sampleRate","$second","$setDifference","$setEquals","$setField","$setIntersection","$setIsSubset",
-    "$setUnion","$shift","$sin","$sinh","$sortArray","$split","$sqrt","$stsDevPop","$stsDevSamp",
-    "$strLenBytes","$strcasecmp","$strLenCP","$substr","$substrCP","$subtract","$sum","$switch",
-    "$tan","$tanh","$toBool","$toDate","$toDecimal","$toDouble","$toInt","$toLong","$toObjectId",
-    "$top","$topN","$toString","$toLower","$toUpper","$tsIncrement","$tsSecond","$trim","$trunc",
-    "$unsetField","$week","$year","$zip"
-];
-
-// Function to load JSON data from file
-function load_json(file_path) {
-    const data = fs.readFileSync(file_path, 'utf8');
-    return JSON.parse(data);
-}
-
-// Function to analyze keywords in the data
-function analyze_keywords(data) {
-    const supported_dictionary = {};
-    const not_supported_dictionary = {};
-    const supported_commands = [];
-    const not_supported_commands = [];
-
-    function traverse(obj, command_category) {
-        if (typeof obj === 'object' && obj !== null) {
-            for (let key in obj) {
-                if (key.startsWith('$')) {
-                    if (supported_keywords.includes(key)) {
-                        supported_dictionary[key] = (supported_dictionary[key] || 0) + 1;
-                    } else if (not_supported_keywords.includes(key)) {
-                        not_supported_dictionary[key] = (not_supported_dictionary[key] || 0) + 1;
-                        if (!command_category.includes(key)) {
-                            command_category.push(key); // Mark as not supported
-                        }
-                    }
-                }
-                traverse(obj[key], command_category);
+// Function to build the profiler settings requested through --level, --slowms, --sample-rate and --filter
+function profiling_settings_from_options(options) {
+    const level = parse_number_option(options, 'level', { integer: true, min: 1, max: 2 });
+    const settings = {
+        level: level === undefined ? 2 : level,
+        slowms: parse_number_option(options, 'slowms', { integer: true, min: 0 }),
+        sampleRate: parse_number_option(options, 'sample_rate', { min: 0, max: 1 })
+    };
+    if (options.filter !== undefined) {
+        if (typeof options.filter === 'object') {
+            settings.filter = options.filter;
+        } else {
+            try {
+                settings.filter = JSON.parse(options.filter);
+            } catch (error) {
+                throw new CliError(`Invalid --filter document: ${error.message}`, EXIT_CODES.usage);
             }
-        } else if (Array.isArray(obj)) {
-            obj.forEach(item => traverse(item, command_category));
         }
     }
+    return settings;
+}
 
-    data.forEach(entry => {
-        const command_category = [];
-        if (entry.op && entry.op === 'command') {
-            traverse(entry, command_category);
-            if (command_category.length > 0) {
-                not_supported_commands.push({ entry, command_category });
-            } else {
-                supported_commands.push(entry);
+// Function to create a readline prompt whose echo can be switched off to read secrets
+function create_prompt(input = process.stdin, output = process.stdout) {
+    const readline = require('readline');
+    const { Writable } = require('stream');
+    let muted = false;
+    const echo = new Writable({
+        write(chunk, encoding, callback) {
+            if (!muted) {
+                output.write(chunk, encoding);
             }
+            callback();
         }
     });
+    const rl = readline.createInterface({ input, output: echo, terminal: Boolean(input.isTTY) });
+    const question = query => new Promise(resolve => rl.question(query, resolve));
+    return {
+        question,
+        // Function to ask for a secret without echoing what is typed
+        async secret(query) {
+            output.write(query);
+            muted = true;
+            try {
+                return await question('');
+            } finally {
+                muted = false;
+                output.write('\n');
+            }
+        },
+        close: () => rl.close()
+    };
+}
 
-    return { supported_dictionary, not_supported_dictionary, supported_commands, not_supported_commands };
+// Function to read the credentials file, warning when other users can read it
+function load_credentials_file(file_path) {
+    if (!fs.existsSync(file_path)) {
+        throw new CliError(`Credentials file '${file_path}' does not exist.`, EXIT_CODES.input);
+    }
+    if (process.platform !== 'win32' && (fs.statSync(file_path).mode & 0o077) !== 0) {
+        console.error(`Warning: credentials file '${file_path}' is readable by other users; restrict it with chmod 600.`);
+    }
+    let credentials;
+    try {
+        credentials = load_json(file_path);
+    } catch (error) {
+        throw new CliError(`Credentials file '${file_path}' is not valid JSON: ${error.message}`, EXIT_CODES.input);
+    }
+    if (!is_document(credentials)) {
+        throw new CliError(`Credentials file '${file_path}' must hold a JSON object.`, EXIT_CODES.input);
+    }
+    return credentials;
 }
 
-// Function to highlight unsupported keywords in JSON output
-function highlight_not_supported(json_string, not_supported_keywords) {
-    not_supported_keywords.forEach(keyword => {
-        const regex = new RegExp(`"${keyword}"`, 'g');
-        json_string = json_string.replace(regex, `<strong>"${keyword}"</strong>`);
-    });
-    return json_string;
+// Function to parse --auth-mechanism-properties, e.g. 'SERVICE_NAME:mongodb,CANONICALIZE_HOST_NAME:true'
+function parse_auth_mechanism_properties(text) {
+    const properties = {};
+    for (const pair of String(text).split(',').map(item => item.trim()).filter(Boolean)) {
+        const separator = pair.indexOf(':');
+        if (separator <= 0) {
+            throw new CliError(`Invalid --auth-mechanism-properties entry '${pair}', expected KEY:value.`, EXIT_CODES.usage);
+        }
+        const value = pair.slice(separator + 1);
+        properties[pair.slice(0, separator)] = /^(true|false)$/i.test(value) ? /^true$/i.test(value) : value;
+    }
+    return properties;
 }
 
-// Function to summarize the keyword analysis
-function summarize_keywords(supported_dictionary, not_supported_dictionary) {
-    const total_supported = Object.values(supported_dictionary).reduce((a, b) => a + b, 0);
-    const total_not_supported = Object.values(not_supported_dictionary).reduce((a, b) => a + b, 0);
-    const total_keywords = total_supported + total_not_supported;
+// Function to build the MongoClient options for TLS and authentication. The password is looked up in
+// `options.password` (interactive mode), the environment and the credentials file, and otherwise
+// asked for with a masked prompt when a terminal is attached.
+async function connection_options(options, env = process.env) {
+    const credentials = options.credentials_file ? load_credentials_file(options.credentials_file) : {};
+    const client_options = {};
+
+    for (const [name, option] of [['tls_ca_file', 'tlsCAFile'], ['tls_certificate_key_file', 'tlsCertificateKeyFile']]) {
+        if (options[name] === undefined) {
+            continue;
+        }
+        if (!fs.existsSync(options[name])) {
+            throw new CliError(`File '${options[name]}' given with --${name.replace(/_/g, '-')} does not exist.`, EXIT_CODES.input);
+        }
+        client_options[option] = options[name];
+    }
+    if (options.tls || client_options.tlsCAFile || client_options.tlsCertificateKeyFile) {
+        client_options.tls = true;
+    }
+    const key_password = env[SECRET_ENV.tls_certificate_key_file_password] || credentials.tls_certificate_key_file_password;
+    if (key_password && client_options.tlsCertificateKeyFile) {
+        client_options.tlsCertificateKeyFilePassword = key_password;
+    }
 
-    const supported_percent = total_keywords > 0 ? (total_supported / total_keywords) * 100 : 0;
+    let mechanism;
+    if (options.auth_mechanism !== undefined) {
+        mechanism = AUTH_MECHANISMS[options.auth_mechanism.toLowerCase()] || options.auth_mechanism.toUpperCase();
+        if (!DRIVER_AUTH_MECHANISMS.includes(mechanism)) {
+            throw new CliError(`Unknown --auth-mechanism '${options.auth_mechanism}', expected any of ${[...Object.keys(AUTH_MECHANISMS), ...DRIVER_AUTH_MECHANISMS].join(', ')}.`, EXIT_CODES.usage);
+        }
+        client_options.authMechanism = mechanism;
+    }
+    if (mechanism === 'MONGODB-X509' && !client_options.tlsCertificateKeyFile && !/[?&]tlsCertificateKeyFile=/i.test(options.uri || '')) {
+        throw new CliError("x.509 authentication needs a client certificate; pass --tls-certificate-key-file.", EXIT_CODES.usage);
+    }
+    if (options.auth_source !== undefined) {
+        client_options.authSource = options.auth_source;
+    }
+    if (options.auth_mechanism_properties !== undefined) {
+        client_options.authMechanismProperties = parse_auth_mechanism_properties(options.auth_mechanism_properties);
+    }
 
-    return { total_keywords, total_supported, total_not_supported, supported_percent };
+    const username = options.username || credentials.username;
+    if (username) {
+        let password = options.password || env[SECRET_ENV.password] || credentials.password;
+        if (!password && PASSWORD_MECHANISMS.includes(mechanism || 'SCRAM-SHA-256')) {
+            if (!process.stdin.isTTY) {
+                throw new CliError(`No password for user '${username}'; set ${SECRET_ENV.password} or use --credentials-file.`, EXIT_CODES.usage);
+            }
+            const prompt = create_prompt();
+            try {
+                password = await prompt.secret(`Enter the password for '${username}': `);
+            } finally {
+                prompt.close();
+            }
+        }
+        client_options.auth = { username, password };
+    }
+    return client_options;
 }
 
-// Function to calculate CPU cores based on OPS/sec
-function calculate_cpu_cores(opcounters, uptime_seconds, ops_per_core = 1500) {
-    const total_operations = (
-        opcounters.insert +
-        opcounters.query +
-        opcounters.update +
-        opcounters.delete +
-        opcounters.getmore +
-        opcounters.command +
-        (opcounters.deprecated ? opcounters.deprecated.query : 0)
-    );
-    const ops_per_sec = uptime_seconds > 0 ? total_operations / uptime_seconds : 0;
-    const cpu_cores = Math.ceil(ops_per_sec / ops_per_core);
-    return { total_operations, ops_per_sec, cpu_cores };
+// Privileges each command needs. `scope` says where the action is checked: the cluster, every selected
+// database, or the system.profile collection of every selected database. `role` is the built-in role granting it.
+const COMMAND_PRIVILEGES = {
+    'profile enable': [{ action: 'enableProfiler', scope: 'database', role: 'dbAdmin' }],
+    'profile disable': [{ action: 'enableProfiler', scope: 'database', role: 'dbAdmin' }],
+    'profile purge': [{ action: 'dropCollection', scope: 'profile', role: 'dbAdmin' }],
+    'profile export': [{ action: 'find', scope: 'profile', role: 'dbAdmin' }],
+    'profile session': [
+        { action: 'enableProfiler', scope: 'database', role: 'dbAdmin' },
+        { action: 'find', scope: 'profile', role: 'dbAdmin' }
+    ],
+    'collect-metrics': [
+        { action: 'serverStatus', scope: 'cluster', role: 'clusterMonitor' },
+        { action: 'listDatabases', scope: 'cluster', role: 'clusterMonitor' },
+        { action: 'dbStats', scope: 'database', role: 'clusterMonitor' },
+        { action: 'collStats', scope: 'database', role: 'clusterMonitor' },
+        { action: 'indexStats', scope: 'database', role: 'clusterMonitor' }
+    ],
+    'schema-scan': [
+        { action: 'listCollections', scope: 'database', role: 'read' },
+        { action: 'find', scope: 'database', role: 'read' }
+    ]
+};
+
+// Function to tell whether a privilege from connectionStatus grants an action on a resource.
+// A system collection such as system.profile is only matched by naming it, as the server does.
+function privilege_grants(privilege, action, resource) {
+    if (!privilege.actions.includes(action)) {
+        return false;
+    }
+    const granted = privilege.resource || {};
+    if (granted.anyResource) {
+        return true;
+    }
+    if (resource.cluster || granted.cluster) {
+        return Boolean(resource.cluster && granted.cluster);
+    }
+    if (granted.db !== '' && granted.db !== resource.db) {
+        return false;
+    }
+    if (resource.collection.startsWith('system.')) {
+        return granted.collection === resource.collection;
+    }
+    return granted.collection === '' || granted.collection === resource.collection;
 }
 
-// Function to calculate memory requirements based on working set size
-function calculate_memory_requirements(mem_stats, db_stats) {
-    // Working Set Size = Total data size + index size
-    let total_data_size = 0;
-    let total_index_size = 0;
-    for (const db in db_stats) {
-        const stats = db_stats[db];
-        total_data_size += stats.dataSize || 0;
-        total_index_size += stats.indexSize || 0;
+// Function to list the privileges a command needs on the selected databases and whether the
+// connected user holds them. Returns null when the connection is not authenticated.
+async function check_privileges(client, command, db_names, options = {}) {
+    const { authInfo } = await client.db('admin').command({ connectionStatus: 1, showPrivileges: true });
+    if (authInfo.authenticatedUsers.length === 0) {
+        return null;
+    }
+    const requirements = [...(COMMAND_PRIVILEGES[command] || [])];
+    const selects_all = options.all_dbs || options.db_regex || String(options.db || '').split(',').some(name => name.trim() === '*');
+    if (selects_all && !requirements.some(requirement => requirement.action === 'listDatabases')) {
+        requirements.push({ action: 'listDatabases', scope: 'cluster', role: 'clusterMonitor' });
     }
-    const working_set_size_bytes = total_data_size + total_index_size;
-    const working_set_size_mb = working_set_size_bytes / (1024 * 1024);
+    if (command === 'profile session' && options.profile_size_mb !== undefined) {
+        requirements.push({ action: 'dropCollection', scope: 'profile', role: 'dbAdmin' }, { action: 'createCollection', scope: 'profile', role: 'dbAdmin' });
+    }
+    const checks = [];
+    for (const { action, scope, role } of requirements) {
+        const resources = scope === 'cluster'
+            ? [{ cluster: true, label: 'the cluster' }]
+            : db_names.map(db => scope === 'profile'
+                ? { db, collection: 'system.profile', label: `${db}.system.profile` }
+                : { db, collection: '', label: `database '${db}'` });
+        for (const resource of resources) {
+            const granted = authInfo.authenticatedUserPrivileges.some(privilege => privilege_grants(privilege, action, resource));
+            checks.push({ action, resource: resource.label, role, granted });
+        }
+    }
+    return { users: authInfo.authenticatedUsers.map(user => `${user.user}@${user.db}`), checks };
+}
 
-    // Memory required with 1.5x buffer
-    const memory_required_mb = Math.ceil(working_set_size_mb * 1.5);
-    return { working_set_size_mb, memory_required_mb };
+// Function to run the pre-check before a command: report the server, the privileges the command needs
+// and whether the user has them, and stop unless every one is granted or --skip-privilege-check is set
+async function verify_privileges(client, command, db_names, options = {}) {
+    const build_info = await client.db('admin').command({ buildInfo: 1 });
+    const hello = await client.db('admin').command({ hello: 1 });
+    const result = await check_privileges(client, command, db_names, options);
+    console.log(`Connected to ${current_host(client, hello)} (MongoDB ${build_info.version})${result ? ` as ${result.users.join(', ')}` : ' without authentication'}.`);
+    if (!result) {
+        return;
+    }
+    console.log(`Privileges needed for '${command}':`);
+    for (const check of result.checks) {
+        console.log(`  ${check.granted ? 'ok     ' : 'missing'} ${check.action} on ${check.resource} (role ${check.role})`);
+    }
+    const missing = result.checks.filter(check => !check.granted);
+    if (missing.length === 0) {
+        return;
+    }
+    const roles = [...new Set(missing.map(check => check.role))].join(', ');
+    if (options.skip_privilege_check) {
+        console.error(`Continuing without ${missing.length} privilege(s) because of --skip-privilege-check.`);
+        return;
+    }
+    throw new CliError(`The user lacks ${missing.length} privilege(s) '${command}' needs; grant the ${roles} role(s) or run with --skip-privilege-check.`, EXIT_CODES.privileges);
 }
 
-// Function to calculate storage requirements with 20% buffer
-function calculate_storage_requirements(db_stats) {
-    let total_storage = 0;
-    for (const db in db_stats) {
-        const stats = db_stats[db];
-        total_storage += stats.totalSize || 0;
+// Function to open a client, run an action against it and always close it
+async function with_client(connection_string, action, client_options = {}) {
+    const client = new MongoClient(connection_string, client_options);
+    try {
+        await client.connect();
+    } catch (error) {
+        await client.close();
+        throw new CliError(`Unable to connect to MongoDB: ${redact_connection_string(error.message)}`, EXIT_CODES.connection);
+    }
+    try {
+        return await action(client);
+    } finally {
+        await client.close();
     }
-    const storage_required_bytes = Math.ceil(total_storage * 1.2); // 20% buffer
-    return storage_required_bytes;
 }
 
-// Function to calculate network bandwidth requirements
-function calculate_network_bandwidth(network_stats, uptime_seconds) {
-    const bytes_in = network_stats.bytesIn || 0;
-    const bytes_out = network_stats.bytesOut || 0;
-    const total_bytes = bytes_in + bytes_out;
+// Function to build a timestamped report name next to the current directory
+function timestamped_base_name(input_file, suffix) {
+    const timestamp = new Date().toISOString().replace(/:/g, '_').replace(/\..+/, '');
+    const base_name = path.basename(input_file, path.extname(input_file));
+    return `${base_name}_${suffix}_${timestamp}`;
+}
 
-    // Convert to MB
-    const total_mb = total_bytes / (1024 * 1024);
+// Function to work out report formats and file names from --report-format, --output-dir,
+// --output-name and --output. A single HTML report honours --output as the exact file name.
+function resolve_report_outputs(options, input_file, suffix) {
+    const formats = [...new Set(String(options.report_format || 'html').split(',').map(format => format.trim().toLowerCase()).filter(Boolean))];
+    const unknown = formats.filter(format => !REPORT_FORMATS.includes(format));
+    if (formats.length === 0 || unknown.length > 0) {
+        throw new CliError(`Unknown report format '${unknown.join(', ')}', expected any of ${REPORT_FORMATS.join(', ')}.`, EXIT_CODES.usage);
+    }
+    if (options.output) {
+        return {
+            formats,
+            dir: options.output_dir || path.dirname(options.output),
+            base: options.output_name || path.basename(options.output, path.extname(options.output)),
+            html_file: formats.length === 1 && !options.output_dir && !options.output_name ? options.output : null
+        };
+    }
+    return { formats, dir: options.output_dir || '.', base: options.output_name || timestamped_base_name(input_file, suffix), html_file: null };
+}
 
-    // Calculate MB/sec based on uptime
-    const network_bandwidth_mb_sec = uptime_seconds > 0 ? total_mb / uptime_seconds : 0;
-    return network_bandwidth_mb_sec;
+// Mode handlers shared by the interactive menu and the CLI
+// Function to pick the export format from --format, --gzip and the output file name
+function cli_export_format(options) {
+    try {
+        return resolve_export_format(options.output, options);
+    } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.usage);
+    }
 }
 
-// Function to calculate connection limits with a 50% buffer
-function calculate_connection_limits(current_connections) {
-    return Math.ceil(current_connections * 1.5);
+// Function to describe the databases and members a profile command targets, for the library functions
+function profiling_target(client, options) {
+    return {
+        client,
+        databases: options.db ? String(options.db).split(',') : [],
+        db_regex: options.db_regex,
+        all_dbs: Boolean(options.all_dbs),
+        all_members: Boolean(options.all_members),
+        uri: options.uri,
+        client_options: options.client_options
+    };
 }
 
-// Function to perform sizing based on collected metrics and dbStats
-function perform_sizing(metrics, db_stats) {
-    // Calculate CPU cores
-    const { total_operations, ops_per_sec, cpu_cores } = calculate_cpu_cores(metrics.opcounters, metrics.uptimeSeconds);
+async function run_profile(action, options) {
+    const settings = action === 'enable' ? profiling_settings_from_options(options) : null;
+    const export_format = action === 'export' ? cli_export_format(options) : null;
+    options = { ...options, client_options: await connection_options(options) };
+    await with_client(options.uri, async client => {
+        await verify_privileges(client, `profile ${action}`, await resolve_target_databases(client, options), options);
+        if (action === 'export') {
+            const { count } = await export_profile({ ...profiling_target(client, options), output: options.output, ...export_format });
+            console.log(`Profiling data exported to '${options.output}' (${count} entries).`);
+        } else {
+            await manage_profiling({ ...profiling_target(client, options), action, settings });
+        }
+    }, options.client_options);
+}
 
-    // Calculate Memory Requirements
-    const { working_set_size_mb, memory_required_mb } = calculate_memory_requirements(metrics.memory, db_stats);
+// Profiling session: remember the profiler settings of every target, apply the requested ones,
+// wait for the duration or operation count, restore the originals and export what was captured.
+// Ctrl-C (SIGINT) or SIGTERM ends the session early but still restores; a second Ctrl-C exits at once.
+async function run_profiling_session(options) {
+    const settings = profiling_settings_from_options(options);
+    const duration_seconds = parse_number_option(options, 'duration', { min: 1 });
+    const max_ops = parse_number_option(options, 'max_ops', { integer: true, min: 1 });
+    const profile_size_mb = parse_number_option(options, 'profile_size_mb', { min: 1 });
+    const export_format = cli_export_format(options);
+
+    const controller = new AbortController();
+    let interrupts = 0;
+    const on_signal = signal => {
+        interrupts++;
+        if (interrupts > 1) {
+            console.error("Interrupted again, exiting without restoring. Restore the settings recorded above manually.");
+            process.exit(130);
+        }
+        console.log(`\nReceived ${signal}, ending the profiling session and restoring the original settings...`);
+        controller.abort();
+    };
 
-    // Calculate Storage Requirements
-    const storage_required_bytes = calculate_storage_requirements(db_stats);
+    options = { ...options, client_options: await connection_options(options) };
+    await with_client(options.uri, async client => {
+        const db_names = await resolve_target_databases(client, options);
+        await verify_privileges(client, 'profile session', db_names, options);
+        if (db_names.length === 0) {
+            throw new CliError("No databases matched the selection.", EXIT_CODES.usage);
+        }
+        process.on('SIGINT', on_signal);
+        process.on('SIGTERM', on_signal);
+        let session;
+        try {
+            session = await profiling_session({
+                ...profiling_target(client, options),
+                output: options.output,
+                ...export_format,
+                settings,
+                duration_seconds,
+                max_ops,
+                profile_size_mb,
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error instanceof MemberConnectionError) {
+                throw new CliError(error.message, EXIT_CODES.connection);
+            }
+            throw error;
+        } finally {
+            process.off('SIGINT', on_signal);
+            process.off('SIGTERM', on_signal);
+        }
+        console.log(`Profiling data exported to '${options.output}' (${session.count} entries).`);
+        if (session.restore_failures > 0) {
+            throw new CliError(`Could not restore the profiler settings of ${session.restore_failures} database(s); see the settings recorded above.`);
+        }
+    }, options.client_options);
+}
 
-    // Calculate Network Bandwidth
-    const network_bandwidth_mb_sec = calculate_network_bandwidth(metrics.network, metrics.uptimeSeconds);
+// Function to load the per-collection statistics and index definitions of a metrics file
+function load_metrics_collections(metrics_file_path) {
+    if (!fs.existsSync(metrics_file_path)) {
+        throw new CliError(`Metrics file '${metrics_file_path}' does not exist.`, EXIT_CODES.input);
+    }
+    const metrics_data = load_metrics_file(metrics_file_path);
+    if (!Array.isArray(metrics_data.collections)) {
+        throw new CliError(`Metrics file '${metrics_file_path}' has no collection statistics; collect it again with collect-metrics.`, EXIT_CODES.input);
+    }
+    return metrics_data.collections;
+}
 
-    // Calculate Connection Limits
-    const connection_limits = calculate_connection_limits(metrics.connections.current);
+async function run_analyze(options) {
+    const profile_file_path = options.input;
+    if (!fs.existsSync(profile_file_path)) {
+        throw new CliError(`${options.log ? 'Log file or directory' : 'Profile file'} does not exist. Please check the path and try again.`, EXIT_CODES.input);
+    }
+    if (!options.log && fs.statSync(profile_file_path).isDirectory()) {
+        throw new CliError(`'${profile_file_path}' is a directory; add --log to read the mongod logs in it.`, EXIT_CODES.input);
+    }
 
-    return {
-        "Total Operations": total_operations,
-        "Uptime (seconds)": metrics.uptimeSeconds,
-        "Operations per Second (OPS/sec)": parseFloat(ops_per_sec.toFixed(2)),
-        "CPU Cores Required": cpu_cores,
-        "Working Set Size (MB)": parseFloat(working_set_size_mb.toFixed(2)),
-        "Memory Required (MB)": memory_required_mb,
-        "Storage Required (Bytes)": storage_required_bytes,
-        "Network Bandwidth Required (MB/sec)": parseFloat(network_bandwidth_mb_sec.toFixed(6)),
-        "Connection Limits": connection_limits
-    };
+    let rule_set;
+    try {
+        rule_set = load_rule_set(options.target || DEFAULT_TARGET, [].concat(options.rules_file || []));
+    } catch (error) {
+        throw new CliError(`Unable to load the compatibility rules: ${error.message}`, EXIT_CODES.input);
+    }
+
+    // Check a schema scan from schema-scan against the same target
+    let schema_scan = null;
+    if (options.schema) {
+        if (!fs.existsSync(options.schema)) {
+            throw new CliError(`Schema scan file '${options.schema}' does not exist.`, EXIT_CODES.input);
+        }
+        try {
+            schema_scan = load_json(options.schema);
+        } catch (error) {
+            throw new CliError(`Schema scan file is not valid JSON: ${error.message}`, EXIT_CODES.input);
+        }
+        if (!Array.isArray(schema_scan.collections)) {
+            throw new CliError(`Schema scan file '${options.schema}' has no 'collections' array.`, EXIT_CODES.input);
+        }
+    }
+
+    // Classify the indexes of a metrics file from collect-metrics and cross-reference the collection scans
+    const index_collections = options.indexes ? load_metrics_collections(options.indexes) : null;
+
+    // A metrics file from collect-metrics sizes the deployment in the same report; its collection
+    // metadata adds the capped collections and GridFS buckets
+    let metrics_data = null;
+    let sized = {};
+    if (options.metrics) {
+        if (!fs.existsSync(options.metrics)) {
+            throw new CliError(`Metrics file '${options.metrics}' does not exist.`, EXIT_CODES.input);
+        }
+        metrics_data = load_metrics_file(options.metrics);
+        sized = await size({ metrics: metrics_data, profile: cli_sizing_profile(options.sizing_profile) });
+    }
+
+    // Analyze the keywords while streaming the file; mongod logs are read for their slow operations
+    const progress = create_progress_reporter('Analyzed');
+    let result;
+    try {
+        result = await analyze({
+            input: profile_file_path,
+            log: Boolean(options.log),
+            rule_set,
+            schema_scan,
+            indexes: index_collections,
+            collections: metrics_data ? metrics_data.collections : index_collections,
+            on_progress: progress.update
+        });
+    } catch (error) {
+        if (error instanceof SyntaxError || error.code === 'Z_DATA_ERROR') {
+            throw new CliError(`Profile file is not valid JSON or NDJSON: ${error.message}`, EXIT_CODES.input);
+        }
+        throw error;
+    } finally {
+        progress.done();
+    }
+    const { analysis, schema, indexes, log_stats } = result;
+    if (log_stats) {
+        console.log(`Read ${log_stats.entries} slow operations from ${log_stats.lines} lines in ${log_stats.files} log file(s).`);
+        if (log_stats.unreadable > 0) {
+            console.log(`${log_stats.unreadable} slow operation lines could not be read, for example because the command was truncated.`);
+        }
+        if (log_stats.entries === 0) {
+            console.log("No slow operations found; mongod only logs operations slower than slowms (default 100 ms), so consider lowering it.");
+        }
+    }
+
+    const outputs = resolve_report_outputs(options, profile_file_path, 'report_advisor');
+
+    // Generate the reports, combined with the sizing when a metrics file was given
+    const written = write_reports({
+        analysis, schema, indexes, input: profile_file_path,
+        metrics: metrics_data, sizing: sized.sizing, recommendation: sized.recommendation, collections: sized.collections
+    }, outputs);
+
+    console.log(`Report has been generated and saved as ${written.map(file => `'${file}'`).join(', ')}.`);
 }
 
-// Function to summarize the sizing calculations
-function summarize_sizing(sizing) {
-    return `
-    <h2>MongoDB Deployment Sizing Recommendations</h2>
-    <table>
-        <tr><td class="left-align">Total Operations</td><td class="center-align">${sizing["Total Operations"]}</td></tr>
-        <tr><td class="left-align">Uptime (seconds)</td><td class="center-align">${sizing["Uptime (seconds)"]}</td></tr>
-        <tr><td class="left-align">Operations per Second (OPS/sec)</td><td class="center-align">${sizing["Operations per Second (OPS/sec)"]}</td></tr>
-        <tr><td class="left-align">CPU Cores Required</td><td class="center-align">${sizing["CPU Cores Required"]}</td></tr>
-        <tr><td class="left-align">Working Set Size (MB)</td><td class="center-align">${sizing["Working Set Size (MB)"]}</td></tr>
-        <tr><td class="left-align">Memory Required (MB)</td><td class="center-align">${sizing["Memory Required (MB)"]}</td></tr>
-        <tr><td class="left-align">Storage Required (Bytes)</td><td class="center-align">${sizing["Storage Required (Bytes)"]}</td></tr>
-        <tr><td class="left-align">Network Bandwidth Required (MB/sec)</td><td class="center-align">${sizing["Network Bandwidth Required (MB/sec)"]}</td></tr>
-        <tr><td class="left-align">Connection Limits</td><td class="center-align">${sizing["Connection Limits"]}</td></tr>
-    </table>
-    `;
-}
-
-// Function to generate the report as an HTML file
-function generate_html_report(supported_dictionary, not_supported_dictionary, supported_commands, not_supported_commands, output_file, metrics = null, sizing = null) {
-    const { total_keywords, total_supported, total_not_supported, supported_percent } = summarize_keywords(supported_dictionary, not_supported_dictionary);
-
-    // Start HTML content
-    let html_content = `
-    <html>
-    <head>
-        <title>MongoDB Advisor Report</title>
-        <style>
-            body { font-family: Arial, sans-serif; margin: 20px; }
-            h1 { color: #333; }
-            h2 { color: #555; }
-            table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
-            th, td { border: 1px solid #ddd; padding: 8px; }
-            th { background-color: #f2f2f2; }
-            td.left-align { text-align: left; }
-            td.center-align { text-align: center; }
-            .summary { background-color: #f9f9f9; padding: 10px; border: 1px solid #ddd; }
-            .collapsible { background-color: #f2f2f2; cursor: pointer; padding: 10px; border: 1px solid #ddd; margin-bottom: 5px; }
-            .content { display: none; padding: 10px; border: 1px solid #ddd; margin-bottom: 10px; }
-            strong { color: red; }
-            pre { white-space: pre-wrap; word-wrap: break-word; }
-        </style>
-    </head>
-    <body>
-        <h1>MongoDB Advisor Report</h1>
-    `;
-
-    // Conditionally include Aggregation Operators Analysis
-   // if (total_keywords > 0) {
-        html_content += `
-        <h2>Summary of Aggregation Operators</h2>
-        <p>Your operators are <strong>${supported_percent.toFixed(2)}%</strong> compatible with MongoDB API.</p>
-        <table>
-            <tr><td class="left-align">Total Aggregation Pipelines</td><td class="center-align">${total_keywords}</td></tr>
-            <tr><td class="left-align">Total Supported Aggregation Pipelines</td><td class="center-align">${total_supported}</td></tr>
-            <tr><td class="left-align">Total Not Supported Aggregation Pipelines</td><td class="center-align">${total_not_supported}</td></tr>
-        </table>
-
-        <h2>Supported Aggregation Operators</h2>
-        <table>
-            <tr><th>Operator</th><th>Count</th></tr>
-            ${Object.entries(supported_dictionary).map(([key, value]) => `<tr><td>${key}</td><td class="center-align">${value}</td></tr>`).join('')}
-        </table>
-
-        <h2>Not Supported Aggregation Operators</h2>
-        <table>
-            <tr><th>Operator</th><th>Count</th></tr>
-            ${Object.entries(not_supported_dictionary).map(([key, value]) => `<tr><td>${key}</td><td class="center-align">${value}</td></tr>`).join('')}
-        </table>
-        `;
-  //  }
-
-    // Conditionally include Sizing Recommendations
-    if (sizing) {
-        html_content += summarize_sizing(sizing);
-    }
-
-    // Conditionally include Supported Commands
-  //  if (supported_commands.length > 0) {
-        html_content += `
-        <h2>Details of Supported Commands</h2>
-        ${supported_commands.map((command, i) => `
-        <div class="collapsible">Supported Command ${i + 1}</div>
-        <div class="content"><pre>${JSON.stringify(command, null, 4)}</pre></div>
-        `).join('')}
-        `;
-  //  }
-
-    // Conditionally include Not Supported Commands
-  //  if (not_supported_commands.length > 0) {
-        html_content += `
-        <h2>Details of Not Supported Commands</h2>
-        ${not_supported_commands.map(({ entry, command_category }, i) => `
-        <div class="collapsible">Not Supported Command ${i + 1}</div>
-        <div class="content"><pre>${highlight_not_supported(JSON.stringify(entry, null, 4), command_category)}</pre></div>
-        `).join('')}
-        `;
-//    }
-
-    // Conditionally include Metrics
-    if (metrics) {
-        html_content += `
-        <h2>Metrics Collected via MongoDB</h2>
-        <pre>${JSON.stringify(metrics, null, 4)}</pre>
-        `;
-    }
-
-    // FAQ Section
-    if (!metrics) {
-    html_content += `
-        <h2>FAQ: Understanding the Compatibility Scores</h2>
-        <div class="collapsible">How is the "Summary of Aggregation Operators" percentage calculated?</div>
-        <div class="content">
-            <p>The "Summary of Aggregation Operators" percentage (e.g., "Your operators are 67.09% compatible with MongoDB API") is calculated based on the ratio of supported aggregation operators to the total aggregation operators (both supported and not supported) found in the MongoDB profiler data.</p>
-            <p>Here's how it works:</p>
-            <ul>
-                <li><strong>Step 1:</strong> Count the total occurrences of supported aggregation operators (found in the <code>supported_keywords</code> list).</li>
-                <li><strong>Step 2:</strong> Count the total occurrences of not supported aggregation operators (found in the <code>not_supported_keywords</code> list).</li>
-                <li><strong>Step 3:</strong> Calculate the total number of aggregation operators: <code>total_keywords = total_supported + total_not_supported</code>.</li>
-                <li><strong>Step 4:</strong> Compute the compatibility percentage: <code>supported_percent = (total_supported / total_keywords) * 100</code>.</li>
-            </ul>
-            <p>For example, if <code>total_supported = 60</code> and <code>total_not_supported = 30</code>, then:</p>
-            <p><code>supported_percent = (60 / (60 + 30)) * 100 = 66.67%</code></p>
-        </div>
-
-        <div class="collapsible">Oracle API Documentation</div>
-        <div class="content">
-            <p>For detailed information about supported MongoDB APIs and operations within Oracle's MongoDB API, please refer to the official Oracle documentation:</p>
-            <p><a href="https://docs.oracle.com/en/database/oracle/mongodb-api/mgapi/support-mongodb-apis-operations-and-data-types-reference.html" target="_blank">Oracle API Documentation</a></p>
-        </div>
-
-        <div class="summary">
-            <p><strong>Note:</strong> Operations not supported. Inserts and updates may not be accurate as they appear more in the log.</p>
-        </div>
-
-        <script>
-            var coll = document.getElementsByClassName("collapsible");
-            for (var i = 0; i < coll.length; i++) {
-                coll[i].addEventListener("click", function() {
-                    this.classList.toggle("active");
-                    var content = this.nextElementSibling;
-                    if (content.style.display === "block") {
-                        content.style.display = "none";
-                    } else {
-                        content.style.display = "block";
-                    }
-                });
-            }
-        </script>
-    </body>
-    </html>
-    `;
+async function run_replay(options) {
+    const profile_file_path = options.input;
+    if (!fs.existsSync(profile_file_path)) {
+        throw new CliError("Profile file does not exist. Please check the path and try again.", EXIT_CODES.input);
+    }
+    const dry_run = Boolean(options.dry_run);
+    const allow_writes = Boolean(options.allow_writes);
+    const rate = parse_number_option(options, 'rate', { min: 0.01 }) || DEFAULT_REPLAY_RATE;
+    const max_ops = parse_number_option(options, 'max_ops', { integer: true, min: 1 });
+    const mapping = parse_ns_map(options.ns_map);
+    const outputs = resolve_report_outputs(options, profile_file_path, 'replay_report');
+    if (outputs.formats.includes('sarif')) {
+        console.log("SARIF holds compatibility findings only and is skipped for replay reports.");
+        outputs.formats = outputs.formats.filter(format => format !== 'sarif');
     }
+    if (allow_writes && !dry_run) {
+        console.log("Writes are enabled: inserts, updates and deletes from the profile will change data on the target.");
+    }
+
+    // Ctrl-C stops the replay; the results so far are still reported
+    const controller = new AbortController();
+    const on_signal = signal => {
+        if (controller.signal.aborted) {
+            process.exit(130);
+        }
+        console.log(`\nReceived ${signal}, stopping the replay...`);
+        controller.abort();
+    };
+
+    const replay = async client => {
+        const progress = create_progress_reporter('Replayed');
+        process.on('SIGINT', on_signal);
+        process.on('SIGTERM', on_signal);
+        try {
+            return await replay_workload(read_profile_entries(profile_file_path, { on_progress: progress.update, typed: true }), client, {
+                mapping, allow_writes, rate, max_ops, dry_run, signal: controller.signal
+            });
+        } catch (error) {
+            if (error instanceof SyntaxError || error.code === 'Z_DATA_ERROR') {
+                throw new CliError(`Profile file is not valid JSON or NDJSON: ${error.message}`, EXIT_CODES.input);
+            }
+            throw error;
+        } finally {
+            progress.done();
+            process.off('SIGINT', on_signal);
+            process.off('SIGTERM', on_signal);
+        }
+    };
+    // The target takes the same TLS and authentication options as the source commands
+    const tally = dry_run
+        ? await replay(null)
+        : await with_client(options.target_uri, replay, await connection_options({ ...options, uri: options.target_uri }));
+
+    const summary = summarize_replay_results(tally, {
+        target: dry_run ? null : redact_connection_string(options.target_uri),
+        dry_run,
+        allow_writes,
+        rate
+    });
+    const written = write_reports({ replay: summary, input: profile_file_path }, outputs);
 
-    // Write the HTML content to the file
-    fs.writeFileSync(output_file, html_content, 'utf8');
+    console.log(summary.verdict);
+    console.log(`Replay report has been generated and saved as ${written.map(file => `'${file}'`).join(', ')}.`);
 }
 
-// MongoDB operations for profiling
-async function enable_profiling(client, db_name) {
-    const db = client.db(db_name);
-    await db.command({ profile: 2 });
-    console.log(`Profiling enabled on database '${db_name}'.`);
+async function run_schema_scan(options) {
+    const sample_size = parse_number_option(options, 'sample_size', { integer: true, min: 1 }) || DEFAULT_SCHEMA_SAMPLE_SIZE;
+    const method = options.sample_method || 'sample';
+    if (!['sample', 'scan'].includes(method)) {
+        throw new CliError(`Invalid value '${method}' for --sample-method, expected 'sample' or 'scan'.`, EXIT_CODES.usage);
+    }
+    const client_options = await connection_options(options);
+    await with_client(options.uri, async client => {
+        const db_names = await resolve_target_databases(client, options);
+        if (db_names.length === 0) {
+            throw new CliError("No databases matched the selection.", EXIT_CODES.usage);
+        }
+        await verify_privileges(client, 'schema-scan', db_names, options);
+        const scan = await scan_schema({ client, databases: db_names, sample_size, method });
+        fs.writeFileSync(options.output, JSON.stringify(scan, null, 4), 'utf8');
+        console.log(`Schema scan of ${scan.collections.length} collections saved to '${options.output}'. Add it to a report with: analyze <profile> --schema ${options.output}`);
+    }, client_options);
 }
 
-async function disable_profiling(client, db_name) {
-    const db = client.db(db_name);
-    await db.command({ profile: 0 });
-    console.log(`Profiling disabled on database '${db_name}'.`);
+async function run_collect_metrics(options) {
+    const duration_seconds = parse_number_option(options, 'duration', { min: 1 });
+    const interval_seconds = parse_number_option(options, 'interval', { min: 1 });
+    const client_options = await connection_options(options);
+    // The pre-check covers every database the metrics are collected from
+    const collect = signal => with_client(options.uri, async client => {
+        const db_names = await resolve_target_databases(client, { all_dbs: true }).catch(() => []);
+        await verify_privileges(client, 'collect-metrics', db_names, options);
+        const metrics = await collect_metrics({ client, interval_seconds, duration_seconds, signal, include_system_dbs: Boolean(options.include_system_dbs) });
+        fs.writeFileSync(options.output, JSON.stringify(metrics, null, 4), 'utf8');
+        console.log(metrics.samples
+            ? `${metrics.samples.length} metrics samples collected and saved to '${options.output}'.`
+            : `Metrics collected and saved to '${options.output}'.`);
+    }, client_options);
+    if (!duration_seconds && !interval_seconds) {
+        await collect(null);
+        return;
+    }
+
+    // Ctrl-C ends the sampling window early; the samples taken so far are still saved
+    const controller = new AbortController();
+    const on_signal = signal => {
+        if (controller.signal.aborted) {
+            process.exit(130);
+        }
+        console.log(`\nReceived ${signal}, ending the sampling window...`);
+        controller.abort();
+    };
+    process.on('SIGINT', on_signal);
+    process.on('SIGTERM', on_signal);
+    try {
+        await collect(controller.signal);
+    } finally {
+        process.off('SIGINT', on_signal);
+        process.off('SIGTERM', on_signal);
+    }
 }
 
-async function purge_profiling_data(client, db_name) {
-    const db = client.db(db_name);
+// Function to load and validate one metrics file
+function load_metrics_file(metrics_file_path) {
+    let metrics_data;
     try {
-        await db.collection('system.profile').drop();
-        console.log(`Profiling data purged from database '${db_name}'.`);
+        metrics_data = load_json(metrics_file_path);
     } catch (error) {
-        if (error.codeName === 'NamespaceNotFound') {
-            console.log(`No profiling data found in database '${db_name}'.`);
-        } else {
-            throw error;
+        throw new CliError(`Metrics file '${metrics_file_path}' is not valid JSON: ${error.message}`, EXIT_CODES.input);
+    }
+
+    // Validate required fields
+    const missing_fields = METRICS_REQUIRED_FIELDS.filter(field => !(field in metrics_data));
+    if (missing_fields.length > 0) {
+        throw new CliError(`Metrics JSON file '${metrics_file_path}' is missing required fields: ${missing_fields.join(', ')}`, EXIT_CODES.input);
+    }
+    return metrics_data;
+}
+
+// Function to load the metrics snapshots of a directory, oldest first. Other JSON files, such as
+// reports written to the same directory, are skipped with a warning.
+function load_metrics_snapshots(directory) {
+    const snapshots = [];
+    for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.json')).sort()) {
+        try {
+            const metrics_data = load_metrics_file(path.join(directory, file));
+            if (Number.isNaN(new Date(metrics_data.timestamp).getTime())) {
+                throw new CliError(`Metrics JSON file '${file}' has no valid timestamp`, EXIT_CODES.input);
+            }
+            snapshots.push(metrics_data);
+        } catch (error) {
+            console.error(`Skipping '${file}': ${error.message}`);
         }
     }
+    return snapshots.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 }
 
-async function export_profiling_data(client, db_name, output_file) {
-    const db = client.db(db_name);
-    const profiling_data = await db.collection('system.profile').find().toArray();
-    fs.writeFileSync(output_file, JSON.stringify(profiling_data, null, 4), 'utf8');
-    console.log(`Profiling data exported to '${output_file}'.`);
+async function run_size(options) {
+    const metrics_file_path = options.input;
+    if (!fs.existsSync(metrics_file_path)) {
+        throw new CliError("Metrics file does not exist. Please check the path and try again.", EXIT_CODES.input);
+    }
+
+    // A directory of snapshots is sized from the latest one and forecast from all of them
+    let metrics_data;
+    let snapshots = null;
+    if (fs.statSync(metrics_file_path).isDirectory()) {
+        snapshots = load_metrics_snapshots(metrics_file_path);
+        const distinct_times = new Set(snapshots.map(snapshot => new Date(snapshot.timestamp).getTime()));
+        if (distinct_times.size < 2) {
+            throw new CliError(`Directory '${metrics_file_path}' needs at least two metrics snapshots taken at different times for a forecast.`, EXIT_CODES.input);
+        }
+        metrics_data = snapshots[snapshots.length - 1];
+        console.log(`Loaded ${snapshots.length} metrics snapshots from '${metrics_file_path}'.`);
+    } else {
+        metrics_data = load_metrics_file(metrics_file_path);
+    }
+
+    const outputs = resolve_report_outputs(options, metrics_file_path, 'sizing_report');
+    if (outputs.formats.includes('sarif')) {
+        console.log("SARIF holds compatibility findings only and is skipped for sizing reports.");
+        outputs.formats = outputs.formats.filter(format => format !== 'sarif');
+    }
+
+    // Perform sizing and map it onto the profile's target service
+    const { sizing, recommendation, collections, forecast } = await size({ metrics: metrics_data, snapshots, profile: cli_sizing_profile(options.sizing_profile) });
+
+    // Generate the reports with sizing only (no operators)
+    const written = write_reports({ metrics: metrics_data, sizing, recommendation, collections, forecast, input: metrics_file_path }, outputs);
+
+    console.log(`Sizing report has been generated and saved as ${written.map(file => `'${file}'`).join(', ')}.`);
 }
 
-// Function to collect cumulative metrics since the last reset of the database
-async function collect_lifetime_metrics(client, output_file) {
-    const adminDb = client.db('admin');
+// Function to load the sizing profile named by --sizing-profile
+function cli_sizing_profile(sizing_profile) {
+    try {
+        return load_sizing_profile(sizing_profile || DEFAULT_SIZING_PROFILE);
+    } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.input);
+    }
+}
 
-    // Get server status with necessary fields
-    const serverStatus = await adminDb.command({ serverStatus: 1, repl: 1, wiredTiger: 1 });
+// Function to load an analysis report written with --report-format json
+function load_analysis_report(report_file_path) {
+    if (!fs.existsSync(report_file_path)) {
+        throw new CliError(`Report file '${report_file_path}' does not exist.`, EXIT_CODES.input);
+    }
+    let document;
+    try {
+        document = load_json(report_file_path);
+    } catch (error) {
+        throw new CliError(`Report file '${report_file_path}' is not valid JSON: ${error.message}`, EXIT_CODES.input);
+    }
+    if (!document.schema_version || !document.analysis) {
+        throw new CliError(`'${report_file_path}' is not a JSON analysis report; write one with 'analyze --report-format json'.`, EXIT_CODES.input);
+    }
+    if (document.schema_version.split('.')[0] !== REPORT_SCHEMA_VERSION.split('.')[0]) {
+        throw new CliError(`Report file '${report_file_path}' has schema version ${document.schema_version}, expected ${REPORT_SCHEMA_VERSION.split('.')[0]}.x.`, EXIT_CODES.input);
+    }
+    return document;
+}
 
-    // Get cumulative metrics
-    const metrics = {
-        timestamp: new Date().toISOString(),
-        uptimeSeconds: serverStatus.uptime, // Uptime in seconds
-        connections: serverStatus.connections,
-        opcounters: serverStatus.opcounters, // Cumulative operation counters
-        opcountersRepl: serverStatus.opcountersRepl, // For replica sets
-        network: serverStatus.network, // Network statistics
-        mem: serverStatus.mem, // Memory usage
-        extra_info: serverStatus.extra_info, // May include CPU info on some platforms
-        metrics: serverStatus.metrics, // Detailed metrics
-        wiredTiger: serverStatus.wiredTiger, // WiredTiger engine stats
-        logicalSessionRecordCache: serverStatus.logicalSessionRecordCache, // Session information
-        // Add other relevant fields as needed
-    };
+// Function to load the sizing of one side of a comparison: a JSON sizing report is used as it is,
+// a metrics file is sized with the sizing profile
+async function load_comparison_sizing(file_path, profile) {
+    if (!fs.existsSync(file_path)) {
+        throw new CliError(`Metrics file '${file_path}' does not exist.`, EXIT_CODES.input);
+    }
+    let document;
+    try {
+        document = load_json(file_path);
+    } catch (error) {
+        throw new CliError(`'${file_path}' is not valid JSON: ${error.message}`, EXIT_CODES.input);
+    }
+    if (document.schema_version) {
+        if (!document.sizing) {
+            throw new CliError(`Report file '${file_path}' holds no sizing; use a metrics file or a JSON report from 'size'.`, EXIT_CODES.input);
+        }
+        return { sizing: document.sizing, recommendation: document.recommendation };
+    }
+    const { sizing, recommendation } = await size({ metrics: load_metrics_file(file_path), profile });
+    return { sizing: sizing_document(sizing), recommendation };
+}
 
-    // Get database statistics
-    const databases = await adminDb.admin().listDatabases();
+async function run_compare(options) {
+    const baseline = load_analysis_report(options.baseline);
+    const current = load_analysis_report(options.input);
+    const comparison = compare_analyses(baseline, current);
 
-    const dbStats = {};
-    for (const dbInfo of databases.databases) {
-        const db = client.db(dbInfo.name);
-        const stats = await db.command({ dbStats: 1, scale: 1 });
-        dbStats[dbInfo.name] = stats;
+    // Sizing changes when metrics or sizing reports of both runs are given
+    if (Boolean(options.baseline_metrics) !== Boolean(options.metrics)) {
+        throw new CliError("Sizing changes need both --baseline-metrics and --metrics.", EXIT_CODES.usage);
+    }
+    if (options.metrics) {
+        const profile = cli_sizing_profile(options.sizing_profile);
+        comparison.sizing = compare_sizing(await load_comparison_sizing(options.baseline_metrics, profile), await load_comparison_sizing(options.metrics, profile));
     }
 
-    // Include database stats
-    metrics.dbStats = dbStats;
+    const outputs = resolve_report_outputs(options, options.input, 'comparison');
+    if (outputs.formats.includes('sarif')) {
+        console.log("SARIF holds compatibility findings of one run and is skipped for comparison reports.");
+        outputs.formats = outputs.formats.filter(format => format !== 'sarif');
+    }
+    const written = write_reports({ comparison, input: options.input }, outputs);
 
-    fs.writeFileSync(output_file, JSON.stringify(metrics, null, 4), 'utf8');
-    console.log(`Metrics collected and saved to '${output_file}'.`);
+    const { summary, progress } = comparison;
+    console.log(`Operator compatibility went from ${summary.baseline.supported_percent}% to ${summary.current.supported_percent}%; ${progress.resolved_shapes} shape(s) resolved, ${progress.new_shapes} new, ${progress.remaining_shapes} remaining.`);
+    console.log(`Comparison report has been generated and saved as ${written.map(file => `'${file}'`).join(', ')}.`);
 }
 
+// Function to run a single subcommand from command line arguments, returns the exit code
+async function run_cli(argv) {
+    const { parseArgs } = require('util');
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        console.error(error.message);
+        console.error("Run with --help for usage.");
+        return EXIT_CODES.usage;
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help || positionals.length === 0) {
+        console.log(cli_help());
+        return positionals.length === 0 && !values.help ? EXIT_CODES.usage : EXIT_CODES.success;
+    }
 
-// Main function
-async function main() {
-    const readline = require('readline');
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-    });
+    const [name, ...rest] = positionals;
+    const command = name === 'profile' ? `profile ${rest.shift() || ''}`.trim() : name;
+    if (!(command in COMMAND_REQUIREMENTS)) {
+        console.error(`Unknown command '${command}'.`);
+        console.error("Run with --help for usage.");
+        return EXIT_CODES.usage;
+    }
 
-    function question(query) {
-        return new Promise(resolve => rl.question(query, resolve));
+    try {
+        const options = resolve_options(values);
+        // Compare takes the baseline report first: `compare before.json after.json`
+        if (command === 'compare' && options.baseline === undefined && rest.length > 1) {
+            options.baseline = rest.shift();
+        }
+        // Allow the input file as a positional argument: `analyze profile.json`
+        if (options.input === undefined && rest.length > 0) {
+            options.input = rest.shift();
+        }
+        if (rest.length > 0) {
+            throw new CliError(`Unexpected argument '${rest[0]}'.`, EXIT_CODES.usage);
+        }
+        require_options(command, options);
+
+        if (command === 'profile session') {
+            await run_profiling_session(options);
+        } else if (command.startsWith('profile ')) {
+            await run_profile(command.split(' ')[1], options);
+        } else if (command === 'analyze') {
+            await run_analyze(options);
+        } else if (command === 'collect-metrics') {
+            await run_collect_metrics(options);
+        } else if (command === 'size') {
+            await run_size(options);
+        } else if (command === 'replay') {
+            await run_replay(options);
+        } else if (command === 'schema-scan') {
+            await run_schema_scan(options);
+        } else if (command === 'compare') {
+            await run_compare(options);
+        }
+        return EXIT_CODES.success;
+    } catch (error) {
+        console.error(`Error running '${command}':`, redact_connection_string(error.message));
+        return error instanceof CliError ? error.exit_code : EXIT_CODES.failure;
     }
+}
+
+// Function to run the interactive menu
+async function run_interactive() {
+    const prompt = create_prompt();
+    const question = prompt.question;
 
     // Prompt user for mode
     console.log("Select an operation mode:");
@@ -470,136 +1264,133 @@ async function main() {
     console.log("5: Analyze a MongoDB profile JSON file");
     console.log("6: Collect historical metrics via MongoDB native commands");
     console.log("7: Perform sizing based on a metrics JSON file");
+    console.log("8: Run a profiling session that restores the original profiler settings afterwards");
+    console.log("9: Replay an exported profile against a target endpoint");
+    console.log("10: Scan collections for data type and document structure problems");
+    console.log("11: Compare two analysis runs to track remediation progress");
 
     const mode = await question("Enter the mode number: ");
+    const connection_prompt = "Enter the MongoDB connection string without credentials (e.g., mongodb://localhost:27017/?tls=true&tlsCAFile=ca.pem): ";
+    const database_prompt = "Enter the database name(s), comma-separated, or * for all non-system databases: ";
+    const members_prompt = "Apply to every replica set / shard member? (y/N): ";
+    const yes = answer => /^y(es)?$/i.test(answer.trim());
+
+    // Function to ask for the connection string and user; the password is read without echo
+    async function ask_connection(query = connection_prompt) {
+        const uri = await question(query);
+        const username = (await question("Enter the username (empty: no authentication or set in the environment): ")).trim() || undefined;
+        const password = username && !process.env[SECRET_ENV.password] ? await prompt.secret(`Enter the password for '${username}': `) : undefined;
+        return { uri, username, password };
+    }
 
     // Handle different modes
-    if (mode === "1") {
-        // Enable profiling
-        const connection_string = await question("Enter the MongoDB connection string (e.g., mongodb://localhost:27017): ");
-        const client = new MongoClient(connection_string);
-        try {
-            await client.connect();
-            const db_name = await question("Enter the database name: ");
-            await enable_profiling(client, db_name);
-        } catch (error) {
-            console.error("Error enabling profiling:", error.message);
-        } finally {
-            await client.close();
-        }
-    } else if (mode === "2") {
-        // Disable profiling
-        const connection_string = await question("Enter the MongoDB connection string (e.g., mongodb://localhost:27017): ");
-        const client = new MongoClient(connection_string);
-        try {
-            await client.connect();
-            const db_name = await question("Enter the database name: ");
-            await disable_profiling(client, db_name);
-        } catch (error) {
-            console.error("Error disabling profiling:", error.message);
-        } finally {
-            await client.close();
-        }
-    } else if (mode === "3") {
-        // Purge profiling data
-        const connection_string = await question("Enter the MongoDB connection string (e.g., mongodb://localhost:27017): ");
-        const client = new MongoClient(connection_string);
-        try {
-            await client.connect();
-            const db_name = await question("Enter the database name: ");
-            await purge_profiling_data(client, db_name);
-        } catch (error) {
-            console.error("Error purging profiling data:", error.message);
-        } finally {
-            await client.close();
-        }
-    } else if (mode === "4") {
-        // Export profiling data
-        const connection_string = await question("Enter the MongoDB connection string (e.g., mongodb://localhost:27017): ");
-        const client = new MongoClient(connection_string);
-        try {
-            await client.connect();
-            const db_name = await question("Enter the database name: ");
-            const output_file = await question("Enter the output JSON file name (e.g., profiling_data.json): ");
-            await export_profiling_data(client, db_name, output_file);
-        } catch (error) {
-            console.error("Error exporting profiling data:", error.message);
-        } finally {
-            await client.close();
-        }
-    } else if (mode === "5") {
-        // Analyze profiling data
-        const profile_file_path = await question("Enter the path to the MongoDB profile JSON file: ");
-        if (!fs.existsSync(profile_file_path)) {
-            console.log("Profile file does not exist. Please check the path and try again.");
-            rl.close();
-            return;
-        }
-        const profile_data = load_json(profile_file_path);
-
-        // Analyze the keywords in the JSON data
-        const { supported_dictionary, not_supported_dictionary, supported_commands, not_supported_commands } = analyze_keywords(profile_data);
-
-        // Create the output file name with timestamp
-        const timestamp = new Date().toISOString().replace(/:/g, '_').replace(/\..+/, '');
-        const base_name = path.basename(profile_file_path, path.extname(profile_file_path));
-        const output_file = `${base_name}_report_advisor_${timestamp}.html`;
-
-        // Generate HTML report without sizing
-        generate_html_report(supported_dictionary, not_supported_dictionary, supported_commands, not_supported_commands, output_file, null, null);
-
-        console.log(`HTML report has been generated and saved as '${output_file}'.`);
-    } else if (mode === "6") {
-        // Collect historical metrics
-        const connection_string = await question("Enter the MongoDB connection string (e.g., mongodb://localhost:27017): ");
-        const client = new MongoClient(connection_string);
-        try {
-            await client.connect();
-            const output_file = await question("Enter the output JSON file name for metrics (e.g., metrics.json): ");
-            await collect_lifetime_metrics(client, output_file);
-        } catch (error) {
-            console.error("Error collecting metrics:", error.message);
-        } finally {
-            await client.close();
-        }
-    } else if (mode === "7") {
-        // Perform sizing based on metrics JSON file
-        const metrics_file_path = await question("Enter the path to the metrics JSON file: ");
-        if (!fs.existsSync(metrics_file_path)) {
-            console.log("Metrics file does not exist. Please check the path and try again.");
-            rl.close();
-            return;
-        }
-        const metrics_data = load_json(metrics_file_path);
-
-        // Validate required fields
-        const required_fields = ['opcounters', 'uptimeSeconds', 'connections', 'mem', 'network', 'dbStats'];
-        const missing_fields = required_fields.filter(field => !(field in metrics_data));
-        if (missing_fields.length > 0) {
-            console.log(`Metrics JSON file is missing required fields: ${missing_fields.join(', ')}`);
-            rl.close();
-            return;
+    try {
+        if (mode === "1") {
+            // Enable profiling
+            const connection = await ask_connection();
+            const db = await question(database_prompt);
+            const all_members = yes(await question(members_prompt));
+            await run_profile('enable', { ...connection, db, all_members });
+        } else if (mode === "2") {
+            // Disable profiling
+            const connection = await ask_connection();
+            const db = await question(database_prompt);
+            const all_members = yes(await question(members_prompt));
+            await run_profile('disable', { ...connection, db, all_members });
+        } else if (mode === "3") {
+            // Purge profiling data
+            const connection = await ask_connection();
+            const db = await question(database_prompt);
+            const all_members = yes(await question(members_prompt));
+            await run_profile('purge', { ...connection, db, all_members });
+        } else if (mode === "4") {
+            // Export profiling data
+            const connection = await ask_connection();
+            const db = await question(database_prompt);
+            const all_members = yes(await question(members_prompt));
+            const output = await question("Enter the output file name (e.g., profiling_data.json, profiling_data.ndjson.gz): ");
+            await run_profile('export', { ...connection, db, all_members, output });
+        } else if (mode === "5") {
+            // Analyze profiling data
+            const input = await question("Enter the path to the MongoDB profile JSON/NDJSON file (optionally .gz), or to mongod logs: ");
+            const log = /^y/i.test(await question("Is this a mongod log file or a directory of logs? (y/N): ")) || undefined;
+            const target = (await question(`Enter the compatibility target (${list_rule_sets().map(rule_set => rule_set.id).join(', ')}; default ${DEFAULT_TARGET}): `)).trim() || undefined;
+            const schema = (await question("Enter the path to a schema scan file to include (empty: none): ")).trim() || undefined;
+            const indexes = (await question("Enter the path to a metrics file to check its indexes (empty: none): ")).trim() || undefined;
+            const report_format = (await question(`Enter the report formats (${REPORT_FORMATS.join(', ')}; default html): `)).trim() || undefined;
+            await run_analyze({ input, log, target, schema, indexes, report_format });
+        } else if (mode === "6") {
+            // Collect historical metrics
+            const connection = await ask_connection();
+            const output = await question("Enter the output JSON file name for metrics (e.g., metrics.json): ");
+            const duration = (await question("Enter the sampling window in seconds (empty: single cumulative snapshot): ")).trim() || undefined;
+            const interval = duration ? (await question(`Enter the sampling interval in seconds (default ${DEFAULT_SAMPLE_INTERVAL_SECONDS}): `)).trim() || undefined : undefined;
+            await run_collect_metrics({ ...connection, output, duration, interval });
+        } else if (mode === "7") {
+            // Perform sizing based on metrics JSON file
+            const input = await question("Enter the path to the metrics JSON file, or a directory of snapshots for a growth forecast: ");
+            const sizing_profile = (await question(`Enter the sizing profile (${list_sizing_profiles().map(profile => profile.id).join(', ')}; default ${DEFAULT_SIZING_PROFILE}): `)).trim() || undefined;
+            const report_format = (await question("Enter the report formats (html, json, csv; default html): ")).trim() || undefined;
+            await run_size({ input, sizing_profile, report_format });
+        } else if (mode === "8") {
+            // Profiling session with automatic restore
+            const connection = await ask_connection();
+            const db = await question(database_prompt);
+            const all_members = yes(await question(members_prompt));
+            const level = (await question("Enter the profiling level, 1 or 2 (default 2): ")).trim() || undefined;
+            const sample_rate = (await question("Enter the sample rate between 0 and 1 (default: keep current): ")).trim() || undefined;
+            const duration = (await question("Enter the session duration in seconds (empty: until Ctrl-C or operation count): ")).trim() || undefined;
+            const max_ops = (await question("Enter the number of operations to capture (empty: no limit): ")).trim() || undefined;
+            const output = await question("Enter the output file name (e.g., profiling_data.json, profiling_data.ndjson.gz): ");
+            // Release the terminal so Ctrl-C reaches the session instead of readline
+            prompt.close();
+            await run_profiling_session({ ...connection, db, all_members, level, sample_rate, duration, max_ops, output });
+        } else if (mode === "9") {
+            // Replay exported workload against a target endpoint
+            const input = await question("Enter the path to the MongoDB profile JSON/NDJSON file (optionally .gz): ");
+            const dry_run = yes(await question("Dry run, only list the commands that would be sent? (y/N): "));
+            const target = dry_run ? {} : await ask_connection("Enter the target connection string without credentials (e.g., an Oracle MongoDB API URL): ");
+            const allow_writes = !dry_run && yes(await question("Replay writes as well? This changes data on the target (y/N): "));
+            const ns_map = (await question("Enter namespace mappings, e.g. sales=sales_test (empty: none): ")).trim() || undefined;
+            const rate = (await question(`Enter the maximum commands per second (default ${DEFAULT_REPLAY_RATE}): `)).trim() || undefined;
+            prompt.close();
+            await run_replay({ input, dry_run, target_uri: target.uri, username: target.username, password: target.password, allow_writes, ns_map, rate });
+        } else if (mode === "10") {
+            // Sample documents for the data type and structure scan
+            const connection = await ask_connection();
+            const db = await question(database_prompt);
+            const sample_size = (await question(`Enter the number of documents to sample per collection (default ${DEFAULT_SCHEMA_SAMPLE_SIZE}): `)).trim() || undefined;
+            const output = await question("Enter the output JSON file name for the scan (e.g., schema_scan.json): ");
+            await run_schema_scan({ ...connection, db, sample_size, output });
+        } else if (mode === "11") {
+            // Compare two JSON analysis reports, optionally with the metrics of both runs
+            const baseline = await question("Enter the path to the baseline JSON analysis report: ");
+            const input = await question("Enter the path to the current JSON analysis report: ");
+            const baseline_metrics = (await question("Enter the path to the baseline metrics file (empty: no sizing changes): ")).trim() || undefined;
+            const metrics = baseline_metrics ? await question("Enter the path to the current metrics file: ") : undefined;
+            await run_compare({ baseline, input, baseline_metrics, metrics });
+        } else {
+            console.log("Invalid mode selected.");
         }
-
-        // Perform sizing
-        const sizing = perform_sizing(metrics_data, metrics_data.dbStats);
-
-        // Create the output file name with timestamp
-        const timestamp = new Date().toISOString().replace(/:/g, '_').replace(/\..+/, '');
-        const base_name = path.basename(metrics_file_path, path.extname(metrics_file_path));
-        const output_file = `${base_name}_sizing_report_${timestamp}.html`;
-
-        // Generate HTML report with sizing only (no aggregation operators)
-        generate_html_report({}, {}, [], [], output_file, metrics_data, sizing);
-
-        console.log(`Sizing report has been generated and saved as '${output_file}'.`);
-    } else {
-        console.log("Invalid mode selected.");
+    } catch (error) {
+        console.error("Error:", redact_connection_string(error.message));
+    } finally {
+        prompt.close();
     }
+}
 
-    rl.close();
+// Main function
+async function main(argv = process.argv.slice(2)) {
+    if (argv.length === 0) {
+        await run_interactive();
+        return EXIT_CODES.success;
+    }
+    return run_cli(argv);
 }
 
-main().catch(err => {
-    console.error("An error occurred:", err);
+main().then(exit_code => {
+    process.exitCode = exit_code;
+}).catch(err => {
+    console.error("An error occurred:", redact_connection_string(err && err.stack || err));
+    process.exitCode = EXIT_CODES.failure;
 });
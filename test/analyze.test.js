@@ -0,0 +1,195 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { analyze, load_rule_set, read_log_entries, read_profile_entries } = require('..');
+
+const PROFILE = path.join(__dirname, 'fixtures', 'profile.json');
+const MONGOD_LOG = path.join(__dirname, 'fixtures', 'mongod.log');
+
+test('analyze counts supported and not supported entries and operators of a profile', async () => {
+    const { analysis, schema, indexes, log_stats } = await analyze({ input: PROFILE });
+
+    assert.deepEqual(analysis.command_totals, { supported: 3, not_supported: 3 });
+    assert.deepEqual(analysis.not_supported_dictionary, { $elemMatch: 1, $lookup: 1, $unwind: 1, $setOnInsert: 1 });
+    assert.deepEqual(analysis.supported_dictionary, { $gt: 2, $gte: 1, $match: 1, $set: 1 });
+    assert.deepEqual(analysis.unknown_dictionary, {});
+    assert.equal(analysis.target.id, 'oracle-23ai');
+    assert.equal(analysis.operator_contexts.stage.$lookup.status, 'not_supported');
+    assert.equal(analysis.operator_contexts.update.$set.status, 'supported');
+    assert.equal(schema, null);
+    assert.equal(indexes, null);
+    assert.equal(log_stats, null);
+});
+
+test('analyze groups executions that differ only in their values into ranked query shapes', async () => {
+    const { analysis } = await analyze({ input: PROFILE });
+    const shapes = analysis.query_shapes;
+
+    assert.equal(shapes.length, 5);
+    assert.deepEqual(shapes.map(shape => shape.total_millis), [120, 35, 6, 3, 1]);
+    const finds = shapes.find(shape => shape.count === 2);
+    assert.equal(finds.ns, 'shop.orders');
+    assert.equal(finds.docs_examined, 13);
+    assert.deepEqual(finds.not_supported_operators, []);
+    assert.deepEqual(shapes[0].not_supported_operators, ['$lookup', '$unwind']);
+});
+
+test('analyze suggests rewrites for the not supported operators of each shape', async () => {
+    const { analysis } = await analyze({ input: PROFILE });
+    const suggested = Object.fromEntries(analysis.query_shapes.map(shape => [shape.fingerprint, shape.remediations.map(remediation => remediation.operator)]));
+    const [aggregate, elem_match] = analysis.query_shapes;
+
+    assert.deepEqual(suggested[aggregate.fingerprint], ['$lookup', '$unwind']);
+    assert.deepEqual(suggested[elem_match.fingerprint], ['$elemMatch']);
+    assert.match(elem_match.remediations[0].after, /JSON_EXISTS/);
+    assert.ok(analysis.operator_contexts.update.$setOnInsert.remediation.suggestion);
+    assert.equal(analysis.operator_contexts.update.$set.remediation, null);
+});
+
+test('analyze judges operators by the position they take', async () => {
+    const { analysis } = await analyze({
+        entries: [
+            { op: 'command', ns: 'shop.orders', command: { aggregate: 'orders', pipeline: [{ $group: { _id: '$status', total: { $sum: '$qty' } } }, { $sort: { total: -1 } }] } },
+            { op: 'command', ns: 'shop.orders', command: { aggregate: 'orders', pipeline: [{ $project: { t: { $sum: ['$qty', '$extra'] } } }] } },
+            { op: 'update', ns: 'shop.orders', command: { q: { _id: 1 }, u: { $push: { events: { $each: [1], $sort: -1, $slice: 10 } } } } }
+        ]
+    });
+    const contexts = analysis.operator_contexts;
+
+    assert.equal(contexts.accumulator.$sum.status, 'supported');
+    assert.equal(contexts.expression.$sum.status, 'not_supported');
+    assert.equal(contexts.stage.$sort.status, 'supported');
+    assert.equal(contexts.update.$sort.status, 'supported');
+    assert.match(contexts.update.$sort.note, /modifier/);
+    assert.deepEqual(analysis.command_totals, { supported: 2, not_supported: 1 });
+});
+
+test('analyze counts the operators of a cursor once, however many getmore batches it takes', async () => {
+    const find = { find: 'orders', filter: { items: { $elemMatch: { sku: 'A1', qty: { $gt: 1 } } } } };
+    const { analysis } = await analyze({
+        entries: [
+            { op: 'query', ns: 'shop.orders', command: find, millis: 10, planSummary: 'COLLSCAN', appName: 'storefront' },
+            { op: 'getmore', ns: 'shop.orders', command: { getMore: 1, collection: 'orders' }, originatingCommand: find, millis: 4, planSummary: 'COLLSCAN', appName: 'storefront' },
+            { op: 'getmore', ns: 'shop.orders', command: { getMore: 1, collection: 'orders' }, originatingCommand: find, millis: 6, planSummary: 'COLLSCAN', appName: 'storefront' }
+        ]
+    });
+
+    assert.deepEqual(analysis.not_supported_dictionary, { $elemMatch: 1 });
+    assert.deepEqual(analysis.supported_dictionary, { $gt: 1 });
+    assert.deepEqual(analysis.command_totals, { supported: 0, not_supported: 1 });
+    assert.equal(analysis.op_types.getmore.entries, 2);
+    assert.equal(analysis.attribution.application[0].entries, 1);
+
+    const [shape] = analysis.query_shapes;
+    assert.equal(analysis.query_shapes.length, 1);
+    assert.deepEqual([shape.op, shape.count, shape.getmores, shape.total_millis], ['query', 1, 2, 20]);
+    assert.deepEqual(shape.plan_summaries, { COLLSCAN: 1 });
+    assert.deepEqual(shape.not_supported_operators, ['$elemMatch']);
+});
+
+test('analyze attributes entries to applications and users', async () => {
+    const { analysis } = await analyze({ input: PROFILE });
+    const applications = Object.fromEntries(analysis.attribution.application.map(group => [group.name, group]));
+
+    assert.equal(applications.storefront.entries, 4);
+    assert.equal(applications.storefront.not_supported, 1);
+    assert.equal(applications.reporting.entries, 2);
+    assert.equal(applications.reporting.readiness, 0);
+});
+
+test('analyze reads NDJSON and gzipped profiles like JSON arrays', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oee-analyze-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const entries = JSON.parse(fs.readFileSync(PROFILE, 'utf8'));
+    const ndjson = path.join(dir, 'profile.ndjson.gz');
+    fs.writeFileSync(ndjson, zlib.gzipSync(entries.map(entry => JSON.stringify(entry)).join('\n')));
+
+    const expected = await analyze({ input: PROFILE });
+    const { analysis } = await analyze({ input: ndjson });
+    assert.deepEqual(analysis.command_totals, expected.analysis.command_totals);
+    assert.deepEqual(analysis.query_shapes.map(shape => shape.fingerprint), expected.analysis.query_shapes.map(shape => shape.fingerprint));
+});
+
+test('analyze takes entries from any iterable instead of a file', async () => {
+    const entries = [];
+    for await (const entry of read_profile_entries(PROFILE)) {
+        entries.push(entry);
+    }
+    const { analysis } = await analyze({ entries });
+    assert.deepEqual(analysis.command_totals, { supported: 3, not_supported: 3 });
+});
+
+test('analyze reads the slow operations of mongod logs', async () => {
+    const { analysis, log_stats } = await analyze({ input: MONGOD_LOG, log: true });
+
+    assert.deepEqual(log_stats, { files: 1, lines: 3, entries: 2, unreadable: 0 });
+    assert.deepEqual(analysis.command_totals, { supported: 1, not_supported: 1 });
+    assert.deepEqual(analysis.not_supported_dictionary, { $unwind: 1 });
+});
+
+test('read_log_entries reports progress on unreadable lines too', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oee-log-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const log = path.join(dir, 'mongod.log');
+    fs.writeFileSync(log, '{"t":\n'.repeat(2000));
+
+    const progress = [];
+    const stats = {};
+    for await (const entry of read_log_entries(log, { on_progress: update => progress.push(update), stats })) {
+        assert.fail(`unexpected entry ${JSON.stringify(entry)}`);
+    }
+    assert.equal(stats.unreadable, 2000);
+    assert.equal(progress.length, 2);
+});
+
+test('analyze applies override rule files on top of the target', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oee-rules-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const override = path.join(dir, 'overrides.json');
+    fs.writeFileSync(override, JSON.stringify({
+        id: 'overrides',
+        rules: [{ operator: '$lookup', status: 'supported' }],
+        remediations: [{ operator: '$unwind', suggestion: 'Flatten the array in the application.' }]
+    }));
+
+    const { analysis } = await analyze({ input: PROFILE, rules_files: [override] });
+    assert.equal(analysis.operator_contexts.stage.$lookup.status, 'supported');
+    assert.deepEqual(analysis.query_shapes[0].not_supported_operators, ['$unwind']);
+    assert.equal(analysis.query_shapes[0].remediations[0].suggestion, 'Flatten the array in the application.');
+    assert.deepEqual(analysis.target.sources.map(source => source.id), ['oracle-23ai', 'overrides']);
+});
+
+test('analyze judges operators against other targets', async () => {
+    const rule_set = load_rule_set('mongodb-4.4');
+    const { analysis } = await analyze({ input: PROFILE, rule_set });
+    assert.equal(analysis.target.id, 'mongodb-4.4');
+    assert.deepEqual(analysis.command_totals, { supported: 6, not_supported: 0 });
+});
+
+test('analyze judges operators against rule sets that extend another', async () => {
+    const rule_set = load_rule_set('oracle-19c');
+    const { analysis } = await analyze({
+        entries: [{ op: 'command', ns: 'shop.orders', command: { aggregate: 'orders', pipeline: [{ $group: { _id: '$status', total: { $sum: '$qty' } } }, { $sort: { total: -1 } }] } }],
+        rule_set
+    });
+
+    assert.deepEqual(analysis.target.sources.map(source => source.id), ['oracle-23ai', 'oracle-19c']);
+    assert.equal(analysis.operator_contexts.accumulator.$sum.status, 'unknown');
+    assert.match(analysis.operator_contexts.accumulator.$sum.note, /19c/);
+    assert.equal(analysis.operator_contexts.stage.$group.status, 'supported');
+    assert.equal(rule_set.lookup('$lookup', 'stage').status, 'not_supported');
+});
+
+test('analyze rejects profiles that are not valid JSON', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oee-invalid-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const invalid = path.join(dir, 'profile.json');
+    fs.writeFileSync(invalid, '[{"op": "query",');
+
+    await assert.rejects(analyze({ input: invalid }), SyntaxError);
+    await assert.rejects(analyze({}), /needs an 'input' file or 'entries'/);
+});
@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Code, Decimal128, Long } = require('mongodb');
+
+const { analyze, collect_metrics, scan_schema, size } = require('..');
+const { create_fake_client } = require('./fake_client');
+
+const QUIET = { log() {}, error() {} };
+
+// Function to create a stand-in holding one shop database
+function shop_client() {
+    return create_fake_client({
+        databases: {
+            shop: {
+                orders: {
+                    documents: [
+                        { _id: 1, status: 'open', total: Decimal128.fromString('12.50'), items: [{ sku: 'A1', qty: 2 }] },
+                        { _id: 2, status: 'shipped', total: 3, views: Long.fromNumber(5), 'a.b': 1 }
+                    ],
+                    indexes: [{ key: { status: 1 }, name: 'status_1' }, { key: { body: 'text' }, name: 'body_text' }],
+                    index_usage: { _id_: 3, status_1: 7 }
+                },
+                scripts: {
+                    documents: [{ _id: 1, run: new Code('function () { return 1; }') }]
+                }
+            }
+        }
+    });
+}
+
+test('collect_metrics takes one serverStatus snapshot with database and collection statistics', async () => {
+    const metrics = await collect_metrics({ client: shop_client(), logger: QUIET });
+
+    assert.equal(metrics.uptimeSeconds, 86400);
+    assert.equal(metrics.connections.current, 100);
+    assert.equal(metrics.samples, undefined);
+    assert.deepEqual(Object.keys(metrics.dbStats), ['shop']);
+    assert.equal(metrics.dbStats.shop.objects, 3);
+
+    const orders = metrics.collections.find(collection => collection.ns === 'shop.orders');
+    assert.equal(orders.count, 2);
+    assert.equal(orders.compressor, 'snappy');
+    assert.deepEqual(orders.indexes.map(index => [index.name, index.usage.ops]), [['_id_', 3], ['status_1', 7], ['body_text', 0]]);
+});
+
+test('collect_metrics includes the system databases when asked to', async () => {
+    const metrics = await collect_metrics({ client: shop_client(), include_system_dbs: true, logger: QUIET });
+    assert.deepEqual(Object.keys(metrics.dbStats).sort(), ['admin', 'config', 'local', 'shop']);
+});
+
+test('collect_metrics samples serverStatus over a window as deltas per interval', async () => {
+    const messages = [];
+    const logger = { log: message => messages.push(message), error: message => messages.push(message) };
+    const metrics = await collect_metrics({ client: shop_client(), interval_seconds: 0.01, duration_seconds: 0.05, logger });
+
+    assert.ok(metrics.samples.length >= 1);
+    assert.equal(metrics.sampling.samples, metrics.samples.length);
+    for (const sample of metrics.samples) {
+        assert.equal(sample.interval_seconds, 60);
+        assert.equal(sample.reset, false);
+        assert.deepEqual(sample.opcounters, { insert: 1000, query: 5000, update: 2000, delete: 100, getmore: 300, command: 1600 });
+    }
+    assert.match(messages[0], /^Sampling serverStatus every 0.01 seconds/);
+
+    const { sizing } = await size({ metrics });
+    assert.equal(sizing['Operations per Second (OPS/sec)'], 166.67);
+});
+
+test('collect_metrics stops sampling when the signal aborts', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const metrics = await collect_metrics({ client: shop_client(), interval_seconds: 60, signal: controller.signal, logger: QUIET });
+    assert.deepEqual(metrics.samples, []);
+});
+
+test('collect_metrics detects a restart between two samples', async () => {
+    const statuses = [
+        { uptime: 5000, pid: 1, counter: 50000 },
+        { uptime: 30, pid: 2, counter: 900 }
+    ];
+    const client = create_fake_client({
+        server_status: poll => {
+            const { uptime, pid, counter } = statuses[Math.min(poll, statuses.length - 1)];
+            return {
+                uptime, pid, localTime: new Date(Date.UTC(2026, 9, 1, 0, poll)),
+                connections: { current: 10, available: 100 }, mem: { resident: 1, virtual: 1 },
+                opcounters: { insert: 0, query: counter, update: 0, delete: 0, getmore: 0, command: 0 }
+            };
+        }
+    });
+    const metrics = await collect_metrics({ client, interval_seconds: 0.01, duration_seconds: 0.015, logger: QUIET });
+
+    assert.equal(metrics.samples[0].reset, true);
+    assert.equal(metrics.samples[0].opcounters.query, 900);
+    assert.equal(metrics.samples[0].interval_seconds, 30);
+});
+
+test('scan_schema records the types, field names and structure of the sampled documents', async () => {
+    const scan = await scan_schema({ client: shop_client(), logger: QUIET });
+
+    assert.equal(scan.method, 'sample');
+    assert.deepEqual(scan.collections.map(collection => collection.ns), ['shop.orders', 'shop.scripts']);
+    const [orders, scripts] = scan.collections;
+    assert.equal(orders.sampled, 2);
+    assert.equal(orders.types.decimal, 1);
+    assert.equal(orders.types.long, 1);
+    assert.deepEqual(orders.field_name_issues.dot.examples, ['a.b']);
+    assert.deepEqual(orders.polymorphic_fields, [{ path: 'total', types: { decimal: 1, int: 1 } }]);
+    assert.deepEqual(scripts.type_examples.javascript, ['run']);
+});
+
+test('scan_schema reads the first documents with the scan method', async () => {
+    const scan = await scan_schema({ client: shop_client(), databases: ['shop'], sample_size: 1, method: 'scan', logger: QUIET });
+    assert.deepEqual(scan.collections.map(collection => [collection.ns, collection.sampled, collection.method]), [
+        ['shop.orders', 1, 'scan'],
+        ['shop.scripts', 1, 'scan']
+    ]);
+    await assert.rejects(scan_schema({ client: shop_client(), method: 'random' }), /Invalid sample method/);
+});
+
+test('collected metrics and schema scans feed into analyze', async () => {
+    const client = shop_client();
+    const metrics = await collect_metrics({ client, logger: QUIET });
+    const schema_scan = await scan_schema({ client, logger: QUIET });
+
+    const { schema, indexes } = await analyze({ entries: [], schema_scan, indexes: metrics.collections });
+    assert.deepEqual(schema.flagged_types.map(type => [type.type, type.status]), [['javascript', 'not_supported']]);
+    assert.equal(indexes.totals.indexes, 4);
+    assert.equal(indexes.indexes.find(index => index.name === 'body_text').accesses, 0);
+});
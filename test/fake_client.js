@@ -0,0 +1,203 @@
+// Stand-in for a connected MongoClient, backed by in-memory collections. It answers the commands,
+// aggregation stages and cursors the collectors use, the way a single mongod would.
+
+const { BSON } = require('mongodb');
+
+// Function to wrap a list of results in the cursor methods the collectors call
+function cursor(items) {
+    return {
+        toArray: async () => items,
+        async *[Symbol.asyncIterator]() {
+            yield* items;
+        }
+    };
+}
+
+// Function to tell whether a document matches a filter of equality and range conditions
+function matches(document, filter) {
+    const compare = {
+        $gt: (value, bound) => value > bound,
+        $gte: (value, bound) => value >= bound,
+        $lt: (value, bound) => value < bound,
+        $lte: (value, bound) => value <= bound
+    };
+    return Object.entries(filter).every(([field, condition]) => {
+        if (condition !== null && typeof condition === 'object' && !(condition instanceof Date)) {
+            return Object.entries(condition).every(([operator, bound]) => compare[operator](document[field], bound));
+        }
+        return document[field] === condition;
+    });
+}
+
+// Function to build a serverStatus result for the n-th poll: counters grow by the same amount every poll
+function default_server_status(poll) {
+    return {
+        host: 'fake:27017',
+        version: '7.0.0',
+        pid: 4242,
+        uptime: 86400 + poll * 60,
+        localTime: new Date(Date.UTC(2026, 9, 1, 0, poll)),
+        connections: { current: 100 + poll, available: 838760 - poll },
+        mem: { resident: 8192, virtual: 12288 },
+        opcounters: { insert: 1000 * poll, query: 5000 * poll, update: 2000 * poll, delete: 100 * poll, getmore: 300 * poll, command: 1600 * poll },
+        opcountersRepl: { insert: 0, query: 0, update: 0, delete: 0, getmore: 0, command: 0 },
+        network: { bytesIn: 1048576 * poll, bytesOut: 2097152 * poll, numRequests: 10000 * poll },
+        metrics: {},
+        wiredTiger: {}
+    };
+}
+
+// Function to create the stand-in. `databases` maps database names to collections, each with its
+// `documents`, `indexes` (beyond _id) and the `index_usage` $indexStats reports per index name;
+// `server_status(poll)` replaces the default serverStatus results. The profiler of each database
+// starts at level 0 without a system.profile collection; `profiled` maps database names to the
+// operations it records, stamped with the current time, whenever it is set to level 2.
+function create_fake_client({ databases = {}, server_status = default_server_status, profiled = {} } = {}) {
+    let polls = 0;
+    const profilers = {};
+    const profiler_of = db_name => profilers[db_name] = profilers[db_name] || { level: 0, slowms: 100, sampleRate: 1, filter: undefined, collection: null };
+    const collection_of = (db_name, name) => (databases[db_name] || {})[name] || { documents: [] };
+    const indexes_of = (db_name, name) => [{ v: 2, key: { _id: 1 }, name: '_id_' }, ...(collection_of(db_name, name).indexes || []).map(index => ({ v: 2, ...index }))];
+    const storage_of = (db_name, name) => {
+        const { documents } = collection_of(db_name, name);
+        const size = documents.reduce((sum, document) => sum + BSON.calculateObjectSize(document), 0);
+        const indexes = indexes_of(db_name, name);
+        return {
+            count: documents.length,
+            size,
+            storageSize: Math.ceil(size / 2),
+            totalIndexSize: indexes.length * 4096,
+            indexSizes: Object.fromEntries(indexes.map(index => [index.name, 4096])),
+            capped: false,
+            wiredTiger: { creationString: 'block_compressor=snappy' }
+        };
+    };
+
+    // system.profile: a capped collection that exists once profiling was on or it was created
+    const profile_collection = db_name => {
+        const profiler = profiler_of(db_name);
+        const not_found = () => Object.assign(new Error('ns not found'), { codeName: 'NamespaceNotFound' });
+        return {
+            namespace: `${db_name}.system.profile`,
+            find(filter = {}) {
+                return cursor(profiler.collection ? profiler.collection.documents.filter(document => matches(document, filter)) : []);
+            },
+            async countDocuments(filter = {}) {
+                return profiler.collection ? profiler.collection.documents.filter(document => matches(document, filter)).length : 0;
+            },
+            async drop() {
+                if (!profiler.collection) {
+                    throw not_found();
+                }
+                if (profiler.level > 0) {
+                    throw new Error('Cannot drop the profile collection while profiling is enabled');
+                }
+                profiler.collection = null;
+            },
+            aggregate(pipeline) {
+                if (!profiler.collection) {
+                    throw not_found();
+                }
+                const { documents, max_size } = profiler.collection;
+                const size = documents.reduce((sum, document) => sum + BSON.calculateObjectSize(document), 0);
+                return cursor([{ storageStats: { count: documents.length, size, storageSize: size, capped: true, maxSize: max_size, totalIndexSize: 0, indexSizes: {} } }]);
+            }
+        };
+    };
+
+    const collection = (db_name, name) => name === 'system.profile' ? profile_collection(db_name) : ({
+        namespace: `${db_name}.${name}`,
+        aggregate(pipeline, options = {}) {
+            const [stage] = Object.keys(pipeline[0]);
+            const { documents } = collection_of(db_name, name);
+            if (stage === '$collStats') {
+                return cursor([{ storageStats: storage_of(db_name, name) }]);
+            }
+            if (stage === '$indexStats') {
+                const usage = collection_of(db_name, name).index_usage || {};
+                return cursor(indexes_of(db_name, name).map(index => ({
+                    name: index.name,
+                    accesses: { ops: usage[index.name] || 0, since: new Date(Date.UTC(2026, 8, 30)) }
+                })));
+            }
+            if (stage === '$sample') {
+                const sample = documents.slice(0, pipeline[0].$sample.size);
+                return cursor(options.raw ? sample.map(document => BSON.serialize(document)) : sample);
+            }
+            throw new Error(`The stand-in does not support the ${stage} stage.`);
+        },
+        find(filter = {}, options = {}) {
+            const { documents } = collection_of(db_name, name);
+            const found = documents.slice(0, options.limit || documents.length);
+            return cursor(options.raw ? found.map(document => BSON.serialize(document)) : found);
+        },
+        listIndexes() {
+            return cursor(indexes_of(db_name, name).map(index => ({ ...index, ns: `${db_name}.${name}` })));
+        }
+    });
+
+    const db = db_name => ({
+        databaseName: db_name,
+        async command(command) {
+            if (command.serverStatus) {
+                return server_status(polls++);
+            }
+            if (command.hello) {
+                return { isWritablePrimary: true, me: 'fake:27017', localTime: new Date(), ok: 1 };
+            }
+            if (command.profile !== undefined) {
+                const profiler = profiler_of(db_name);
+                const previous = { was: profiler.level, slowms: profiler.slowms, sampleRate: profiler.sampleRate, ...(profiler.filter ? { filter: profiler.filter } : {}), ok: 1 };
+                if (command.profile >= 0) {
+                    profiler.level = command.profile;
+                    profiler.slowms = command.slowms !== undefined ? command.slowms : profiler.slowms;
+                    profiler.sampleRate = command.sampleRate !== undefined ? command.sampleRate : profiler.sampleRate;
+                    profiler.filter = command.filter === 'unset' ? undefined : (command.filter || profiler.filter);
+                }
+                if (command.profile > 0) {
+                    profiler.collection = profiler.collection || { documents: [], max_size: 1024 * 1024 };
+                }
+                if (command.profile === 2) {
+                    profiler.collection.documents.push(...(profiled[db_name] || []).map(entry => ({ ...entry, ns: entry.ns || `${db_name}.orders`, ts: new Date() })));
+                }
+                return previous;
+            }
+            if (command.dbStats) {
+                const stats = Object.keys(databases[db_name] || {}).map(name => storage_of(db_name, name));
+                const sum = field => stats.reduce((total, storage) => total + storage[field], 0);
+                return {
+                    db: db_name, collections: stats.length, objects: sum('count'), dataSize: sum('size'),
+                    storageSize: sum('storageSize'), indexSize: sum('totalIndexSize'), totalSize: sum('storageSize') + sum('totalIndexSize'), ok: 1
+                };
+            }
+            throw new Error(`The stand-in does not support the ${Object.keys(command)[0]} command.`);
+        },
+        admin() {
+            return {
+                listDatabases: async () => ({
+                    databases: [...new Set(['admin', 'config', 'local', ...Object.keys(databases)])].map(name => ({ name }))
+                })
+            };
+        },
+        listCollections() {
+            if (db_name === 'config') {
+                return cursor([]);
+            }
+            return cursor(Object.keys(databases[db_name] || {}).map(name => ({ name, type: 'collection' })));
+        },
+        async createCollection(name, options = {}) {
+            if (name === 'system.profile') {
+                const profiler = profiler_of(db_name);
+                if (profiler.collection) {
+                    throw new Error('Collection already exists. NS: system.profile');
+                }
+                profiler.collection = { documents: [], max_size: options.size };
+            }
+        },
+        collection: name => collection(db_name, name)
+    });
+
+    return { db, profilers, close: async () => {} };
+}
+
+module.exports = { create_fake_client, default_server_status };
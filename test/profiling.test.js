@@ -0,0 +1,211 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { manage_profiling, export_profile, run_profiling_session, read_profile_entries } = require('..');
+const { create_fake_client } = require('./fake_client');
+
+const QUIET = { log() {}, error() {} };
+
+// Function to create a stand-in with two databases whose profilers record a find and an aggregate
+function profiled_client() {
+    return create_fake_client({
+        databases: { shop: { orders: { documents: [{ _id: 1 }] } }, billing: { invoices: { documents: [{ _id: 1 }] } } },
+        profiled: {
+            shop: [
+                { op: 'query', command: { find: 'orders', filter: { status: { $gt: 'a' } } }, millis: 3 },
+                { op: 'command', command: { aggregate: 'orders', pipeline: [{ $lookup: { from: 'customers', as: 'c' } }] }, millis: 9 }
+            ],
+            billing: [{ op: 'query', ns: 'billing.invoices', command: { find: 'invoices', filter: {} }, millis: 1 }]
+        }
+    });
+}
+
+// Function to create a temporary directory removed after the test
+function temp_dir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oee-profiling-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Function to read back an export in any of its formats
+async function read_export(file) {
+    const entries = [];
+    for await (const entry of read_profile_entries(file)) {
+        entries.push(entry);
+    }
+    return entries;
+}
+
+test('manage_profiling enables, disables and purges the profiler of the selected databases', async () => {
+    const client = profiled_client();
+    const messages = [];
+    const logger = { log: message => messages.push(message), error: message => messages.push(message) };
+
+    await manage_profiling({ client, action: 'enable', databases: ['*'], settings: { level: 1, slowms: 20, sampleRate: 0.5 }, logger });
+    assert.deepEqual(
+        Object.entries(client.profilers).map(([name, { level, slowms, sampleRate }]) => [name, level, slowms, sampleRate]).sort(),
+        [['billing', 1, 20, 0.5], ['shop', 1, 20, 0.5]]
+    );
+
+    await manage_profiling({ client, action: 'disable', databases: ['shop'], logger });
+    assert.equal(client.profilers.shop.level, 0);
+    assert.equal(client.profilers.billing.level, 1);
+
+    await manage_profiling({ client, action: 'purge', databases: ['shop', 'other'], logger });
+    assert.equal(client.profilers.shop.collection, null);
+    assert.deepEqual(messages.slice(-2), ["Profiling data purged from database 'shop' (fake:27017).", "No profiling data found in database 'other' (fake:27017)."]);
+
+    await assert.rejects(manage_profiling({ client, action: 'restart', databases: ['shop'] }), /Unknown profiling action 'restart'/);
+});
+
+test('export_profile writes the profiling data of every database to one file, tagged with its source', async t => {
+    const dir = temp_dir(t);
+    const client = profiled_client();
+    await manage_profiling({ client, action: 'enable', all_dbs: true, logger: QUIET });
+
+    const json = path.join(dir, 'profile.json');
+    const exported = await export_profile({ client, output: json, all_dbs: true, logger: QUIET });
+    assert.deepEqual(exported, { file: json, format: 'json', gzip: false, count: 3 });
+    const entries = JSON.parse(fs.readFileSync(json, 'utf8'));
+    assert.deepEqual(entries.map(entry => entry.source.database).sort(), ['billing', 'shop', 'shop']);
+    assert.equal(entries[0].source.host, 'fake:27017');
+
+    const ndjson = path.join(dir, 'profile.ndjson.gz');
+    assert.equal((await export_profile({ client, output: ndjson, databases: ['shop'], logger: QUIET })).count, 2);
+    assert.equal(zlib.gunzipSync(fs.readFileSync(ndjson)).toString().trim().split('\n').length, 2);
+    await assert.rejects(export_profile({ client, output: json, format: 'xml', databases: ['shop'] }), /Unknown export format 'xml'/);
+});
+
+test('export_profile finishes the file when reading fails part way', async t => {
+    const dir = temp_dir(t);
+    const client = profiled_client();
+    await manage_profiling({ client, action: 'enable', all_dbs: true, logger: QUIET });
+    // The profiling data of shop cannot be read: its cursor fails
+    const failing = {
+        ...client,
+        db: name => name !== 'shop' ? client.db(name) : {
+            ...client.db(name),
+            collection: () => ({
+                find: () => ({
+                    async *[Symbol.asyncIterator]() {
+                        throw new Error('cursor killed');
+                    }
+                })
+            })
+        }
+    };
+
+    for (const output of [path.join(dir, 'partial.json'), path.join(dir, 'partial.ndjson.gz')]) {
+        await assert.rejects(
+            export_profile({ client: failing, output, databases: ['billing', 'shop'], logger: QUIET }),
+            /is incomplete, it holds the 1 entries read before the failure: cursor killed/
+        );
+        assert.deepEqual((await read_export(output)).map(entry => entry.source.database), ['billing']);
+    }
+});
+
+test('export_profile and run_profiling_session fail on an output path that cannot be opened', async t => {
+    const dir = temp_dir(t);
+    const client = profiled_client();
+    await client.db('shop').command({ profile: 1, slowms: 50 });
+
+    for (const output of [path.join(dir, 'missing', 'profile.json'), path.join(dir, 'missing', 'profile.ndjson'), path.join(dir, 'missing', 'profile.ndjson.gz')]) {
+        await assert.rejects(export_profile({ client, output, databases: ['shop'], logger: QUIET }), { code: 'ENOENT' });
+        await assert.rejects(
+            run_profiling_session({ client, output, databases: ['shop'], settings: { level: 2 }, duration_seconds: 0.02, logger: QUIET }),
+            { code: 'ENOENT' }
+        );
+    }
+    // The session failed before it changed any profiler setting
+    assert.equal(client.profilers.shop.level, 1);
+    assert.equal(client.profilers.shop.slowms, 50);
+    assert.ok(!fs.existsSync(path.join(dir, 'missing')));
+});
+
+test('run_profiling_session removes the export file when it ends before exporting', async t => {
+    const dir = temp_dir(t);
+    const output = path.join(dir, 'none.json');
+    await assert.rejects(run_profiling_session({ client: profiled_client(), output, databases: [], logger: QUIET }), /No databases matched/);
+    assert.ok(!fs.existsSync(output));
+});
+
+test('run_profiling_session profiles for a duration, restores the original settings and exports the session', async t => {
+    const dir = temp_dir(t);
+    const client = profiled_client();
+    await client.db('shop').command({ profile: 1, slowms: 50 });
+
+    const output = path.join(dir, 'session.ndjson');
+    const session = await run_profiling_session({
+        client, output, databases: ['shop'], settings: { level: 2, sampleRate: 0.5, filter: { op: 'query' } }, duration_seconds: 0.05, logger: QUIET
+    });
+
+    assert.equal(session.count, 2);
+    assert.equal(session.format, 'ndjson');
+    assert.equal(session.restore_failures, 0);
+    assert.deepEqual(session.targets.map(target => [target.database, target.host, target.original]), [
+        ['shop', 'fake:27017', { level: 1, slowms: 50, sampleRate: 1 }]
+    ]);
+    const { level, slowms, sampleRate, filter } = client.profilers.shop;
+    assert.deepEqual({ level, slowms, sampleRate, filter }, { level: 1, slowms: 50, sampleRate: 1, filter: undefined });
+    assert.deepEqual((await read_export(output)).map(entry => entry.op), ['query', 'command']);
+});
+
+test('run_profiling_session ends once the operation count is reached or the signal aborts', async t => {
+    const dir = temp_dir(t);
+    const client = profiled_client();
+
+    const counted = await run_profiling_session({ client, output: path.join(dir, 'counted.json'), all_dbs: true, max_ops: 3, poll_ms: 10, logger: QUIET });
+    assert.equal(counted.count, 3);
+    assert.deepEqual(Object.values(client.profilers).map(profiler => profiler.level), [0, 0]);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    const aborted = await run_profiling_session({ client, output: path.join(dir, 'aborted.json'), databases: ['billing'], signal: controller.signal, poll_ms: 10, logger: QUIET });
+    assert.equal(client.profilers.billing.level, 0);
+    assert.equal(aborted.count, 1);
+
+    await assert.rejects(run_profiling_session({ client, output: path.join(dir, 'none.json'), databases: [], logger: QUIET }), /No databases matched/);
+});
+
+test('run_profiling_session resizes system.profile for the session and puts the original size back', async t => {
+    const dir = temp_dir(t);
+    const client = profiled_client();
+    await client.db('shop').createCollection('system.profile', { capped: true, size: 4 * 1024 * 1024 });
+    const session_sizes = {};
+    const logger = {
+        log(message) {
+            const enabled = /^Profiling enabled .* database '(\w+)'/.exec(message);
+            if (enabled) {
+                session_sizes[enabled[1]] = client.profilers[enabled[1]].collection.max_size;
+            }
+        },
+        error() {}
+    };
+
+    const session = await run_profiling_session({ client, output: path.join(dir, 'session.json'), all_dbs: true, profile_size_mb: 16, duration_seconds: 0.02, logger });
+
+    assert.deepEqual(session_sizes, { billing: 16 * 1024 * 1024, shop: 16 * 1024 * 1024 });
+    assert.equal(session.count, 3);
+    assert.equal(session.restore_failures, 0);
+    assert.equal(client.profilers.shop.collection.max_size, 4 * 1024 * 1024);
+    assert.equal(client.profilers.billing.collection, null);
+    assert.deepEqual(Object.values(client.profilers).map(profiler => profiler.level), [0, 0]);
+});
+
+test('run_profiling_session refuses to resize a system.profile collection that holds entries', async t => {
+    const dir = temp_dir(t);
+    const client = profiled_client();
+    await client.db('shop').command({ profile: 2 });
+    await client.db('shop').command({ profile: 1, slowms: 50 });
+
+    await assert.rejects(
+        run_profiling_session({ client, output: path.join(dir, 'session.json'), databases: ['shop'], profile_size_mb: 16, duration_seconds: 0.02, logger: QUIET }),
+        /system.profile of database 'shop' \(fake:27017\) holds 2 entries/
+    );
+    assert.equal(client.profilers.shop.collection.documents.length, 2);
+    assert.equal(client.profilers.shop.level, 1);
+});
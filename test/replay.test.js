@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectId, Decimal128, Long } = require('mongodb');
+
+const { analyze, export_profile, manage_profiling, read_profile_entries, replay_workload, summarize_replay_results } = require('..');
+const { create_fake_client } = require('./fake_client');
+
+// Function to create a stand-in endpoint that runs finds and rejects $lookup pipelines
+function target_client(sent) {
+    return {
+        db: name => ({
+            async command(command) {
+                sent.push({ db: name, command });
+                if (command.aggregate) {
+                    throw Object.assign(new Error('$lookup is not supported'), { code: 40324, codeName: 'Location40324' });
+                }
+                return { ok: 1, cursor: { id: 0, ns: `${name}.${command.find}`, firstBatch: [] } };
+            }
+        })
+    };
+}
+
+// Function to build a profile of finds with varying values, failing aggregates and an insert
+function workload(finds, aggregates) {
+    const entries = [];
+    for (let i = 0; i < finds; i++) {
+        entries.push({ op: 'query', ns: 'shop.orders', command: { find: 'orders', filter: { status: `s${i}` } }, millis: 2 });
+    }
+    for (let i = 0; i < aggregates; i++) {
+        entries.push({ op: 'command', ns: 'shop.orders', command: { aggregate: 'orders', pipeline: [{ $lookup: { from: 'customers', as: 'c' } }] }, millis: 4 });
+    }
+    entries.push({ op: 'insert', ns: 'shop.orders', command: { insert: 'orders', documents: [{ _id: 1 }] }, millis: 1 });
+    return entries;
+}
+
+test('replay_workload rolls results up per command, error and shape and keeps a capped list of examples', async () => {
+    const sent = [];
+    const tally = await replay_workload(workload(5, 150), target_client(sent), { rate: 1e6, mapping: { databases: { shop: 'shop_test' }, namespaces: {} } });
+    const replay = summarize_replay_results(tally, { target: 'mongodb://adb.example.com:27017/' });
+
+    assert.equal(sent.length, 155);
+    assert.equal(sent[0].db, 'shop_test');
+    assert.deepEqual(replay.totals, { entries: 156, executed: 155, succeeded: 5, failed: 150, skipped: 1, dry_run: 0, success_percent: 3.23 });
+    assert.deepEqual(replay.skip_reasons, { 'write skipped in read-only mode (use --allow-writes)': 1 });
+    assert.deepEqual(replay.errors.map(error => [error.code, error.count, error.commands]), [[40324, 150, ['aggregate']]]);
+    assert.deepEqual(replay.shapes.map(shape => [shape.command, shape.verdict, shape.executed, shape.avg_original_millis]), [['aggregate', 'fails', 150, 4], ['find', 'works', 5, 2]]);
+    assert.equal(replay.latency.compared, 155);
+    assert.equal(replay.examples.length, 100);
+    assert.ok(replay.examples.every(result => result.status === 'error'));
+    assert.equal(replay.results, undefined);
+    assert.match(replay.verdict, /150 of 155 replayed commands failed in 1 of 2 query shapes/);
+});
+
+test('replay_workload dry runs keep the commands that would be sent and count shapes beyond the limit', async () => {
+    const dry = summarize_replay_results(await replay_workload(workload(3, 1), null, { dry_run: true }), { dry_run: true });
+    assert.equal(dry.totals.dry_run, 4);
+    assert.deepEqual(dry.examples.map(result => Object.keys(result.replayed_command)[0]), ['find', 'find', 'find', 'aggregate']);
+    assert.equal(dry.verdict, 'Dry run: nothing was executed');
+
+    const limited = summarize_replay_results(await replay_workload(workload(3, 2), target_client([]), { rate: 1e6, max_shapes: 1 }));
+    assert.deepEqual(limited.shapes.map(shape => [shape.command, shape.executed]), [['find', 3]]);
+    assert.equal(limited.untracked_shape_executions, 2);
+    assert.equal(limited.totals.failed, 2);
+});
+
+test('replay_workload sends the typed values of an exported profile back as they were profiled', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oee-replay-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const id = new ObjectId();
+    const since = new Date('2024-05-01T00:00:00Z');
+    const filter = { _id: id, placed: { $gte: since }, total: Decimal128.fromString('10.50'), ref: Long.fromString('1152921504606846977') };
+    const client = create_fake_client({
+        databases: { shop: { orders: { documents: [] } } },
+        profiled: { shop: [{ op: 'query', command: { find: 'orders', filter }, millis: 3 }] }
+    });
+    await manage_profiling({ client, action: 'enable', databases: ['shop'], logger: { log() {}, error() {} } });
+    const output = path.join(dir, 'profile.ndjson');
+    await export_profile({ client, output, databases: ['shop'], logger: { log() {}, error() {} } });
+
+    const { analysis } = await analyze({ input: output });
+    assert.deepEqual(analysis.unknown_dictionary, {});
+
+    const sent = [];
+    const replay = summarize_replay_results(await replay_workload(read_profile_entries(output, { typed: true }), target_client(sent), { rate: 1e6 }));
+    const replayed = sent[0].command.filter;
+    assert.ok(replayed._id instanceof ObjectId);
+    assert.equal(replayed._id.toHexString(), id.toHexString());
+    assert.ok(replayed.placed.$gte instanceof Date);
+    assert.equal(replayed.placed.$gte.getTime(), since.getTime());
+    assert.ok(replayed.total instanceof Decimal128);
+    assert.equal(replayed.ref, 1152921504606846977n);
+    assert.deepEqual(replay.shapes.map(shape => shape.fingerprint), [analysis.query_shapes[0].fingerprint]);
+});
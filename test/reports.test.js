@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { analyze, size, render_reports, write_reports, REPORT_SCHEMA_VERSION } = require('..');
+
+const PROFILE = path.join(__dirname, 'fixtures', 'profile.json');
+const METRICS = require(path.join(__dirname, 'fixtures', 'metrics.json'));
+
+// Function to build a combined report of the profile and metrics fixtures
+async function combined_report() {
+    const { analysis } = await analyze({ input: PROFILE });
+    const { sizing, recommendation, collections } = await size({ metrics: METRICS });
+    return { analysis, metrics: METRICS, sizing, recommendation, collections, input: PROFILE };
+}
+
+test('render_reports renders every format without writing files', async () => {
+    const rendered = render_reports(await combined_report(), { formats: ['html', 'json', 'csv', 'sarif'] });
+
+    assert.match(rendered.html, /^<!DOCTYPE html>/);
+    assert.match(rendered.html, /Suggested rewrites:/);
+    assert.equal(rendered.json.schema_version, REPORT_SCHEMA_VERSION);
+    assert.equal(rendered.json.input, PROFILE);
+    assert.equal(rendered.json.analysis.summary.not_supported_entries, 3);
+    assert.equal(rendered.json.recommendation.ecpus, 4);
+    assert.deepEqual(Object.keys(rendered.csv), ['operators', 'shapes', 'attribution', 'features', 'sizing', 'recommendation', 'collections']);
+    assert.match(rendered.csv.shapes.split('\n')[0], /suggested_rewrites/);
+    assert.deepEqual(
+        rendered.sarif.runs[0].results.map(result => result.ruleId).sort(),
+        ['not-supported-operator/$elemMatch', 'not-supported-operator/$lookup', 'not-supported-operator/$setOnInsert', 'not-supported-operator/$unwind']
+    );
+});
+
+test('render_reports renders only the requested formats', async () => {
+    const rendered = render_reports(await combined_report(), { formats: ['json'] });
+    assert.equal(rendered.html, undefined);
+    assert.equal(rendered.json.analysis.query_shapes.length, 5);
+    assert.throws(() => render_reports({}, { formats: ['pdf'] }), /Unknown report format 'pdf'/);
+});
+
+test('render_reports escapes captured commands in the HTML report', async () => {
+    const { analysis } = await analyze({
+        entries: [{ op: 'query', ns: 'shop.</script><script>alert(1)</script>', command: { find: 'x', filter: { name: '<img src=x onerror=alert(1)>' } } }]
+    });
+    const { html } = render_reports({ analysis });
+
+    assert.equal(html.match(/<script/g).length, 2);
+    assert.ok(!html.includes('<img src=x'));
+});
+
+test('write_reports writes the requested formats into the output directory', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oee-reports-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const written = write_reports(await combined_report(), { formats: ['html', 'json', 'sarif'], dir, base: 'report' });
+    assert.deepEqual(written.map(file => path.basename(file)), ['report.html', 'report.json', 'report.sarif']);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8')).schema_version, REPORT_SCHEMA_VERSION);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { size, load_sizing_profile } = require('..');
+
+const METRICS = require(path.join(__dirname, 'fixtures', 'metrics.json'));
+const SAMPLED_METRICS = require(path.join(__dirname, 'fixtures', 'metrics_sampled.json'));
+
+test('size sizes lifetime metrics from their average rates', async () => {
+    const { profile, sizing, recommendation, forecast } = await size({ metrics: METRICS });
+
+    assert.equal(profile.id, 'autonomous-ecpu');
+    assert.equal(sizing['Rate Basis'], 'Lifetime average since the last restart');
+    assert.equal(sizing['Total Operations'], 8640000);
+    assert.equal(sizing['Operations per Second (OPS/sec)'], 100);
+    assert.equal(sizing['CPU Cores Required'], 1);
+    assert.equal(sizing['Connection Limits'], 180);
+    assert.equal(recommendation.ecpus, 4);
+    assert.equal(recommendation.auto_scaling, true);
+    assert.equal(forecast, null);
+});
+
+test('size sizes sampled metrics for the p95 rate and the peak connections', async () => {
+    const { sizing, recommendation } = await size({ metrics: SAMPLED_METRICS });
+
+    assert.equal(sizing['Rate Basis'], 'Sampled: 4 samples over 240 seconds');
+    assert.equal(sizing['Operations per Second (OPS/sec)'], 2625);
+    assert.equal(sizing['Peak Operations per Second (OPS/sec)'], 6000);
+    assert.equal(sizing['CPU Cores Required'], 4);
+    assert.equal(sizing['Peak Connections'], 250);
+    assert.equal(recommendation.ecpus, 16);
+});
+
+test('size projects storage per collection from the collection statistics', async () => {
+    const { sizing, collections } = await size({ metrics: METRICS });
+
+    assert.equal(sizing['Storage Basis'], 'Projected from 2 collections');
+    assert.equal(sizing['Projected Data Size (Bytes)'], 6000000000);
+    assert.deepEqual(collections.map(collection => [collection.ns, collection.projected_total_bytes]), [
+        ['shop.orders', 5400000000],
+        ['shop.customers', 1100000000]
+    ]);
+});
+
+test('size forecasts growth from snapshots taken at different times', async () => {
+    const later = {
+        ...METRICS,
+        timestamp: '2026-11-01T00:00:00.000Z',
+        dbStats: { shop: { ...METRICS.dbStats.shop, dataSize: 7000000000, indexSize: 600000000 } },
+        collections: undefined
+    };
+    const { forecast } = await size({ metrics: later, snapshots: [METRICS, later] });
+
+    assert.ok(forecast);
+    assert.equal(forecast.snapshots, 2);
+});
+
+test('size rejects snapshots a forecast cannot use', async () => {
+    const { dbStats, ...without_db_stats } = METRICS;
+
+    await assert.rejects(size({ metrics: METRICS, snapshots: [METRICS, { ...METRICS, timestamp: 'not a date' }] }), /Metrics snapshot 2 has no valid timestamp/);
+    await assert.rejects(size({ metrics: METRICS, snapshots: [METRICS, { ...without_db_stats, timestamp: '2026-11-01T00:00:00.000Z' }] }), /Metrics snapshot 2 is missing required fields: dbStats/);
+    await assert.rejects(size({ metrics: METRICS, snapshots: [METRICS, { ...METRICS }] }), /at least two metrics snapshots taken at different times/);
+});
+
+test('size accepts a loaded sizing profile', async () => {
+    const profile = load_sizing_profile('autonomous-ecpu');
+    profile.factors = { ...profile.factors, ops_per_core: 50 };
+
+    const { sizing } = await size({ metrics: METRICS, profile });
+    assert.equal(sizing['CPU Cores Required'], 2);
+});
+
+test('size rejects metrics without the fields sizing needs', async () => {
+    const { dbStats, ...without_db_stats } = METRICS;
+
+    await assert.rejects(size({ metrics: without_db_stats }), /missing required fields: dbStats/);
+    await assert.rejects(size({ metrics: METRICS, profile: 'no-such-profile' }), /Unknown sizing profile/);
+});